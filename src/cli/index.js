@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+const path = require("node:path");
+const { spawn } = require("node:child_process");
+const { parseArgs } = require("node:util");
+const {
+  getDefaultUserDataPath,
+  readState,
+  writeState,
+  findPage,
+  addWebviewBlockToPage,
+} = require("./state.js");
+const {
+  readRegistry,
+  getCurrentWorkspace,
+  findWorkspace,
+} = require("../electron/workspaces.js");
+
+const USAGE = `Usage: hypercanvas <command> [options]
+
+Commands:
+  workspaces            List all workspaces
+  pages                 List all pages
+  dump                  Print the blocks and links of a page as JSON
+  add <url>             Add a webview block with <url> to a page
+  open                  Launch hypercanvas
+
+Options:
+  -w, --workspace <name>
+                        Workspace name or id (defaults to the open workspace)
+  -p, --page <name>     Page name or id (defaults to the current page)
+  --width <px>          Width of the block created by \`add\`
+  --height <px>         Height of the block created by \`add\`
+  --user-data <dir>     Electron userData directory (defaults to the platform location)
+  -h, --help            Show this message
+
+The app overwrites its state file whenever it saves, so quit hypercanvas before running \`add\`.`;
+
+main().catch((error) => {
+  console.error(`hypercanvas: ${error.message}`);
+  process.exit(1);
+});
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      workspace: { type: "string", short: "w" },
+      page: { type: "string", short: "p" },
+      width: { type: "string" },
+      height: { type: "string" },
+      "user-data": { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [command, ...args] = positionals;
+  const userDataPath = values["user-data"] ?? getDefaultUserDataPath();
+
+  if (values.help || command === undefined) {
+    console.log(USAGE);
+    return;
+  }
+
+  const getStatePath = async () => {
+    const workspace = values.workspace
+      ? await findWorkspace(userDataPath, values.workspace)
+      : await getCurrentWorkspace(userDataPath);
+    return path.join(userDataPath, workspace.statePath);
+  };
+
+  switch (command) {
+    case "workspaces":
+      return listWorkspaces(userDataPath);
+    case "pages":
+      return listPages(await getStatePath());
+    case "dump":
+      return dumpPage(await getStatePath(), values.page);
+    case "add": {
+      const [url] = args;
+      if (!url) throw Error("`add` requires a url");
+      return addUrl(
+        await getStatePath(),
+        url,
+        values.page,
+        parseDimension(values.width, "width"),
+        parseDimension(values.height, "height"),
+      );
+    }
+    case "open":
+      return launchApp(values.workspace, values.page);
+    default:
+      throw Error(`unknown command "${command}"\n\n${USAGE}`);
+  }
+}
+
+/**
+ * @param {string} userDataPath
+ */
+async function listWorkspaces(userDataPath) {
+  const registry = await readRegistry(userDataPath);
+  for (const workspace of registry.workspaces) {
+    const marker = workspace.id === registry.currentWorkspaceId ? "*" : " ";
+    console.log(`${marker} ${workspace.name}\t${workspace.id}`);
+  }
+}
+
+/**
+ * @param {string} statePath
+ */
+async function listPages(statePath) {
+  const state = await readState(statePath);
+  for (const page of state.pages) {
+    const marker = page.id === state.currentPageId ? "*" : " ";
+    console.log(
+      `${marker} ${page.name}\t${page.blocks.length} blocks\t${page.links.length} links\t${page.id}`,
+    );
+  }
+}
+
+/**
+ * @param {string} statePath
+ * @param {string} [pageName]
+ */
+async function dumpPage(statePath, pageName) {
+  const state = await readState(statePath);
+  const page = findPage(state, pageName);
+  const dump = {
+    id: page.id,
+    name: page.name,
+    blocks: page.blocks,
+    links: page.links,
+  };
+  console.log(JSON.stringify(dump, null, 2));
+}
+
+/**
+ * @param {string} statePath
+ * @param {string} url
+ * @param {string} [pageName]
+ * @param {number} [width]
+ * @param {number} [height]
+ */
+async function addUrl(statePath, url, pageName, width, height) {
+  // reject invalid urls so we never save a block the webview can't load
+  if (!URL.canParse(url)) throw Error(`invalid url "${url}"`);
+  const normalizedUrl = new URL(url).href;
+  const state = await readState(statePath);
+  const page = findPage(state, pageName);
+  const { state: newState, block } = addWebviewBlockToPage(
+    state,
+    page.id,
+    normalizedUrl,
+    width,
+    height,
+  );
+  await writeState(statePath, newState);
+  console.log(`Added block ${block.id} to "${page.name}": ${normalizedUrl}`);
+}
+
+/**
+ * @param {string} [workspaceName]
+ * @param {string} [pageName]
+ */
+function launchApp(workspaceName, pageName) {
+  // outside of electron, the electron package exports the path to its binary
+  const electronPath = /** @type {string} */ (
+    /** @type {unknown} */ (require("electron"))
+  );
+  const appPath = path.join(__dirname, "../..");
+  const args = [
+    appPath,
+    ...(workspaceName ? [`--workspace=${workspaceName}`] : []),
+    ...(pageName ? [`--page=${pageName}`] : []),
+  ];
+
+  const child = spawn(electronPath, args, {
+    detached: true,
+    stdio: "ignore",
+  });
+  child.unref();
+}
+
+/**
+ * @param {string | undefined} value
+ * @param {string} name
+ * @returns {number | undefined}
+ */
+function parseDimension(value, name) {
+  if (value === undefined) return undefined;
+  const dimension = Number(value);
+  if (!Number.isFinite(dimension) || dimension <= 0) {
+    throw Error(`--${name} must be a positive number`);
+  }
+  return dimension;
+}
@@ -0,0 +1,172 @@
+const fs = require("node:fs").promises;
+const os = require("node:os");
+const path = require("node:path");
+const { writeFileAtomic } = require("../electron/files.js");
+
+// -----------------------------
+// ## Constants
+// -----------------------------
+
+// must match `productName` in package.json, which electron uses to name the userData directory
+const APP_NAME = "hypercanvas";
+
+// keep in sync with src/core/constants.js
+const DEFAULT_BLOCK_WIDTH = 1340;
+const DEFAULT_BLOCK_HEIGHT = 1220;
+const NEW_BLOCK_OFFSET_X = 100;
+
+// -----------------------------
+// ## Paths
+// -----------------------------
+
+/**
+ * Resolves the directory electron uses for `app.getPath("userData")`
+ * @returns {string}
+ */
+function getDefaultUserDataPath() {
+  const home = os.homedir();
+  switch (process.platform) {
+    case "darwin":
+      return path.join(home, "Library", "Application Support", APP_NAME);
+    case "win32":
+      return path.join(
+        process.env.APPDATA ?? path.join(home, "AppData", "Roaming"),
+        APP_NAME,
+      );
+    default:
+      return path.join(
+        process.env.XDG_CONFIG_HOME ?? path.join(home, ".config"),
+        APP_NAME,
+      );
+  }
+}
+
+// -----------------------------
+// ## State File
+// -----------------------------
+
+/**
+ * Reads the saved application state
+ * @param {string} filePath - Absolute path of a workspace's state file
+ * @returns {Promise<SavedState>}
+ */
+async function readState(filePath) {
+  let stateString;
+  try {
+    stateString = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT") {
+      throw Error(
+        `No saved state found at ${filePath}. Open the workspace in hypercanvas once to create it.`,
+      );
+    }
+    throw error;
+  }
+  return JSON.parse(stateString);
+}
+
+/**
+ * Writes the application state, going through a temp file so a crash never leaves a truncated state file
+ * @param {string} filePath - Absolute path of a workspace's state file
+ * @param {SavedState} state
+ * @returns {Promise<void>}
+ */
+async function writeState(filePath, state) {
+  await writeFileAtomic(filePath, JSON.stringify(state, null, 2));
+}
+
+// -----------------------------
+// ## Pages
+// -----------------------------
+
+/**
+ * Finds a page by name or id. Falls back to the current page when no name is given
+ * @param {SavedState} state
+ * @param {string} [nameOrId]
+ * @returns {Page}
+ */
+function findPage(state, nameOrId) {
+  const page =
+    nameOrId === undefined
+      ? state.pages.find((page) => page.id === state.currentPageId)
+      : (state.pages.find((page) => page.name === nameOrId) ??
+        state.pages.find((page) => page.id === nameOrId));
+  if (!page) {
+    const pageNames = state.pages.map((page) => `"${page.name}"`).join(", ");
+    throw Error(`No page named "${nameOrId}". Pages: ${pageNames}`);
+  }
+  return page;
+}
+
+/**
+ * Adds a webview block to the right of the existing blocks on a page
+ * @param {SavedState} state
+ * @param {string} pageId
+ * @param {string} url
+ * @param {number} [width]
+ * @param {number} [height]
+ * @returns {{state: SavedState, block: WebviewBlock}}
+ */
+function addWebviewBlockToPage(
+  state,
+  pageId,
+  url,
+  width = DEFAULT_BLOCK_WIDTH,
+  height = DEFAULT_BLOCK_HEIGHT,
+) {
+  const page = state.pages.find((page) => page.id === pageId);
+  if (!page) throw Error(`no page found of id ${pageId}`);
+
+  const rightmostBlock = page.blocks.reduce(
+    (/** @type {Block | null} */ rightmost, block) =>
+      !rightmost || block.x + block.width > rightmost.x + rightmost.width
+        ? block
+        : rightmost,
+    null,
+  );
+
+  /** @type {WebviewBlock} */
+  const block = {
+    type: "webview",
+    id: page.idCounter,
+    x: rightmostBlock
+      ? rightmostBlock.x + rightmostBlock.width + NEW_BLOCK_OFFSET_X
+      : -page.offsetX / page.zoom,
+    y: rightmostBlock ? rightmostBlock.y : -page.offsetY / page.zoom,
+    width,
+    height,
+    zIndex: Math.max(...page.blocks.map((block) => block.zIndex), 0) + 1,
+    groupId: null,
+    initialSrc: url,
+    currentSrc: url,
+    domReady: false,
+    isPreview: false,
+    previewChildId: null,
+    realChildrenIds: [],
+    pageTitle: "",
+    faviconUrl: null,
+    history: [],
+    historyIndex: -1,
+    isUrlBarExpanded: false,
+  };
+
+  return {
+    state: {
+      ...state,
+      pages: state.pages.map((p) =>
+        p.id === pageId
+          ? { ...p, blocks: [...p.blocks, block], idCounter: p.idCounter + 1 }
+          : p,
+      ),
+    },
+    block,
+  };
+}
+
+module.exports = {
+  getDefaultUserDataPath,
+  readState,
+  writeState,
+  findPage,
+  addWebviewBlockToPage,
+};
@@ -0,0 +1,94 @@
+import { VIEWPORT_ANIMATION_DURATION_MS } from "./constants.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { updateState } from "./utils.js";
+
+// -----------------------------
+// ## Viewport Animation
+// -----------------------------
+
+/**
+ * Starts animating the current page's viewport to the target. The animation is driven by
+ * `viewportAnimationSubscription`, which runs while `state.viewportAnimation` is set.
+ * @param {State} state
+ * @param {ViewportTarget} to
+ * @returns {State}
+ */
+export function animateViewport(state, to) {
+  const currentPage = getCurrentPage(state);
+  return updateState(state, {
+    viewportAnimation: {
+      pageId: currentPage.id,
+      from: {
+        offsetX: currentPage.offsetX,
+        offsetY: currentPage.offsetY,
+        zoom: currentPage.zoom,
+      },
+      to,
+      startTime: null,
+    },
+  });
+}
+
+/**
+ * Stops the running animation where it is, i.e. when the user starts panning or zooming
+ * @param {State} state
+ * @returns {State}
+ */
+export function cancelViewportAnimation(state) {
+  if (state.viewportAnimation === null) return state;
+  return updateState(state, { viewportAnimation: null });
+}
+
+/**
+ * @param {number} t - Progress between 0 and 1
+ * @returns {number}
+ */
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * @param {State} state
+ * @param {DOMHighResTimeStamp} time - Timestamp of the animation frame
+ * @returns {State}
+ */
+function stepViewportAnimation(state, time) {
+  const animation = state.viewportAnimation;
+  if (animation === null) return state;
+  // switching pages ends the animation
+  if (animation.pageId !== state.currentPageId) {
+    return updateState(state, { viewportAnimation: null });
+  }
+
+  const startTime = animation.startTime ?? time;
+  const progress = Math.min(
+    1,
+    (time - startTime) / VIEWPORT_ANIMATION_DURATION_MS,
+  );
+  const t = easeInOutCubic(progress);
+  const { from, to } = animation;
+
+  return updateCurrentPage(
+    updateState(state, {
+      viewportAnimation: progress < 1 ? { ...animation, startTime } : null,
+    }),
+    {
+      offsetX: from.offsetX + (to.offsetX - from.offsetX) * t,
+      offsetY: from.offsetY + (to.offsetY - from.offsetY) * t,
+      zoom: from.zoom + (to.zoom - from.zoom) * t,
+    },
+  );
+}
+
+/**
+ * Subscription that steps the viewport animation every animation frame
+ * @param {import("hyperapp").Dispatch<State>} dispatch - Function to dispatch actions
+ * @returns {() => void} Cleanup function
+ */
+export function viewportAnimationSubscription(dispatch) {
+  let frameId = requestAnimationFrame(function handler(time) {
+    dispatch(stepViewportAnimation, time);
+    frameId = requestAnimationFrame(handler);
+  });
+  return () => cancelAnimationFrame(frameId);
+}
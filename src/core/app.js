@@ -1,15 +1,24 @@
 import { app, h } from "hyperapp";
-import { STATE_SAVE_PATH } from "./constants.js";
 import { createMementoManager } from "./memento.js";
+import { CURRENT_STATE_VERSION, migrateState } from "./migrations.js";
 import { viewport } from "./viewport.js";
 import { keydownSubscription, keyupSubscription } from "./keyboard.js";
 import {
   throttle,
   notification,
   saveApplication,
+  showNotification,
   updateState,
 } from "./utils.js";
-import { defaultPage } from "./pages.js";
+import { defaultPage, switchPage } from "./pages.js";
+import { workspaceSwitcher } from "./workspaces.js";
+import { restoreBackupDialog } from "./backups.js";
+import { sidebar } from "./sidebar.js";
+import { searchPalette } from "./search.js";
+import { commandPalette } from "./commands.js";
+import { DEFAULT_SETTINGS, loadSettings, settingsDialog } from "./settings.js";
+import { viewportAnimationSubscription } from "./animation.js";
+import { DEFAULT_PEN_TOOL } from "./blockContents/drawing.js";
 import { updateHyperappDebuggerState } from "../debugger/debugger.js";
 
 initialize();
@@ -24,6 +33,8 @@ function main(state) {
     "main",
     {
       style: {
+        display: "flex",
+        flexDirection: "row",
         //@ts-ignore
         "--override-cursor": state.cursorStyleOverride, // the --override-cursor variable is propagated to all children elements, so it only needs to be applied here
       },
@@ -40,13 +51,28 @@ function main(state) {
         });
       },
     },
-    [viewport(state), notification(state)],
+    [
+      viewport(state),
+      sidebar(state),
+      workspaceSwitcher(state),
+      notification(state),
+      restoreBackupDialog(state),
+      searchPalette(state),
+      commandPalette(state),
+      settingsDialog(state),
+    ],
   );
 }
 
-function initialState() {
+/**
+ * @param {Workspace} workspace - Workspace being opened
+ * @param {Workspace[]} workspaces - All workspaces
+ * @returns {State}
+ */
+function initialState(workspace, workspaces) {
   /** @type {State} */
   const state = {
+    version: CURRENT_STATE_VERSION,
     pages: [defaultPage],
     mouseX: 0,
     mouseY: 0,
@@ -60,6 +86,27 @@ function initialState() {
     notification: null,
     notificationVisible: false,
     contextMenu: null,
+    workspace,
+    workspaces,
+    workspaceSwitcher: null,
+    sidebar: {
+      tab: "pages",
+      renamingPageId: null,
+      draggingPageId: null,
+      dropTarget: null,
+    },
+    restoreBackupDialog: null,
+    search: null,
+    commandPalette: null,
+    settings: DEFAULT_SETTINGS,
+    settingsDialog: null,
+    viewportAnimation: null,
+    snapGuides: [],
+    minimapDrag: null,
+    penTool: DEFAULT_PEN_TOOL,
+    linkDrag: null,
+    linkLabelEdit: null,
+    markdownEditId: null,
   };
 
   // Set currentPageId to the first page
@@ -94,6 +141,12 @@ function themeChangeSubscription(dispatch) {
 // Create throttled save function once at module level - saves at most once every 2 seconds
 const throttledSave = throttle(saveApplication, 2000);
 
+/**
+ * Latest state dispatched to hyperapp, saved when the app quits
+ * @type {State | null}
+ */
+let latestState = null;
+
 /**
  * For now, i won't think about effects or manual dispatch. Only actions and state
  * @type {(dispatch: import("hyperapp").Dispatch<State>) => import("hyperapp").Dispatch<State>}
@@ -104,12 +157,51 @@ function dispatchMiddleware(dispatch) {
       const state = /** @type {State} */ (action);
 
       updateHyperappDebuggerState(state);
-      throttledSave(state);
+      latestState = state;
+      // while the user picks a backup, don't overwrite the state file with the empty state
+      if (state.restoreBackupDialog === null) {
+        throttledSave(state);
+      }
     }
     dispatch(action, payload);
   };
 }
 
+/**
+ * Applies command line options the app was launched with, i.e. `hypercanvas open --page <name>`
+ * @param {State} state
+ * @returns {Promise<State>}
+ */
+async function applyLaunchOptions(state) {
+  const { pageName } = await window.electronAPI.getLaunchOptions();
+  if (pageName === null) return state;
+
+  const page =
+    state.pages.find((page) => page.name === pageName) ??
+    state.pages.find((page) => page.id === pageName);
+  if (!page) {
+    console.warn(`No page named "${pageName}", opening the current page`);
+    return state;
+  }
+  return switchPage(state, page.id);
+}
+
+/**
+ * Copies a state file that failed to load next to the original, so starting with a fresh state doesn't lose it
+ * @param {Workspace} workspace - Workspace the state file belongs to
+ * @param {string} stateString - Contents of the state file
+ * @returns {Promise<string>} Path of the backup, relative to the user data directory
+ */
+async function backupUnloadableState(workspace, stateString) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupPath = workspace.statePath.replace(
+    /\.json$/,
+    `.unloadable-${timestamp}.json`,
+  );
+  await window.fileAPI.writeFile(backupPath, stateString);
+  return backupPath;
+}
+
 /**
  * Initializes the application with saved state and starts the Hyperapp
  * @returns {Promise<void>}
@@ -117,15 +209,28 @@ function dispatchMiddleware(dispatch) {
 async function initialize() {
   /** @type {State} */
   let state;
+  /** @type {string | null} */
+  let loadErrorMessage = null;
   try {
+    const workspace = await window.workspaceAPI.getCurrent();
+    const { workspaces } = await window.workspaceAPI.list();
+    state = initialState(workspace, workspaces);
     // @ts-ignore
-    const stateString = await window.fileAPI.readFile(STATE_SAVE_PATH);
-    if (stateString === null) {
-      state = initialState();
-    } else {
-      state = JSON.parse(stateString);
+    const stateString = await window.fileAPI.readFile(workspace.statePath);
+    if (stateString !== null) {
+      try {
+        state = { ...state, ...migrateState(JSON.parse(stateString)) };
+      } catch (error) {
+        console.error("Failed to load state file:", error);
+        const backupPath = await backupUnloadableState(workspace, stateString);
+        loadErrorMessage = `State file could not be loaded and was backed up to ${backupPath}`;
+        const backups = await window.stateAPI.listBackups(workspace.id);
+        if (backups.length > 0) {
+          state.restoreBackupDialog = { message: loadErrorMessage, backups };
+          loadErrorMessage = null;
+        }
+      }
     }
-    state.mementoManager = createMementoManager();
   } catch (error) {
     alert(
       `State file could not be safely loaded. Please restart the application. ${error}`,
@@ -142,10 +247,16 @@ async function initialize() {
     console.warn("Failed to get system theme, using default:", error);
   }
 
+  state.settings = await loadSettings();
+  state = await applyLaunchOptions(state);
+
   // Listen for quit signal from main process
   //@ts-ignore
   window.electronAPI.onAppWillQuit(async () => {
-    await saveApplication(state);
+    const stateToSave = latestState ?? state;
+    if (stateToSave.restoreBackupDialog === null) {
+      await saveApplication(stateToSave);
+    }
 
     // Tell main process we're done
     //@ts-ignore
@@ -153,13 +264,16 @@ async function initialize() {
   });
 
   app({
-    init: state,
+    init: loadErrorMessage
+      ? [state, [showNotification, loadErrorMessage]]
+      : state,
     view: (state) => main(state),
     node: /** @type {Node} */ (document.getElementById("app")),
     subscriptions: (state) => [
       [themeChangeSubscription, {}],
       [keydownSubscription, {}],
       [keyupSubscription, {}],
+      state.viewportAnimation !== null && [viewportAnimationSubscription, {}],
     ],
     dispatch: dispatchMiddleware,
   });
@@ -16,9 +16,9 @@ export function drawBackgroundEffect(dispatch, props) {
   const ctx = canvas.getContext("2d");
   if (!ctx) return;
 
-  // Set canvas size to window size
-  canvas.width = window.innerWidth;
-  canvas.height = window.innerHeight;
+  // Set canvas size to the viewport size, which excludes the sidebar
+  canvas.width = canvas.clientWidth;
+  canvas.height = canvas.clientHeight;
 
   // Calculate visible world coordinate range
   const visibleWorldStart = -props.offsetX / props.zoom;
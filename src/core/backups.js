@@ -0,0 +1,118 @@
+import { h, text } from "hyperapp";
+import { Z_INDEX_TOP_2 } from "./constants.js";
+import { updateState } from "./utils.js";
+
+/**
+ * Modal offering to restore the workspace from one of its backups after its state file failed to load.
+ * Saving is paused while it is open, so the fresh state doesn't get snapshotted over the good backups.
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+export function restoreBackupDialog(state) {
+  const dialog = state.restoreBackupDialog;
+  if (!dialog) return null;
+
+  return h(
+    "div",
+    {
+      style: {
+        position: "fixed",
+        inset: "0",
+        zIndex: `${Z_INDEX_TOP_2}`,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        background: "rgba(0, 0, 0, 0.4)",
+      },
+      // the canvas behind the dialog shouldn't react to keyboard shortcuts
+      onkeydown: (state, event) => {
+        event.stopPropagation();
+        return state;
+      },
+    },
+    h(
+      "div",
+      {
+        class: "restore-backup-dialog",
+        style: {
+          display: "flex",
+          flexDirection: "column",
+          gap: "12px",
+          width: "440px",
+          maxHeight: "80vh",
+          padding: "20px",
+          borderRadius: "10px",
+          boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+        },
+      },
+      [
+        h("h3", { style: { margin: "0" } }, text("Restore from backup")),
+        h("p", { style: { margin: "0" } }, text(dialog.message)),
+        h(
+          "div",
+          {
+            class: "workspace-list",
+            style: {
+              display: "flex",
+              flexDirection: "column",
+              overflowY: "auto",
+              padding: "6px",
+              borderRadius: "10px",
+            },
+          },
+          dialog.backups.map((backup) =>
+            h(
+              "div",
+              {
+                key: backup.filename,
+                class: "workspace-row",
+                onclick: (state) => [
+                  state,
+                  [
+                    restoreBackupEffect,
+                    { workspaceId: state.workspace.id, backup },
+                  ],
+                ],
+              },
+              text(new Date(backup.createdAt).toLocaleString()),
+            ),
+          ),
+        ),
+        h(
+          "button",
+          {
+            style: { alignSelf: "flex-end" },
+            onclick: (state) =>
+              updateState(state, { restoreBackupDialog: null }),
+          },
+          text("Start with an empty workspace"),
+        ),
+      ],
+    ),
+  );
+}
+
+/**
+ * Replaces the workspace's state file with a backup, then reloads the app to load it
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{workspaceId: string, backup: BackupInfo}} props
+ * @returns {Promise<void>}
+ */
+async function restoreBackupEffect(dispatch, { workspaceId, backup }) {
+  try {
+    await window.stateAPI.restoreBackup(workspaceId, backup.filename);
+    location.reload();
+  } catch (error) {
+    console.error("Failed to restore backup:", error);
+    dispatch((state) =>
+      state.restoreBackupDialog
+        ? updateState(state, {
+            restoreBackupDialog: {
+              ...state.restoreBackupDialog,
+              message: `Backup from ${new Date(backup.createdAt).toLocaleString()} could not be restored: ${error}`,
+            },
+          })
+        : state,
+    );
+  }
+}
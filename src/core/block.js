@@ -1,10 +1,11 @@
-import { h } from "hyperapp";
+import { h, text } from "hyperapp";
 import {
   PASTE_OFFSET_X,
   PASTE_OFFSET_Y,
   DEFAULT_BLOCK_WIDTH,
   DEFAULT_BLOCK_HEIGHT,
   NEW_CHILD_BLOCK_OFFSET_X,
+  Z_INDEX_FRAMES,
 } from "./constants.js";
 import { saveMementoAndReturn } from "./memento.js";
 import { RESIZE_HANDLERS, resizeHandle } from "./resize.js";
@@ -25,7 +26,27 @@ import {
   textContent,
 } from "./blockContents/text.js";
 import { imageContent } from "./blockContents/image.js";
-import { addLink } from "./link.js";
+import {
+  DEFAULT_FRAME_BLOCK_CONFIG,
+  frameContent,
+  getFrameContentIds,
+} from "./blockContents/frame.js";
+import {
+  DEFAULT_DRAWING_BLOCK_CONFIG,
+  drawingContent,
+} from "./blockContents/drawing.js";
+import {
+  DEFAULT_LINE_BLOCK_CONFIG,
+  DEFAULT_SHAPE_BLOCK_CONFIG,
+  layoutAttachedLines,
+  layoutCurrentPageLines,
+  lineContent,
+  shapeContent,
+} from "./blockContents/shape.js";
+import { addLink, linkHandle } from "./link.js";
+import { getSubtreeBlockIds, toggleCollapsed } from "./outline.js";
+import { allocateOpenSpaceForNewBlock } from "./layout.js";
+import { addGroupMembers, remapGroupIds } from "./groups.js";
 
 /**
  * Creates a block component renderer
@@ -105,8 +126,14 @@ export function blockView(state, block) {
             id: block.id,
             startX: block.x,
             startY: block.y,
+            frameContentIds: getFrameContentIds(
+              currentPage,
+              addGroupMembers(currentPage, [block.id]),
+            ),
+            unsnappedX: block.x,
+            unsnappedY: block.y,
           },
-          selectedIds: [block.id],
+          selectedIds: addGroupMembers(currentPage, [block.id]),
         }),
       (state) => sendToFront(state, block.id),
     );
@@ -120,10 +147,23 @@ export function blockView(state, block) {
         return textContent(state, block);
       case "image":
         return imageContent(state, block);
+      case "frame":
+        return frameContent(state, block);
+      case "drawing":
+        return drawingContent(state, block);
+      case "shape":
+        return shapeContent(state, block);
+      case "line":
+        return lineContent(state, block);
     }
   })();
 
-  const resizeHandles = Object.keys(RESIZE_HANDLERS).map((handle) =>
+  // the height of an auto growing text block follows its text, so only its width can be resized
+  const resizeHandleNames =
+    block.type === "text" && block.autoGrow
+      ? ["e", "w"]
+      : Object.keys(RESIZE_HANDLERS);
+  const resizeHandles = resizeHandleNames.map((handle) =>
     resizeHandle({
       handle: /** @type{ResizeString} */ (handle),
       zoom: currentPage.zoom,
@@ -143,7 +183,7 @@ export function blockView(state, block) {
         transform: `translate(${block.x}px, ${block.y}px)`,
         width: `${block.width}px`,
         height: `${block.height}px`,
-        zIndex: `${block.zIndex}`,
+        zIndex: `${block.type === "frame" ? Z_INDEX_FRAMES + block.zIndex : block.zIndex}`,
         position: "absolute",
         userSelect: "none",
         touchAction: "none",
@@ -160,13 +200,58 @@ export function blockView(state, block) {
     },
     [
       contents,
+      currentPage.collapsedBlockIds.includes(block.id)
+        ? collapsedSubtreeBadge(currentPage, block)
+        : null,
       ...((isSelected || isHovering || isResizing) && !isMultiSelect
         ? resizeHandles
         : []),
+      // the handle has to stay while a link is dragged from it, or the drag would stop
+      (isSelected ||
+        isHovering ||
+        state.linkDrag?.parentBlockId === block.id) &&
+      !isMultiSelect
+        ? linkHandle(state, block)
+        : null,
     ],
   );
 }
 
+/**
+ * Shown on the right edge of a block whose subtree is collapsed. Clicking it expands the subtree.
+ * @param {Page} page
+ * @param {Block} block
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+function collapsedSubtreeBadge(page, block) {
+  const hiddenCount = getSubtreeBlockIds(page, block.id).length - 1;
+  if (hiddenCount === 0) return null;
+
+  return h(
+    "button",
+    {
+      title: "expand subtree",
+      style: {
+        position: "absolute",
+        top: "50%",
+        left: "100%",
+        transform: "translate(20px, -50%)",
+        padding: "10px 20px",
+        borderRadius: "25px",
+        border: "2px solid grey",
+        fontSize: "28px",
+        cursor: "pointer",
+      },
+      onpointerdown: (state, event) => {
+        // don't start dragging the block
+        event.stopPropagation();
+        return toggleCollapsed(state, block.id);
+      },
+    },
+    text(`+${hiddenCount}`),
+  );
+}
+
 // -----------------------------
 // ## Components
 // -----------------------------
@@ -244,6 +329,14 @@ export function addBlock(state, type, config, x, y, width, height) {
         return DEFAULT_WEBVIEW_BLOCK_CONFIG;
       case "text":
         return DEFAULT_TEXT_BLOCK_CONFIG;
+      case "frame":
+        return DEFAULT_FRAME_BLOCK_CONFIG;
+      case "drawing":
+        return DEFAULT_DRAWING_BLOCK_CONFIG;
+      case "shape":
+        return DEFAULT_SHAPE_BLOCK_CONFIG;
+      case "line":
+        return DEFAULT_LINE_BLOCK_CONFIG;
       default:
         return {};
     }
@@ -259,6 +352,7 @@ export function addBlock(state, type, config, x, y, width, height) {
     x: x,
     y: y,
     zIndex: Math.max(...currentBlocks.map((block) => block.zIndex), 0) + 1,
+    groupId: config.groupId ?? null,
     type,
   };
 
@@ -352,6 +446,7 @@ export function addWebviewBlockToViewportCenter(
 
 /**
  * Add a preview block adjacent to the original block
+ * Only webview blocks keep track of their children and previews, other blocks just link to the child.
  * @param {State} state
  * @param {number} parentBlockId
  * @param {string} src
@@ -362,12 +457,14 @@ export function addChildBlock(state, parentBlockId, src, isPreview) {
   const parentBlock = getCurrentBlocks(state).find(
     (b) => b.id === parentBlockId,
   );
-  if (!parentBlock || parentBlock.type !== "webview") {
+  if (!parentBlock) {
     throw Error(`no parent block found of id ${parentBlockId}`);
   }
   const offsetX = NEW_CHILD_BLOCK_OFFSET_X;
   const newX = parentBlock.x + parentBlock.width + offsetX;
   const newY = parentBlock.y;
+  // a child of a webview is as big as its parent, other blocks are rarely the size of a web page
+  const isWebviewParent = parentBlock.type === "webview";
 
   const { state: stateWithChildBlock, newBlockId: childBlockId } =
     addWebviewBlock(
@@ -378,15 +475,17 @@ export function addChildBlock(state, parentBlockId, src, isPreview) {
       },
       newX,
       newY,
-      parentBlock.width,
-      parentBlock.height,
+      isWebviewParent ? parentBlock.width : DEFAULT_BLOCK_WIDTH,
+      isWebviewParent ? parentBlock.height : DEFAULT_BLOCK_HEIGHT,
     );
 
   return pipe(
     stateWithChildBlock,
     (s) => addLink(s, parentBlockId, childBlockId),
     (s) => {
-      if (isPreview) {
+      if (parentBlock.type !== "webview") {
+        return s;
+      } else if (isPreview) {
         return updateBlock(s, parentBlock.id, {
           previewChildId: childBlockId,
         });
@@ -396,7 +495,7 @@ export function addChildBlock(state, parentBlockId, src, isPreview) {
         });
       }
     },
-    // (s) => allocateOpenSpaceForNewBlock(s, childBlockId),
+    (s) => allocateOpenSpaceForNewBlock(s, childBlockId),
   );
 }
 
@@ -444,8 +543,19 @@ export function pasteClipboardBlocks(state) {
     };
   })();
 
+  // pasted blocks get groups of their own instead of joining the groups they were copied from
+  const pastedPage = getCurrentPage(stateWithNewBlocks);
+  const { blocks: pastedBlocks, idCounter } = remapGroupIds(
+    pastedPage.blocks.filter((block) => newBlockIds.includes(block.id)),
+    pastedPage.idCounter,
+  );
+
   // Select all pasted blocks
   return updateCurrentPage(stateWithNewBlocks, {
+    blocks: pastedPage.blocks.map(
+      (block) => pastedBlocks.find((b) => b.id === block.id) ?? block,
+    ),
+    idCounter,
     selectedIds: newBlockIds,
   });
 }
@@ -471,6 +581,15 @@ export function copySelectedBlocks(state) {
           initialSrc: block.currentSrc,
         };
       }
+      if (block.type === "line") {
+        // pasted lines would stay attached to the copied blocks, not the pasted ones
+        return {
+          ...block,
+          id: -1, // not a "real" block
+          startBlockId: null,
+          endBlockId: null,
+        };
+      }
       return {
         ...block,
         id: -1, // not a "real" block
@@ -513,7 +632,7 @@ export function updateBlock(state, blockId, newBlockConfig) {
 export function deleteBlock(state, targetBlockId) {
   const currentPage = getCurrentPage(state);
   const currentBlocks = getCurrentBlocks(state);
-  return updateCurrentPage(state, {
+  const newState = updateCurrentPage(state, {
     blocks: currentBlocks.filter((block) => block.id !== targetBlockId),
     links: currentPage.links.filter(
       (link) =>
@@ -521,4 +640,152 @@ export function deleteBlock(state, targetBlockId) {
         link.parentBlockId !== targetBlockId,
     ),
   });
+  return layoutCurrentPageLines(newState);
+}
+
+/**
+ * Moves or copies the selected blocks to another page.
+ * Blocks get new ids from the target page's `idCounter`, links between the transferred blocks come along,
+ * and `previewChildId`/`realChildrenIds` and the ends of attached lines are remapped, or dropped when they point at blocks that stay behind.
+ * @param {State} state - Current application state
+ * @param {string} targetPageId - ID of the page to transfer the blocks to
+ * @param {"move" | "copy"} mode - Whether to remove the blocks from the current page
+ * @returns {State} Updated state
+ */
+export function transferSelectedBlocks(state, targetPageId, mode) {
+  const currentPage = getCurrentPage(state);
+  const targetPage = state.pages.find((page) => page.id === targetPageId);
+  if (!targetPage || targetPage.id === currentPage.id) return state;
+  // the full screen block's size is temporary, so don't let it leave the page
+  if (currentPage.fullScreenState !== null) return state;
+
+  const selectedBlocks = getSelectedBlocks(state).sort(
+    (a, b) => a.zIndex - b.zIndex,
+  );
+  if (selectedBlocks.length === 0) return state;
+
+  let idCounter = targetPage.idCounter;
+  /** @type {Map<number, number>} */
+  const idMap = new Map();
+  for (const block of selectedBlocks) {
+    idMap.set(block.id, idCounter++);
+  }
+
+  const maxZIndex = Math.max(
+    ...targetPage.blocks.map((block) => block.zIndex),
+    0,
+  );
+  /** @type {Block[]} */
+  const movedBlocks = selectedBlocks.map((block, i) => {
+    const id = /** @type {number} */ (idMap.get(block.id));
+    const zIndex = maxZIndex + i + 1;
+    if (block.type === "webview") {
+      const previewChildId =
+        block.previewChildId === null
+          ? null
+          : (idMap.get(block.previewChildId) ?? null);
+      return {
+        ...block,
+        id,
+        zIndex,
+        // the webview is recreated on the target page, so load where it currently is
+        initialSrc: block.currentSrc,
+        domReady: false,
+        previewChildId,
+        realChildrenIds: block.realChildrenIds
+          .filter((childId) => idMap.has(childId))
+          .map((childId) => /** @type {number} */ (idMap.get(childId))),
+      };
+    }
+    if (block.type === "line") {
+      const remapEnd = (/** @type {number | null} */ blockId) =>
+        blockId === null ? null : (idMap.get(blockId) ?? null);
+      return {
+        ...block,
+        id,
+        zIndex,
+        startBlockId: remapEnd(block.startBlockId),
+        endBlockId: remapEnd(block.endBlockId),
+      };
+    }
+    return { ...block, id, zIndex };
+  });
+
+  /** @type {Link[]} */
+  const transferredLinks = currentPage.links
+    .filter(
+      (link) => idMap.has(link.parentBlockId) && idMap.has(link.childBlockId),
+    )
+    .map((link) => ({
+      ...link,
+      id: idCounter++,
+      parentBlockId: /** @type {number} */ (idMap.get(link.parentBlockId)),
+      childBlockId: /** @type {number} */ (idMap.get(link.childBlockId)),
+    }));
+
+  const regrouped = remapGroupIds(movedBlocks, idCounter);
+  const transferredBlocks = regrouped.blocks;
+  idCounter = regrouped.idCounter;
+
+  /** @type {Partial<Page>} */
+  const sourcePageUpdate =
+    mode === "move"
+      ? {
+          // lines left behind let go of the blocks that moved
+          blocks: layoutAttachedLines(
+            currentPage.blocks
+              .filter((block) => !idMap.has(block.id))
+              .map((block) => {
+                if (block.type !== "webview") return block;
+                return {
+                  ...block,
+                  previewChildId:
+                    block.previewChildId !== null &&
+                    idMap.has(block.previewChildId)
+                      ? null
+                      : block.previewChildId,
+                  realChildrenIds: block.realChildrenIds.filter(
+                    (childId) => !idMap.has(childId),
+                  ),
+                };
+              }),
+          ),
+          links: currentPage.links.filter(
+            (link) =>
+              !idMap.has(link.parentBlockId) && !idMap.has(link.childBlockId),
+          ),
+          selectedIds: [],
+          hoveringId: null,
+          collapsedBlockIds: currentPage.collapsedBlockIds.filter(
+            (id) => !idMap.has(id),
+          ),
+        }
+      : {};
+
+  const newState = {
+    ...state,
+    pages: state.pages.map((page) => {
+      if (page.id === currentPage.id) {
+        return { ...page, ...sourcePageUpdate };
+      }
+      if (page.id === targetPage.id) {
+        return {
+          ...page,
+          blocks: [...page.blocks, ...transferredBlocks],
+          links: [...page.links, ...transferredLinks],
+          idCounter,
+          selectedIds: transferredBlocks.map((block) => block.id),
+          collapsedBlockIds: [
+            ...page.collapsedBlockIds,
+            ...currentPage.collapsedBlockIds
+              .filter((id) => idMap.has(id))
+              .map((id) => /** @type {number} */ (idMap.get(id))),
+          ],
+        };
+      }
+      return page;
+    }),
+  };
+
+  return saveMementoAndReturn(state, newState);
 }
@@ -0,0 +1,407 @@
+import { h, text } from "hyperapp";
+import { addBlock } from "../block.js";
+import {
+  MIN_SIZE,
+  PEN_COLORS,
+  PEN_STROKE_WIDTHS,
+  Z_INDEX_TOP,
+} from "../constants.js";
+import { saveMementoAndReturn } from "../memento.js";
+import { getCurrentPage, updateCurrentPage } from "../pages.js";
+import { getSelectedBlocks } from "../selection.js";
+import { stopPropagation, updateState } from "../utils.js";
+import { getCanvasCoordinates } from "../viewport.js";
+
+/** @type {BlockConfig<DrawingBlock>} */
+export const DEFAULT_DRAWING_BLOCK_CONFIG = {
+  points: [],
+  viewBoxWidth: MIN_SIZE,
+  viewBoxHeight: MIN_SIZE,
+  color: PEN_COLORS[0],
+  strokeWidth: PEN_STROKE_WIDTHS[1],
+};
+
+/** @type {PenToolState} */
+export const DEFAULT_PEN_TOOL = {
+  isActive: false,
+  color: PEN_COLORS[0],
+  strokeWidth: PEN_STROKE_WIDTHS[1],
+  points: null,
+};
+
+// screen pixels the pointer has to move before another point is added to the stroke
+const MIN_POINT_DISTANCE = 2;
+
+// -----------------------------
+// ## Pen Tool
+// -----------------------------
+
+// While the pen tool is active an overlay covers the viewport, so strokes can be drawn over
+// webviews too. Each stroke becomes a drawing block around it, which is selected, moved,
+// deleted and undone like any other block.
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+export function togglePenTool(state) {
+  return updateState(state, {
+    penTool: {
+      ...state.penTool,
+      isActive: !state.penTool.isActive,
+      points: null,
+    },
+  });
+}
+
+/**
+ * @param {State} state
+ * @param {Partial<PenToolState>} penTool
+ * @returns {State}
+ */
+function updatePenTool(state, penTool) {
+  return updateState(state, { penTool: { ...state.penTool, ...penTool } });
+}
+
+/**
+ * @param {State} state
+ * @param {PointerEvent} event
+ * @returns {[number, number]} Pointer position in canvas coordinates, rounded to keep saved strokes small
+ */
+function getPointerPoint(state, event) {
+  const { canvasX, canvasY } = getCanvasCoordinates(
+    event.clientX,
+    event.clientY,
+    state,
+  );
+  return [Math.round(canvasX * 10) / 10, Math.round(canvasY * 10) / 10];
+}
+
+/**
+ * @param {State} state
+ * @param {PointerEvent} event
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function onpointerdown(state, event) {
+  // the viewport shouldn't start a selection box
+  event.stopPropagation();
+  if (event.button !== 0) return state;
+  /** @type {HTMLElement} */ (event.currentTarget).setPointerCapture(
+    event.pointerId,
+  );
+  return updatePenTool(state, { points: [getPointerPoint(state, event)] });
+}
+
+/**
+ * @param {State} state
+ * @param {PointerEvent} event
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function onpointermove(state, event) {
+  const points = state.penTool.points;
+  if (!points) return state;
+
+  const point = getPointerPoint(state, event);
+  const [lastX, lastY] = points[points.length - 1];
+  const distance = Math.hypot(point[0] - lastX, point[1] - lastY);
+  if (distance * getCurrentPage(state).zoom < MIN_POINT_DISTANCE) return state;
+  return updatePenTool(state, { points: [...points, point] });
+}
+
+/**
+ * Turns the finished stroke into a drawing block
+ * @param {State} state
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function onpointerup(state) {
+  const { points, color, strokeWidth } = state.penTool;
+  if (!points) return state;
+  const newState = updatePenTool(state, { points: null });
+
+  // the block leaves room for the round ends of the stroke
+  const padding = strokeWidth / 2;
+  const left = Math.min(...points.map(([x]) => x)) - padding;
+  const top = Math.min(...points.map(([, y]) => y)) - padding;
+  const width = Math.max(
+    MIN_SIZE,
+    Math.max(...points.map(([x]) => x)) + padding - left,
+  );
+  const height = Math.max(
+    MIN_SIZE,
+    Math.max(...points.map(([, y]) => y)) + padding - top,
+  );
+
+  return addBlock(
+    newState,
+    "drawing",
+    {
+      points: points.map(([x, y]) => [
+        Math.round((x - left) * 10) / 10,
+        Math.round((y - top) * 10) / 10,
+      ]),
+      viewBoxWidth: width,
+      viewBoxHeight: height,
+      color,
+      strokeWidth,
+    },
+    left,
+    top,
+    width,
+    height,
+  ).state;
+}
+
+/**
+ * Recolors drawing blocks as one undoable change
+ * @param {State} state
+ * @param {DrawingBlock[]} blocks
+ * @param {string} color
+ * @returns {State}
+ */
+function recolorDrawings(state, blocks, color) {
+  const blockIds = blocks.map((block) => block.id);
+  const currentPage = getCurrentPage(state);
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) =>
+      block.type === "drawing" && blockIds.includes(block.id)
+        ? { ...block, color }
+        : block,
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Smooths a stroke by curving through the midpoints between its points
+ * @param {[number, number][]} points
+ * @returns {string} SVG path data
+ */
+function getStrokePath(points) {
+  if (points.length === 0) return "";
+  const [[firstX, firstY]] = points;
+  // a single point still shows as a dot thanks to the round line caps
+  if (points.length === 1) return `M ${firstX} ${firstY} L ${firstX} ${firstY}`;
+
+  let path = `M ${firstX} ${firstY}`;
+  for (let i = 1; i < points.length - 1; i++) {
+    const [x, y] = points[i];
+    const [nextX, nextY] = points[i + 1];
+    path += ` Q ${x} ${y} ${(x + nextX) / 2} ${(y + nextY) / 2}`;
+  }
+  const [lastX, lastY] = points[points.length - 1];
+  return `${path} L ${lastX} ${lastY}`;
+}
+
+/**
+ * @param {[number, number][]} points
+ * @param {string} color
+ * @param {number} strokeWidth
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function strokePath(points, color, strokeWidth) {
+  return h("path", {
+    d: getStrokePath(points),
+    fill: "none",
+    stroke: color,
+    "stroke-width": `${strokeWidth}`,
+    "stroke-linecap": "round",
+    "stroke-linejoin": "round",
+  });
+}
+
+// -----------------------------
+// ## Pen Tool View
+// -----------------------------
+
+/**
+ * The stroke being drawn, in canvas coordinates
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+export function penStrokePreview(state) {
+  const { points, color, strokeWidth } = state.penTool;
+  if (!points) return null;
+  return h(
+    "svg",
+    {
+      style: {
+        position: "absolute",
+        left: "0",
+        top: "0",
+        width: "1px",
+        height: "1px",
+        overflow: "visible",
+        pointerEvents: "none",
+        zIndex: `${Z_INDEX_TOP}`,
+      },
+    },
+    strokePath(points, color, strokeWidth),
+  );
+}
+
+/**
+ * Covers the viewport while the pen tool is active, with the pen's options at the top
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+export function penOverlay(state) {
+  const penTool = state.penTool;
+  if (!penTool.isActive || getCurrentPage(state).fullScreenState !== null) {
+    return null;
+  }
+
+  return h(
+    "div",
+    {
+      style: {
+        position: "absolute",
+        inset: "0",
+        cursor: "crosshair",
+        zIndex: `${Z_INDEX_TOP}`,
+      },
+      onpointerdown,
+      onpointermove,
+      onpointerup,
+    },
+    h(
+      "div",
+      {
+        class: "pen-toolbar",
+        style: {
+          position: "absolute",
+          top: "12px",
+          left: "50%",
+          transform: "translate(-50%, 0)",
+          display: "flex",
+          flexDirection: "row",
+          alignItems: "center",
+          gap: "6px",
+          padding: "6px 12px",
+          borderRadius: "10px",
+          boxShadow: "0 2px 8px rgba(0, 0, 0, 0.15)",
+          cursor: "default",
+        },
+        onpointerdown: stopPropagation,
+      },
+      [
+        ...PEN_COLORS.map((color) =>
+          h("button", {
+            title: "pen color",
+            style: {
+              width: "22px",
+              height: "22px",
+              borderRadius: "50%",
+              background: color,
+              border:
+                color === penTool.color
+                  ? "3px solid #4e8fd6"
+                  : "1px solid grey",
+              cursor: "pointer",
+            },
+            onclick: (state) => updatePenTool(state, { color }),
+          }),
+        ),
+        ...PEN_STROKE_WIDTHS.map((strokeWidth) =>
+          h(
+            "button",
+            {
+              title: "pen width",
+              class: {
+                "pen-toolbar-width-active": strokeWidth === penTool.strokeWidth,
+              },
+              style: {
+                width: "30px",
+                height: "26px",
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                cursor: "pointer",
+              },
+              onclick: (state) => updatePenTool(state, { strokeWidth }),
+            },
+            h("div", {
+              style: {
+                width: `${strokeWidth}px`,
+                height: `${strokeWidth}px`,
+                borderRadius: "50%",
+                background: "currentColor",
+              },
+            }),
+          ),
+        ),
+        h(
+          "button",
+          { title: "stop drawing", onclick: togglePenTool },
+          text("done"),
+        ),
+      ],
+    ),
+  );
+}
+
+// -----------------------------
+// ## Drawing View
+// -----------------------------
+
+/**
+ * @param {State} state
+ * @param {DrawingBlock} block
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+export function drawingContent(state, block) {
+  const selectedDrawings = getSelectedBlocks(state).filter(
+    (b) => b.type === "drawing",
+  );
+
+  return h("div", { style: { width: "100%", height: "100%" } }, [
+    // svg keeps the stroke crisp at any zoom
+    h(
+      "svg",
+      {
+        viewBox: `0 0 ${block.viewBoxWidth} ${block.viewBoxHeight}`,
+        preserveAspectRatio: "none",
+        style: {
+          display: "block",
+          width: "100%",
+          height: "100%",
+          overflow: "visible",
+        },
+      },
+      strokePath(block.points, block.color, block.strokeWidth),
+    ),
+    // one row of swatches recolors every selected drawing, so only the first one shows it
+    selectedDrawings[0]?.id === block.id
+      ? h(
+          "div",
+          {
+            style: {
+              position: "absolute",
+              bottom: "100%",
+              left: "0",
+              display: "flex",
+              gap: "12px",
+              paddingBottom: "12px",
+            },
+          },
+          PEN_COLORS.map((color) =>
+            h("button", {
+              title: "drawing color",
+              style: {
+                width: "36px",
+                height: "36px",
+                flexShrink: "0",
+                borderRadius: "50%",
+                background: color,
+                border: color === block.color ? "4px solid white" : "none",
+                cursor: "pointer",
+              },
+              onpointerdown: (state, event) => {
+                event.stopPropagation();
+                return recolorDrawings(state, selectedDrawings, color);
+              },
+            }),
+          ),
+        )
+      : null,
+  ]);
+}
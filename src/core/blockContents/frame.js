@@ -0,0 +1,241 @@
+import { h } from "hyperapp";
+import { addBlock, updateBlock } from "../block.js";
+import {
+  DEFAULT_BLOCK_HEIGHT,
+  DEFAULT_BLOCK_WIDTH,
+  FRAME_COLORS,
+  FRAME_PADDING,
+} from "../constants.js";
+import { animateViewport } from "../animation.js";
+import { saveMementoAndReturn } from "../memento.js";
+import { getCurrentPage, switchPage, updateCurrentPage } from "../pages.js";
+import { getSelectedBlocks } from "../selection.js";
+import { pipe, stopPropagation } from "../utils.js";
+import {
+  getViewportCenterCoordinates,
+  getViewportTargetFitting,
+} from "../viewport.js";
+
+/** @type {BlockConfig<FrameBlock>} */
+export const DEFAULT_FRAME_BLOCK_CONFIG = {
+  title: "Frame",
+  color: FRAME_COLORS[0],
+};
+
+// -----------------------------
+// ## Frames
+// -----------------------------
+
+/**
+ * @param {Block} outer
+ * @param {Block} inner
+ * @returns {boolean} True if the inner block lies entirely inside the outer block
+ */
+function containsBlock(outer, inner) {
+  return (
+    inner.x >= outer.x &&
+    inner.y >= outer.y &&
+    inner.x + inner.width <= outer.x + outer.width &&
+    inner.y + inner.height <= outer.y + outer.height
+  );
+}
+
+/**
+ * @param {Page} page
+ * @param {number[]} blockIds - Blocks being moved
+ * @returns {number[]} IDs of the other blocks that lie inside the frames among the moved blocks
+ */
+export function getFrameContentIds(page, blockIds) {
+  const frames = page.blocks.filter(
+    (block) => block.type === "frame" && blockIds.includes(block.id),
+  );
+  if (frames.length === 0) return [];
+  return page.blocks
+    .filter(
+      (block) =>
+        !blockIds.includes(block.id) &&
+        frames.some((frame) => frame !== block && containsBlock(frame, block)),
+    )
+    .map((block) => block.id);
+}
+
+/**
+ * @param {Page} page
+ * @returns {FrameBlock[]} Frames of the page, from top to bottom and left to right
+ */
+export function getFrames(page) {
+  return page.blocks
+    .filter((block) => block.type === "frame")
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+/**
+ * Adds a frame around the selected blocks, or in the center of the viewport when nothing is selected
+ * @param {State} state
+ * @returns {State}
+ */
+export function addFrame(state) {
+  const currentPage = getCurrentPage(state);
+  const selectedBlocks = getSelectedBlocks(state);
+  const frameCount = currentPage.blocks.filter(
+    (block) => block.type === "frame",
+  ).length;
+
+  const rect = (() => {
+    if (selectedBlocks.length === 0) {
+      const center = getViewportCenterCoordinates(state);
+      const width = DEFAULT_BLOCK_WIDTH * 2;
+      const height = DEFAULT_BLOCK_HEIGHT;
+      return {
+        x: center.x - width / 2,
+        y: center.y - height / 2,
+        width,
+        height,
+      };
+    }
+    const left = Math.min(...selectedBlocks.map((b) => b.x));
+    const top = Math.min(...selectedBlocks.map((b) => b.y));
+    const right = Math.max(...selectedBlocks.map((b) => b.x + b.width));
+    const bottom = Math.max(...selectedBlocks.map((b) => b.y + b.height));
+    return {
+      x: left - FRAME_PADDING,
+      y: top - FRAME_PADDING,
+      width: right - left + FRAME_PADDING * 2,
+      height: bottom - top + FRAME_PADDING * 2,
+    };
+  })();
+
+  const { state: newState, newBlockId } = addBlock(
+    state,
+    "frame",
+    {
+      title: `Frame ${frameCount + 1}`,
+      color: FRAME_COLORS[frameCount % FRAME_COLORS.length],
+    },
+    rect.x,
+    rect.y,
+    rect.width,
+    rect.height,
+  );
+  return updateCurrentPage(newState, { selectedIds: [newBlockId] });
+}
+
+/**
+ * Switches to the page of a frame, selects it and animates the viewport to fit it
+ * @param {State} state
+ * @param {string} pageId
+ * @param {number} frameId
+ * @returns {State}
+ */
+export function zoomToFrame(state, pageId, frameId) {
+  const newState = pipe(
+    state,
+    (s) => switchPage(s, pageId),
+    (s) => updateCurrentPage(s, { selectedIds: [frameId] }),
+  );
+
+  const currentPage = getCurrentPage(newState);
+  const frame = currentPage.blocks.find((b) => b.id === frameId);
+  // a full screen block keeps the viewport where it is
+  if (!frame || currentPage.fullScreenState !== null) return newState;
+
+  const target = getViewportTargetFitting(newState, frame);
+  if (!target) return newState;
+  return animateViewport(newState, target);
+}
+
+// -----------------------------
+// ## Frame View
+// -----------------------------
+
+/**
+ * @param {State} state
+ * @param {FrameBlock} block
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+export function frameContent(state, block) {
+  const currentPage = getCurrentPage(state);
+  const isSelected = currentPage.selectedIds.includes(block.id);
+
+  return h(
+    "div",
+    {
+      style: {
+        width: "100%",
+        height: "100%",
+        boxSizing: "border-box",
+        border: `6px solid ${block.color}`,
+        borderRadius: "24px",
+        // 8 digit hex color with ~15% alpha
+        background: `${block.color}26`,
+      },
+    },
+    h(
+      "div",
+      {
+        style: {
+          position: "absolute",
+          bottom: "100%",
+          left: "0",
+          display: "flex",
+          flexDirection: "row",
+          alignItems: "center",
+          gap: "12px",
+          paddingBottom: "12px",
+        },
+      },
+      [
+        h("input", {
+          type: "text",
+          value: block.title,
+          style: {
+            font: "600 48px sans-serif",
+            color: block.color,
+            background: "transparent",
+            border: "none",
+            outline: "none",
+            padding: "0",
+          },
+          // editing the title shouldn't start dragging the frame or trigger shortcuts
+          onpointerdown: stopPropagation,
+          onkeydown: stopPropagation,
+          oninput: (state, event) =>
+            updateBlock(state, block.id, {
+              title: /** @type {HTMLInputElement} */ (event.target).value,
+            }),
+        }),
+        ...(isSelected
+          ? FRAME_COLORS.map((color) => frameColorSwatch(block, color))
+          : []),
+      ],
+    ),
+  );
+}
+
+/**
+ * @param {FrameBlock} block
+ * @param {string} color
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+function frameColorSwatch(block, color) {
+  return h("button", {
+    title: "frame color",
+    style: {
+      width: "36px",
+      height: "36px",
+      flexShrink: "0",
+      borderRadius: "50%",
+      background: color,
+      border: color === block.color ? "4px solid white" : "none",
+      cursor: "pointer",
+    },
+    onpointerdown: (state, event) => {
+      event.stopPropagation();
+      if (color === block.color) return state;
+      return saveMementoAndReturn(
+        state,
+        updateBlock(state, block.id, { color }),
+      );
+    },
+  });
+}
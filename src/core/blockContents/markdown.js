@@ -0,0 +1,282 @@
+import { h, text } from "hyperapp";
+
+// Renders the markdown of text blocks that have `markdown` set, see text.js. Only the subset we
+// write notes in is supported: headings, bulleted, numbered and task lists, fenced and inline
+// code, links, bold, italic and rules. Anything else shows as plain text.
+
+/**
+ * @typedef {{text: string, indent: number, checked: boolean | null, line: number}} MarkdownListItem
+ * @typedef {{type: "heading", level: number, text: string}
+ *   | {type: "paragraph", text: string}
+ *   | {type: "list", ordered: boolean, items: MarkdownListItem[]}
+ *   | {type: "code", text: string}
+ *   | {type: "rule"}} MarkdownNode
+ */
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TASK = /^\[([ xX])\]\s+(.*)$/;
+const RULE = /^\s*(-{3,}|\*{3,}|_{3,})\s*$/;
+
+/**
+ * Splits markdown into its blocks, one level deep. Nested list items keep their indent instead.
+ * @param {string} source
+ * @returns {MarkdownNode[]}
+ */
+export function parseMarkdown(source) {
+  const lines = source.split("\n");
+  /** @type {MarkdownNode[]} */
+  const nodes = [];
+  /** @type {string[]} */
+  let paragraph = [];
+
+  const endParagraph = () => {
+    if (paragraph.length === 0) return;
+    nodes.push({ type: "paragraph", text: paragraph.join(" ") });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (FENCE.test(line)) {
+      endParagraph();
+      /** @type {string[]} */
+      const code = [];
+      // an unclosed fence runs to the end, like while it's being typed
+      while (i + 1 < lines.length && !FENCE.test(lines[i + 1])) {
+        code.push(lines[++i]);
+      }
+      i++;
+      nodes.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      endParagraph();
+      nodes.push({
+        type: "heading",
+        level: heading[1].length,
+        text: heading[2],
+      });
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      endParagraph();
+      nodes.push({ type: "rule" });
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      endParagraph();
+      const task = listItem[3].match(TASK);
+      /** @type {MarkdownListItem} */
+      const item = {
+        text: task ? task[2] : listItem[3],
+        indent: Math.floor(listItem[1].length / 2),
+        checked: task ? task[1] !== " " : null,
+        line: i,
+      };
+      const previous = nodes[nodes.length - 1];
+      if (previous?.type === "list") {
+        previous.items.push(item);
+      } else {
+        nodes.push({
+          type: "list",
+          ordered: /\d/.test(listItem[2]),
+          items: [item],
+        });
+      }
+      continue;
+    }
+
+    if (line.trim() === "") {
+      endParagraph();
+      // a blank line also ends a list
+      nodes.push({ type: "paragraph", text: "" });
+      continue;
+    }
+
+    paragraph.push(line.trim());
+  }
+  endParagraph();
+
+  return nodes.filter((node) => node.type !== "paragraph" || node.text !== "");
+}
+
+/**
+ * Toggles the checkbox of the task list item on a line of markdown
+ * @param {string} source
+ * @param {number} line - Index of the line of the task list item
+ * @returns {string}
+ */
+export function toggleMarkdownTask(source, line) {
+  const lines = source.split("\n");
+  lines[line] = lines[line].replace(
+    /^(\s*(?:[-*+]|\d+[.)])\s+)\[([ xX])\]/,
+    (_, marker, mark) => `${marker}[${mark === " " ? "x" : " "}]`,
+  );
+  return lines.join("\n");
+}
+
+// code, links, bold, italic and bare urls, in the order they're matched at the same position
+const INLINE =
+  /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*(.+?)\*|(https?:\/\/[^\s<>)]+)/g;
+
+/**
+ * @param {string} href
+ * @returns {boolean} Whether a link can be opened in a webview block
+ */
+function isOpenableHref(href) {
+  return /^https?:\/\//i.test(href);
+}
+
+/**
+ * @param {string} source - Text of one block of markdown
+ * @param {(href: string) => import("hyperapp").Action<State, MouseEvent>} onLinkClick
+ * @returns {import("hyperapp").MaybeVNode<State>[]}
+ */
+function inlineView(source, onLinkClick) {
+  /** @type {import("hyperapp").MaybeVNode<State>[]} */
+  const children = [];
+  let last = 0;
+
+  for (const match of source.matchAll(INLINE)) {
+    const index = match.index ?? 0;
+    if (index > last) children.push(text(source.slice(last, index)));
+    last = index + match[0].length;
+
+    const [, code, label, href, bold, italic, url] = match;
+    if (code !== undefined) {
+      children.push(h("code", { style: inlineCodeStyle }, text(code)));
+    } else if (label !== undefined) {
+      children.push(
+        isOpenableHref(href)
+          ? linkView(href, inlineView(label, onLinkClick), onLinkClick)
+          : text(label),
+      );
+    } else if (bold !== undefined) {
+      children.push(h("strong", {}, inlineView(bold, onLinkClick)));
+    } else if (italic !== undefined) {
+      children.push(h("em", {}, inlineView(italic, onLinkClick)));
+    } else {
+      children.push(linkView(url, [text(url)], onLinkClick));
+    }
+  }
+  if (last < source.length) children.push(text(source.slice(last)));
+
+  return children;
+}
+
+/**
+ * @param {string} href
+ * @param {import("hyperapp").MaybeVNode<State>[]} children
+ * @param {(href: string) => import("hyperapp").Action<State, MouseEvent>} onLinkClick
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function linkView(href, children, onLinkClick) {
+  return h(
+    "a",
+    {
+      href,
+      title: href,
+      style: { cursor: "pointer" },
+      // don't start dragging the block
+      onpointerdown: (state, event) => {
+        event.stopPropagation();
+        return state;
+      },
+      onclick: (state, event) => {
+        // the app window itself must never navigate away
+        event.preventDefault();
+        event.stopPropagation();
+        return onLinkClick(href)(state, event);
+      },
+    },
+    children,
+  );
+}
+
+/** @type {import("hyperapp").StyleProp} */
+const inlineCodeStyle = {
+  fontFamily: "monospace",
+  padding: "0 3px",
+  borderRadius: "3px",
+  background: "rgba(127, 127, 127, 0.2)",
+};
+
+/**
+ * @param {string} source
+ * @param {(href: string) => import("hyperapp").Action<State, MouseEvent>} onLinkClick
+ * @param {(line: number) => import("hyperapp").Action<State, MouseEvent>} onTaskToggle
+ * @returns {import("hyperapp").MaybeVNode<State>[]}
+ */
+export function markdownView(source, onLinkClick, onTaskToggle) {
+  return parseMarkdown(source).map((node) => {
+    switch (node.type) {
+      case "heading":
+        return h(
+          `h${node.level}`,
+          { style: { margin: "0.4em 0" } },
+          inlineView(node.text, onLinkClick),
+        );
+      case "paragraph":
+        return h(
+          "p",
+          { style: { margin: "0.4em 0" } },
+          inlineView(node.text, onLinkClick),
+        );
+      case "rule":
+        return h("hr", {});
+      case "code":
+        return h(
+          "pre",
+          {
+            style: {
+              ...inlineCodeStyle,
+              margin: "0.4em 0",
+              padding: "6px",
+              whiteSpace: "pre-wrap",
+            },
+          },
+          text(node.text),
+        );
+      case "list":
+        return h(
+          node.ordered ? "ol" : "ul",
+          { style: { margin: "0.4em 0", paddingLeft: "1.5em" } },
+          node.items.map((item) =>
+            h(
+              "li",
+              {
+                style: {
+                  marginLeft: `${item.indent * 1.5}em`,
+                  // the checkbox takes the place of the bullet
+                  listStyle: item.checked === null ? "" : "none",
+                },
+              },
+              [
+                item.checked === null
+                  ? null
+                  : h("input", {
+                      type: "checkbox",
+                      checked: item.checked,
+                      style: { margin: "0 6px 0 -1.2em", cursor: "pointer" },
+                      onpointerdown: (state, event) => {
+                        event.stopPropagation();
+                        return state;
+                      },
+                      onclick: onTaskToggle(item.line),
+                    }),
+                ...inlineView(item.text, onLinkClick),
+              ],
+            ),
+          ),
+        );
+    }
+  });
+}
@@ -0,0 +1,496 @@
+import { h } from "hyperapp";
+import { addBlock } from "../block.js";
+import {
+  LINE_PADDING,
+  PEN_COLORS,
+  PEN_STROKE_WIDTHS,
+  TEXT_BACKGROUNDS,
+} from "../constants.js";
+import { saveMementoAndReturn } from "../memento.js";
+import { getCurrentPage, updateCurrentPage } from "../pages.js";
+import { getSelectedBlocks } from "../selection.js";
+import { getViewportCenterCoordinates } from "../viewport.js";
+import {
+  blockToolbar,
+  toolbarDivider,
+  toolbarSwatch,
+  toolbarToggle,
+} from "./toolbar.js";
+
+/** @type {BlockConfig<ShapeBlock>} */
+export const DEFAULT_SHAPE_BLOCK_CONFIG = {
+  shape: "rectangle",
+  strokeColor: PEN_COLORS[0],
+  fillColor: null,
+  strokeWidth: PEN_STROKE_WIDTHS[1],
+};
+
+/** @type {BlockConfig<LineBlock>} */
+export const DEFAULT_LINE_BLOCK_CONFIG = {
+  flipX: false,
+  flipY: false,
+  arrowHead: true,
+  startBlockId: null,
+  endBlockId: null,
+  strokeColor: PEN_COLORS[0],
+  strokeWidth: PEN_STROKE_WIDTHS[1],
+};
+
+const NEW_SHAPE_WIDTH = 400;
+const NEW_SHAPE_HEIGHT = 300;
+
+// -----------------------------
+// ## Lines
+// -----------------------------
+
+// A line runs between two opposite corners of its block, inset by LINE_PADDING, so moving and
+// resizing the block moves and stretches the line like any other block. An end attached to a
+// block sits where the line crosses that block's edge. Whatever moves, resizes or deletes blocks
+// calls `layoutCurrentPageLines` afterwards, so attached lines follow their blocks.
+
+/**
+ * @typedef {{x: number, y: number}} Point
+ */
+
+/**
+ * @param {LineBlock} block
+ * @returns {{start: Point, end: Point}} Ends of the line in canvas coordinates
+ */
+function getLineEnds(block) {
+  const left = block.x + Math.min(LINE_PADDING, block.width / 2);
+  const right = block.x + block.width - Math.min(LINE_PADDING, block.width / 2);
+  const top = block.y + Math.min(LINE_PADDING, block.height / 2);
+  const bottom =
+    block.y + block.height - Math.min(LINE_PADDING, block.height / 2);
+  return {
+    start: { x: block.flipX ? right : left, y: block.flipY ? bottom : top },
+    end: { x: block.flipX ? left : right, y: block.flipY ? top : bottom },
+  };
+}
+
+/**
+ * @param {Point} start
+ * @param {Point} end
+ * @returns {{x: number, y: number, width: number, height: number, flipX: boolean, flipY: boolean}} Block position for a line between the points
+ */
+function getLineBox(start, end) {
+  return {
+    x: Math.min(start.x, end.x) - LINE_PADDING,
+    y: Math.min(start.y, end.y) - LINE_PADDING,
+    width: Math.abs(end.x - start.x) + 2 * LINE_PADDING,
+    height: Math.abs(end.y - start.y) + 2 * LINE_PADDING,
+    flipX: start.x > end.x,
+    flipY: start.y > end.y,
+  };
+}
+
+/**
+ * @param {Block} block
+ * @returns {Point}
+ */
+function getCenter(block) {
+  return { x: block.x + block.width / 2, y: block.y + block.height / 2 };
+}
+
+/**
+ * @param {Block} block
+ * @param {Point} toward
+ * @returns {Point} Where a line from the center of the block to the point leaves the block
+ */
+function getEdgePoint(block, toward) {
+  const center = getCenter(block);
+  const dx = toward.x - center.x;
+  const dy = toward.y - center.y;
+  const scale = Math.min(
+    dx === 0 ? Infinity : block.width / 2 / Math.abs(dx),
+    dy === 0 ? Infinity : block.height / 2 / Math.abs(dy),
+  );
+  // a point inside the block has no edge in between
+  if (scale >= 1) return center;
+  return { x: center.x + dx * scale, y: center.y + dy * scale };
+}
+
+/**
+ * Moves the attached ends of lines to the edges of their blocks, and releases the ends whose block is gone
+ * @param {Block[]} blocks - Every block of a page
+ * @returns {Block[]} The same array when no line had to change
+ */
+export function layoutAttachedLines(blocks) {
+  const isAttached = (/** @type {Block} */ block) =>
+    block.type === "line" &&
+    (block.startBlockId !== null || block.endBlockId !== null);
+  if (!blocks.some(isAttached)) return blocks;
+
+  let hasChanged = false;
+  const newBlocks = blocks.map((block) => {
+    if (block.type !== "line" || !isAttached(block)) return block;
+
+    const startBlock =
+      blocks.find((b) => b.id === block.startBlockId && b.type !== "line") ??
+      null;
+    const endBlock =
+      blocks.find((b) => b.id === block.endBlockId && b.type !== "line") ??
+      null;
+    const ends = getLineEnds(block);
+    const start = startBlock
+      ? getEdgePoint(startBlock, endBlock ? getCenter(endBlock) : ends.end)
+      : ends.start;
+    const end = endBlock
+      ? getEdgePoint(endBlock, startBlock ? getCenter(startBlock) : ends.start)
+      : ends.end;
+
+    const box = getLineBox(start, end);
+    const isUnchanged =
+      Math.abs(box.x - block.x) < 1e-6 &&
+      Math.abs(box.y - block.y) < 1e-6 &&
+      Math.abs(box.width - block.width) < 1e-6 &&
+      Math.abs(box.height - block.height) < 1e-6 &&
+      box.flipX === block.flipX &&
+      box.flipY === block.flipY &&
+      (startBlock !== null || block.startBlockId === null) &&
+      (endBlock !== null || block.endBlockId === null);
+    if (isUnchanged) return block;
+
+    hasChanged = true;
+    return {
+      ...block,
+      ...box,
+      startBlockId: startBlock ? block.startBlockId : null,
+      endBlockId: endBlock ? block.endBlockId : null,
+    };
+  });
+  return hasChanged ? newBlocks : blocks;
+}
+
+/**
+ * Moves the attached ends of the current page's lines to where their blocks are now
+ * @param {State} state
+ * @returns {State}
+ */
+export function layoutCurrentPageLines(state) {
+  const blocks = getCurrentPage(state).blocks;
+  const newBlocks = layoutAttachedLines(blocks);
+  if (newBlocks === blocks) return state;
+  return updateCurrentPage(state, { blocks: newBlocks });
+}
+
+// -----------------------------
+// ## Adding Shapes
+// -----------------------------
+
+/**
+ * Adds a shape in the center of the viewport
+ * @param {State} state
+ * @param {ShapeBlock["shape"]} shape
+ * @returns {State}
+ */
+export function addShape(state, shape) {
+  const center = getViewportCenterCoordinates(state);
+  const { state: newState, newBlockId } = addBlock(
+    state,
+    "shape",
+    { shape },
+    center.x - NEW_SHAPE_WIDTH / 2,
+    center.y - NEW_SHAPE_HEIGHT / 2,
+    NEW_SHAPE_WIDTH,
+    NEW_SHAPE_HEIGHT,
+  );
+  return updateCurrentPage(newState, { selectedIds: [newBlockId] });
+}
+
+/**
+ * @param {State} state
+ * @returns {[Block, Block] | null} The two selected blocks a new line would connect, in the order they were selected
+ */
+function getBlocksToConnect(state) {
+  const currentPage = getCurrentPage(state);
+  if (currentPage.selectedIds.length !== 2) return null;
+  const blocks = currentPage.selectedIds.map((id) =>
+    currentPage.blocks.find((block) => block.id === id),
+  );
+  if (blocks.some((block) => !block || block.type === "line")) return null;
+  return /** @type {[Block, Block]} */ (blocks);
+}
+
+/**
+ * Adds a line or arrow from the first to the second selected block, attached to both,
+ * or a free one in the center of the viewport when two blocks aren't selected
+ * @param {State} state
+ * @param {boolean} arrowHead
+ * @returns {State}
+ */
+export function addLine(state, arrowHead) {
+  const blocksToConnect = getBlocksToConnect(state);
+  const center = getViewportCenterCoordinates(state);
+  const box = getLineBox(
+    { x: center.x - NEW_SHAPE_WIDTH / 2, y: center.y },
+    { x: center.x + NEW_SHAPE_WIDTH / 2, y: center.y },
+  );
+
+  const { state: newState, newBlockId } = addBlock(
+    state,
+    "line",
+    {
+      arrowHead,
+      flipX: box.flipX,
+      flipY: box.flipY,
+      startBlockId: blocksToConnect?.[0].id ?? null,
+      endBlockId: blocksToConnect?.[1].id ?? null,
+    },
+    box.x,
+    box.y,
+    box.width,
+    box.height,
+  );
+  return updateCurrentPage(layoutCurrentPageLines(newState), {
+    selectedIds: [newBlockId],
+  });
+}
+
+/**
+ * @param {State} state
+ * @returns {LineBlock[]} Selected lines with an end attached to a block
+ */
+export function getSelectedAttachedLines(state) {
+  return getSelectedBlocks(state)
+    .filter((block) => block.type === "line")
+    .filter(
+      (block) => block.startBlockId !== null || block.endBlockId !== null,
+    );
+}
+
+/**
+ * Releases both ends of the selected lines, so they stay where they are when their blocks move
+ * @param {State} state
+ * @returns {State}
+ */
+export function detachSelectedLines(state) {
+  const lineIds = getSelectedAttachedLines(state).map((block) => block.id);
+  const currentPage = getCurrentPage(state);
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) =>
+      block.type === "line" && lineIds.includes(block.id)
+        ? { ...block, startBlockId: null, endBlockId: null }
+        : block,
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+// -----------------------------
+// ## Shape Styling
+// -----------------------------
+
+/**
+ * @typedef {Pick<ShapeBlock, "strokeColor" | "fillColor" | "strokeWidth"> & Pick<LineBlock, "arrowHead">} ShapeStyle
+ */
+
+/**
+ * Restyles shapes and lines as one undoable change. Lines ignore the fill and shapes the arrow head.
+ * @param {State} state
+ * @param {(ShapeBlock | LineBlock)[]} blocks
+ * @param {Partial<ShapeStyle>} style
+ * @returns {State}
+ */
+function styleShapes(state, blocks, style) {
+  const blockIds = blocks.map((block) => block.id);
+  const { fillColor, arrowHead, ...commonStyle } = style;
+  const currentPage = getCurrentPage(state);
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) => {
+      if (!blockIds.includes(block.id)) return block;
+      if (block.type === "shape") {
+        return {
+          ...block,
+          ...commonStyle,
+          ...(fillColor !== undefined ? { fillColor } : {}),
+        };
+      }
+      if (block.type === "line") {
+        return {
+          ...block,
+          ...commonStyle,
+          ...(arrowHead !== undefined ? { arrowHead } : {}),
+        };
+      }
+      return block;
+    }),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+// -----------------------------
+// ## Shape View
+// -----------------------------
+
+/**
+ * @param {State} state
+ * @returns {(ShapeBlock | LineBlock)[]}
+ */
+function getSelectedShapes(state) {
+  return getSelectedBlocks(state).filter(
+    (block) => block.type === "shape" || block.type === "line",
+  );
+}
+
+/**
+ * Toolbar shown above the first selected shape or line, styling all of them at once
+ * @param {State} state
+ * @param {ShapeBlock | LineBlock} block
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+function shapeToolbar(state, block) {
+  const blocks = getSelectedShapes(state);
+  if (blocks[0]?.id !== block.id) return null;
+
+  const firstShape = blocks.find((b) => b.type === "shape");
+  const firstLine = blocks.find((b) => b.type === "line");
+  /**
+   * @param {Partial<ShapeStyle>} style
+   * @returns {(state: State) => State}
+   */
+  const applyStyle = (style) => (state) => styleShapes(state, blocks, style);
+
+  return blockToolbar([
+    ...PEN_COLORS.map((color) =>
+      toolbarSwatch(
+        color,
+        block.strokeColor === color,
+        "stroke color",
+        "round",
+        applyStyle({ strokeColor: color }),
+      ),
+    ),
+    toolbarDivider(),
+    ...PEN_STROKE_WIDTHS.map((strokeWidth) =>
+      toolbarToggle(
+        `${strokeWidth}`,
+        "stroke width",
+        block.strokeWidth === strokeWidth,
+        applyStyle({ strokeWidth }),
+      ),
+    ),
+    ...(firstShape
+      ? [
+          toolbarDivider(),
+          ...[null, ...TEXT_BACKGROUNDS].map((color) =>
+            toolbarSwatch(
+              color,
+              firstShape.fillColor === color,
+              color === null ? "no fill" : "fill color",
+              "square",
+              applyStyle({ fillColor: color }),
+            ),
+          ),
+        ]
+      : []),
+    ...(firstLine
+      ? [
+          toolbarDivider(),
+          toolbarToggle(
+            "→",
+            "arrow head",
+            firstLine.arrowHead,
+            applyStyle({ arrowHead: !firstLine.arrowHead }),
+          ),
+        ]
+      : []),
+  ]);
+}
+
+/**
+ * @param {State} state
+ * @param {ShapeBlock} block
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+export function shapeContent(state, block) {
+  const { width, height, strokeWidth } = block;
+  const fill = block.fillColor ?? "none";
+  const stroke = block.strokeColor;
+
+  return h("div", { style: { width: "100%", height: "100%" } }, [
+    h(
+      "svg",
+      {
+        width: `${width}`,
+        height: `${height}`,
+        style: { display: "block", overflow: "visible" },
+      },
+      block.shape === "rectangle"
+        ? h("rect", {
+            x: `${strokeWidth / 2}`,
+            y: `${strokeWidth / 2}`,
+            width: `${Math.max(0, width - strokeWidth)}`,
+            height: `${Math.max(0, height - strokeWidth)}`,
+            rx: "12",
+            fill,
+            stroke,
+            "stroke-width": `${strokeWidth}`,
+          })
+        : h("ellipse", {
+            cx: `${width / 2}`,
+            cy: `${height / 2}`,
+            rx: `${Math.max(0, (width - strokeWidth) / 2)}`,
+            ry: `${Math.max(0, (height - strokeWidth) / 2)}`,
+            fill,
+            stroke,
+            "stroke-width": `${strokeWidth}`,
+          }),
+    ),
+    shapeToolbar(state, block),
+  ]);
+}
+
+/**
+ * @param {State} state
+ * @param {LineBlock} block
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+export function lineContent(state, block) {
+  const { start, end } = getLineEnds(block);
+  const x1 = start.x - block.x;
+  const y1 = start.y - block.y;
+  const x2 = end.x - block.x;
+  const y2 = end.y - block.y;
+
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const headSize = Math.max(16, block.strokeWidth * 3);
+  // the line stops inside the head, so its square end doesn't poke out of the tip
+  const lineEndX = block.arrowHead ? x2 - Math.cos(angle) * headSize * 0.8 : x2;
+  const lineEndY = block.arrowHead ? y2 - Math.sin(angle) * headSize * 0.8 : y2;
+  const headPoints = [-0.45, 0.45]
+    .map(
+      (spread) =>
+        `${x2 - Math.cos(angle + spread) * headSize},${y2 - Math.sin(angle + spread) * headSize}`,
+    )
+    .join(" ");
+
+  return h("div", { style: { width: "100%", height: "100%" } }, [
+    h(
+      "svg",
+      {
+        width: `${block.width}`,
+        height: `${block.height}`,
+        style: { display: "block", overflow: "visible" },
+      },
+      [
+        h("line", {
+          x1: `${x1}`,
+          y1: `${y1}`,
+          x2: `${lineEndX}`,
+          y2: `${lineEndY}`,
+          stroke: block.strokeColor,
+          "stroke-width": `${block.strokeWidth}`,
+          "stroke-linecap": block.arrowHead ? "butt" : "round",
+        }),
+        block.arrowHead
+          ? h("polygon", {
+              points: `${x2},${y2} ${headPoints}`,
+              fill: block.strokeColor,
+            })
+          : null,
+      ],
+    ),
+    shapeToolbar(state, block),
+  ]);
+}
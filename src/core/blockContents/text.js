@@ -1,7 +1,36 @@
 import { h, text } from "hyperapp";
-import { addTextBlock, updateBlock } from "../block.js";
-import { DEFAULT_BLOCK_WIDTH, DEFAULT_BLOCK_HEIGHT } from "../constants.js";
+import { addChildBlock, addTextBlock, updateBlock } from "../block.js";
+import {
+  DEFAULT_BLOCK_WIDTH,
+  DEFAULT_BLOCK_HEIGHT,
+  FONT_FAMILIES,
+  FONT_SIZES,
+  MIN_SIZE,
+  TEXT_BACKGROUNDS,
+  TEXT_COLORS,
+} from "../constants.js";
+import { saveMementoAndReturn } from "../memento.js";
+import { getCurrentPage, updateCurrentPage } from "../pages.js";
+import { getSelectedBlocks } from "../selection.js";
+import { focusEffect, updateState } from "../utils.js";
 import { getViewportCenterCoordinates } from "../viewport.js";
+import { markdownView, toggleMarkdownTask } from "./markdown.js";
+import { layoutCurrentPageLines } from "./shape.js";
+import {
+  blockToolbar,
+  toolbarDivider,
+  toolbarSelectStyle,
+  toolbarSwatch,
+  toolbarToggle,
+} from "./toolbar.js";
+
+/**
+ * @param {number} blockId
+ * @returns {string} Id of the text area of the block, or of the markdown rendered in its place
+ */
+function textAreaDomId(blockId) {
+  return `text-block-${blockId}`;
+}
 
 /**
  * @param {State} state
@@ -15,30 +44,328 @@ export function textContent(state, block) {
    * @returns {import("hyperapp").Dispatchable<State>}
    */
   function oninput(state, event) {
-    return updateBlock(state, block.id, {
+    const newState = updateBlock(state, block.id, {
       value: /** @type {HTMLInputElement} */ (event.target).value,
     });
+    if (!block.autoGrow) return newState;
+    return [newState, [fitTextHeightEffect, [block.id]]];
   }
 
-  return h("textarea", {
-    oninput,
-    style: {
-      outline: "none", // disable orange editing border
-      padding: "5px",
-      background: "transparent",
-      border: "none",
-      resize: "none", // disable resize handler
-      width: "100%",
-      height: "100%",
-      boxSizing: "border-box",
-      overflow: "hidden",
-      // config types
-      fontSize: `${block.fontSize}px`,
-    },
-    value: block.value,
+  const selectedTextBlocks = getSelectedTextBlocks(state);
+
+  /** @type {import("hyperapp").StyleProp} */
+  const style = {
+    outline: "none", // disable orange editing border
+    padding: "5px",
+    background: block.background ?? "transparent",
+    border: "none",
+    borderRadius: block.background ? "8px" : "0",
+    resize: "none", // disable resize handler
+    width: "100%",
+    height: "100%",
+    boxSizing: "border-box",
+    overflow: "hidden",
+    // config types
+    fontSize: `${block.fontSize}px`,
+    fontFamily: block.fontFamily,
+    textAlign: block.textAlign,
+    // the theme's color from the stylesheet applies when no color is set
+    ...(block.color ? { color: block.color } : {}),
+  };
+
+  return h("div", { style: { width: "100%", height: "100%" } }, [
+    block.markdown && state.markdownEditId !== block.id
+      ? h(
+          "div",
+          {
+            id: textAreaDomId(block.id),
+            style: { ...style, overflowWrap: "anywhere" },
+            ondblclick: (state) => editMarkdownSource(state, block.id),
+          },
+          markdownView(
+            block.value,
+            (href) => (state) => addChildBlock(state, block.id, href, false),
+            (line) => (state) =>
+              toggleMarkdownTaskOfBlock(state, block.id, line),
+          ),
+        )
+      : h("textarea", {
+          id: textAreaDomId(block.id),
+          oninput,
+          onblur: (state) => finishMarkdownEdit(state, block.id),
+          style,
+          value: block.value,
+        }),
+    // one toolbar edits every selected text block, so only the first one shows it
+    selectedTextBlocks[0]?.id === block.id
+      ? textToolbar(state, selectedTextBlocks)
+      : null,
+  ]);
+}
+
+// -----------------------------
+// ## Text Styling
+// -----------------------------
+
+/**
+ * @param {State} state
+ * @returns {TextBlock[]}
+ */
+function getSelectedTextBlocks(state) {
+  return getSelectedBlocks(state).filter((block) => block.type === "text");
+}
+
+/**
+ * Restyles text blocks as one undoable change
+ * @param {State} state
+ * @param {TextBlock[]} blocks
+ * @param {Partial<BlockConfig<TextBlock>>} style
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function styleTextBlocks(state, blocks, style) {
+  const blockIds = blocks.map((block) => block.id);
+  const currentPage = getCurrentPage(state);
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) =>
+      block.type === "text" && blockIds.includes(block.id)
+        ? { ...block, ...style }
+        : block,
+    ),
+  });
+  return [
+    saveMementoAndReturn(state, newState),
+    // the size of the text may have changed, so auto growing blocks need a new height
+    [fitTextHeightEffect, blockIds],
+  ];
+}
+
+/**
+ * Sets the height of auto growing text blocks to the height of their text, once it's rendered.
+ * Other blocks among `blockIds` are left alone.
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {number[]} blockIds
+ */
+export function fitTextHeightEffect(dispatch, blockIds) {
+  requestAnimationFrame(() => {
+    for (const blockId of blockIds) {
+      const textArea = document.getElementById(textAreaDomId(blockId));
+      if (!textArea) continue;
+      // the text area fills the block, so it has to shrink to measure the text
+      textArea.style.height = "0";
+      const height = Math.max(MIN_SIZE, textArea.scrollHeight);
+      textArea.style.height = "100%";
+
+      dispatch((state) => {
+        const block = getCurrentPage(state).blocks.find(
+          (b) => b.id === blockId,
+        );
+        if (block?.type !== "text" || !block.autoGrow) return state;
+        if (block.height === height) return state;
+        return layoutCurrentPageLines(updateBlock(state, blockId, { height }));
+      });
+    }
   });
 }
 
+// -----------------------------
+// ## Markdown
+// -----------------------------
+
+// Text blocks with `markdown` set show their text rendered, see markdown.js. Double-clicking one
+// shows its source in the text area until the text area loses focus.
+
+const NEW_MARKDOWN_WIDTH = 400;
+
+/**
+ * Adds an auto growing markdown text block in the center of the viewport, with its source open
+ * @param {State} state
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+export function addMarkdownBlock(state) {
+  const center = getViewportCenterCoordinates(state);
+  const { state: newState, newBlockId } = addTextBlock(
+    state,
+    { value: "", markdown: true, autoGrow: true },
+    center.x - NEW_MARKDOWN_WIDTH / 2,
+    center.y,
+    NEW_MARKDOWN_WIDTH,
+    MIN_SIZE,
+  );
+  return editMarkdownSource(
+    updateCurrentPage(newState, { selectedIds: [newBlockId] }),
+    newBlockId,
+  );
+}
+
+/**
+ * Shows the source of a markdown text block instead of the rendered markdown
+ * @param {State} state
+ * @param {number} blockId
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function editMarkdownSource(state, blockId) {
+  return [
+    updateState(state, { markdownEditId: blockId }),
+    [focusEffect, { id: textAreaDomId(blockId) }],
+    // the source and the rendered markdown rarely have the same height
+    [fitTextHeightEffect, [blockId]],
+  ];
+}
+
+/**
+ * Renders the markdown of a text block again once its source is done being edited
+ * @param {State} state
+ * @param {number} blockId
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function finishMarkdownEdit(state, blockId) {
+  if (state.markdownEditId !== blockId) return state;
+  return [
+    updateState(state, { markdownEditId: null }),
+    [fitTextHeightEffect, [blockId]],
+  ];
+}
+
+/**
+ * Checks or unchecks a task list item of a markdown text block as one undoable change
+ * @param {State} state
+ * @param {number} blockId
+ * @param {number} line - Line of the task list item in the source
+ * @returns {State}
+ */
+function toggleMarkdownTaskOfBlock(state, blockId, line) {
+  const block = getCurrentPage(state).blocks.find((b) => b.id === blockId);
+  if (block?.type !== "text") return state;
+  return saveMementoAndReturn(
+    state,
+    updateBlock(state, blockId, {
+      value: toggleMarkdownTask(block.value, line),
+    }),
+  );
+}
+
+// -----------------------------
+// ## Text Toolbar
+// -----------------------------
+
+/**
+ * Floating toolbar above the selected text blocks that styles all of them at once
+ * @param {State} state
+ * @param {TextBlock[]} blocks - Selected text blocks, the first one shows the current style
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+function textToolbar(state, blocks) {
+  const [first] = blocks;
+  /**
+   * @param {Partial<BlockConfig<TextBlock>>} style
+   * @returns {(state: State) => import("hyperapp").Dispatchable<State>}
+   */
+  const applyStyle = (style) => (state) =>
+    styleTextBlocks(state, blocks, style);
+
+  return blockToolbar([
+    h(
+      "select",
+      {
+        title: "font",
+        value: first.fontFamily,
+        style: toolbarSelectStyle,
+        onchange: (state, event) =>
+          styleTextBlocks(state, blocks, {
+            fontFamily: /** @type {HTMLSelectElement} */ (event.target).value,
+          }),
+      },
+      FONT_FAMILIES.map((font) =>
+        h("option", { key: font.value, value: font.value }, text(font.name)),
+      ),
+    ),
+    fontSizeDropdown(blocks),
+    toolbarDivider(),
+    ...[null, ...TEXT_COLORS].map((color) =>
+      toolbarSwatch(
+        color,
+        first.color === color,
+        color === null ? "default text color" : "text color",
+        "round",
+        applyStyle({ color }),
+      ),
+    ),
+    toolbarDivider(),
+    ...[null, ...TEXT_BACKGROUNDS].map((background) =>
+      toolbarSwatch(
+        background,
+        first.background === background,
+        background === null ? "no background" : "background",
+        "square",
+        applyStyle({ background }),
+      ),
+    ),
+    toolbarDivider(),
+    ...TEXT_ALIGNS.map(({ align, display }) =>
+      toolbarToggle(
+        display,
+        `align ${align}`,
+        first.textAlign === align,
+        applyStyle({ textAlign: align }),
+      ),
+    ),
+    toolbarDivider(),
+    toolbarToggle(
+      "↕",
+      "grow with the text",
+      first.autoGrow,
+      applyStyle({ autoGrow: !first.autoGrow }),
+    ),
+    toolbarToggle(
+      "M↓",
+      "render as markdown",
+      first.markdown,
+      applyStyle({ markdown: !first.markdown }),
+    ),
+  ]);
+}
+
+/** @type {{align: TextAlign, display: string}[]} */
+const TEXT_ALIGNS = [
+  { align: "left", display: "⇤" },
+  { align: "center", display: "↔" },
+  { align: "right", display: "⇥" },
+];
+
+/**
+ * @param {TextBlock[]} blocks
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+function fontSizeDropdown(blocks) {
+  const currentFontSize = blocks[0].fontSize;
+  // a size set before the list of sizes changed is still shown
+  const fontSizes = FONT_SIZES.includes(currentFontSize)
+    ? FONT_SIZES
+    : [...FONT_SIZES, currentFontSize].sort((a, b) => a - b);
+
+  return h(
+    "select",
+    {
+      title: "font size",
+      value: `${currentFontSize}`,
+      style: toolbarSelectStyle,
+      onchange: (state, event) =>
+        styleTextBlocks(state, blocks, {
+          fontSize: parseInt(
+            /** @type {HTMLSelectElement} */ (event.target).value,
+          ),
+        }),
+    },
+    fontSizes.map((size) =>
+      h(
+        "option",
+        { value: size.toString(), key: size.toString() },
+        text(`${size}px`),
+      ),
+    ),
+  );
+}
+
 /**
  * @param {State} state - Current application state
  * @returns {import("hyperapp").ElementVNode<State>}
@@ -65,64 +392,14 @@ export function newTextBlock(state) {
   return h("button", { onclick }, text("𝐓"));
 }
 
-// /**
-//  * @param {State} state - Current application state
-//  * @returns {import("hyperapp").ElementVNode<State>}
-//  */
-// export function fontSizeDropdown(state) {
-//   const editingBlock = getEditingBlock(state);
-//   const hoveredBlock = getHoveredBlock(state);
-//   const activeBlock = editingBlock || hoveredBlock;
-//
-//   const enabled = editingBlock && editingBlock.type === "text";
-//   const currentFontSize =
-//     activeBlock && activeBlock.type === "text" ? activeBlock.fontSize : 0;
-//
-//   /**
-//    * @param {State} state
-//    * @param {Event} event
-//    * @returns {import("hyperapp").Dispatchable<State>}
-//    */
-//   function onchange(state, event) {
-//     if (!enabled) return state;
-//
-//     const selectedBlock = /** @type {TextBlock} */ (editingBlock);
-//     const newFontSize = parseInt(
-//       /** @type {HTMLSelectElement} */ (event.target).value,
-//     );
-//
-//     return updateBlock(state, selectedBlock.id, {
-//       fontSize: newFontSize,
-//     });
-//   }
-//
-//   return h(
-//     "select",
-//     {
-//       disabled: !enabled,
-//       onchange,
-//       value: `${currentFontSize}`,
-//       style: {
-//         marginRight: "8px",
-//       },
-//     },
-//     [
-//       ...FONT_SIZES.map((size) =>
-//         h(
-//           "option",
-//           {
-//             value: size.toString(),
-//             key: size.toString(),
-//           },
-//           text(`${size}px`),
-//         ),
-//       ),
-//     ],
-//   );
-// }
-
 /** @type {BlockConfig<TextBlock>} */
 export const DEFAULT_TEXT_BLOCK_CONFIG = {
   value: "default text",
   fontSize: 14,
+  fontFamily: FONT_FAMILIES[0].value,
+  color: null,
+  background: null,
+  textAlign: "left",
+  autoGrow: false,
+  markdown: false,
 };
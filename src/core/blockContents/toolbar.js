@@ -0,0 +1,112 @@
+import { h, text } from "hyperapp";
+import { stopPropagation } from "../utils.js";
+
+// -----------------------------
+// ## Block Toolbar
+// -----------------------------
+
+// Floating toolbar above a selected block, used by the blocks that can be styled. It is drawn
+// inside the canvas, so it's sized for the zoom levels the canvas is usually at.
+
+/**
+ * @param {import("hyperapp").MaybeVNode<State>[]} children
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+export function blockToolbar(children) {
+  return h(
+    "div",
+    {
+      class: "block-toolbar",
+      style: {
+        position: "absolute",
+        bottom: "100%",
+        left: "0",
+        marginBottom: "24px",
+        display: "flex",
+        flexDirection: "row",
+        alignItems: "center",
+        gap: "10px",
+        padding: "10px 20px",
+        borderRadius: "25px",
+        border: "2px solid grey",
+        backdropFilter: "blur(5px)",
+        fontSize: "28px",
+        whiteSpace: "nowrap",
+        cursor: "default",
+      },
+      // using the toolbar shouldn't start dragging the block
+      onpointerdown: stopPropagation,
+      onkeydown: stopPropagation,
+    },
+    children,
+  );
+}
+
+/**
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+export function toolbarDivider() {
+  return h("div", {
+    class: "block-toolbar-divider",
+    style: { width: "2px", alignSelf: "stretch" },
+  });
+}
+
+/** @type {import("hyperapp").StyleProp} */
+export const toolbarSelectStyle = {
+  fontSize: "28px",
+  height: "50px",
+  borderRadius: "10px",
+};
+
+/**
+ * @param {string | null} color - null is the default or no color, shown crossed out
+ * @param {boolean} isCurrent
+ * @param {string} title
+ * @param {"round" | "square"} shape
+ * @param {(state: State) => import("hyperapp").Dispatchable<State>} onclick
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+export function toolbarSwatch(color, isCurrent, title, shape, onclick) {
+  return h("button", {
+    title,
+    class: { "block-toolbar-swatch-default": color === null },
+    style: {
+      width: "40px",
+      height: "40px",
+      flexShrink: "0",
+      borderRadius: shape === "round" ? "50%" : "8px",
+      background: color ?? "transparent",
+      border: isCurrent ? "4px solid #4e8fd6" : "2px solid grey",
+      cursor: "pointer",
+    },
+    onclick,
+  });
+}
+
+/**
+ * @param {string} display
+ * @param {string} title
+ * @param {boolean} isActive
+ * @param {(state: State) => import("hyperapp").Dispatchable<State>} onclick
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+export function toolbarToggle(display, title, isActive, onclick) {
+  return h(
+    "button",
+    {
+      title,
+      class: { "block-toolbar-toggle-active": isActive },
+      style: {
+        minWidth: "50px",
+        height: "50px",
+        borderRadius: "12px",
+        border: "2px solid grey",
+        fontSize: "28px",
+        cursor: "pointer",
+      },
+      onclick,
+    },
+    text(display),
+  );
+}
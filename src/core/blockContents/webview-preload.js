@@ -141,3 +141,163 @@ observer.observe(document, {
   childList: true,
   subtree: true,
 });
+
+// Link hints: the host asks for them, the page labels its visible links with letters,
+// and typing a label sends the link to the host like a cmd + click does
+const HINT_CHARACTERS = "sadfjklewcmpgh";
+
+/** @type {{container: HTMLElement, hints: {label: string, href: string, element: HTMLElement}[], typed: string} | null} */
+let linkHints = null;
+
+/**
+ * @param {number} count
+ * @returns {string[]} Labels of equal length so none is the start of another
+ */
+function getHintLabels(count) {
+  let length = 1;
+  while (HINT_CHARACTERS.length ** length < count) length++;
+  return Array.from({ length: count }, (_, index) => {
+    let label = "";
+    for (let i = 0; i < length; i++) {
+      label = HINT_CHARACTERS[index % HINT_CHARACTERS.length] + label;
+      index = Math.floor(index / HINT_CHARACTERS.length);
+    }
+    return label;
+  });
+}
+
+/**
+ * @returns {{anchor: HTMLAnchorElement, rect: DOMRect}[]} Links with an href that are at least partly on screen
+ */
+function getVisibleAnchors() {
+  return [...document.getElementsByTagName("a")]
+    .filter((anchor) => {
+      const href = anchor.getAttribute("href");
+      return href && !href.startsWith("#") && !href.startsWith("javascript:");
+    })
+    .map((anchor) => ({ anchor, rect: anchor.getBoundingClientRect() }))
+    .filter(
+      ({ rect }) =>
+        rect.width > 0 &&
+        rect.height > 0 &&
+        rect.bottom > 0 &&
+        rect.right > 0 &&
+        rect.top < window.innerHeight &&
+        rect.left < window.innerWidth,
+    );
+}
+
+function showLinkHints() {
+  hideLinkHints();
+  const anchors = getVisibleAnchors();
+  if (anchors.length === 0) return;
+
+  const container = document.createElement("div");
+  Object.assign(container.style, {
+    position: "fixed",
+    inset: "0",
+    zIndex: "2147483647",
+    pointerEvents: "none",
+  });
+  const labels = getHintLabels(anchors.length);
+  const hints = anchors.map(({ anchor, rect }, i) => {
+    const element = document.createElement("span");
+    element.textContent = labels[i];
+    Object.assign(element.style, {
+      position: "absolute",
+      left: `${Math.max(0, rect.left)}px`,
+      top: `${Math.max(0, rect.top)}px`,
+      padding: "1px 3px",
+      borderRadius: "3px",
+      border: "1px solid #c38a22",
+      background: "#fff785",
+      color: "#302505",
+      font: "bold 12px monospace",
+      textTransform: "uppercase",
+      lineHeight: "1.2",
+    });
+    container.appendChild(element);
+    return {
+      label: labels[i],
+      href: getAbsoluteHref(
+        /** @type {string} */ (anchor.getAttribute("href")),
+      ),
+      element,
+    };
+  });
+  document.documentElement.appendChild(container);
+  linkHints = { container, hints, typed: "" };
+}
+
+function hideLinkHints() {
+  linkHints?.container.remove();
+  linkHints = null;
+}
+
+// runs before the page's handlers and the keydown forwarding above, so keys typed for a hint go nowhere else
+window.addEventListener(
+  "keydown",
+  (event) => {
+    if (!linkHints) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    const key = event.key.toLowerCase();
+    if (key === "backspace") {
+      linkHints.typed = linkHints.typed.slice(0, -1);
+    } else if (key.length === 1 && HINT_CHARACTERS.includes(key)) {
+      linkHints.typed += key;
+    } else {
+      // escape and every other key leave hint mode
+      hideLinkHints();
+      return;
+    }
+
+    const typed = linkHints.typed;
+    const matches = linkHints.hints.filter((hint) =>
+      hint.label.startsWith(typed),
+    );
+    const hit = matches.find((hint) => hint.label === typed);
+    if (hit) {
+      hideLinkHints();
+      ipcRenderer.sendToHost("anchor-click", { href: hit.href });
+      return;
+    }
+    if (matches.length === 0) {
+      hideLinkHints();
+      return;
+    }
+    for (const hint of linkHints.hints) {
+      hint.element.style.display = hint.label.startsWith(typed) ? "" : "none";
+    }
+  },
+  true,
+);
+
+window.addEventListener("blur", hideLinkHints);
+window.addEventListener("scroll", hideLinkHints, true);
+ipcRenderer.on("link-hints", showLinkHints);
+
+// Send the readable text of the page to the host once it has loaded, so it can be searched later
+const MAX_PAGE_TEXT_LENGTH = 20000;
+// give pages that render their content with scripts a moment after the load event
+const PAGE_TEXT_DELAY_MS = 1000;
+
+function sendPageText() {
+  if (!document.body) return;
+  const text = document.body.innerText
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_PAGE_TEXT_LENGTH);
+  if (!text) return;
+
+  ipcRenderer.sendToHost("page-text", {
+    url: window.location.href,
+    title: document.title,
+    text,
+  });
+}
+
+window.addEventListener("load", () => {
+  setTimeout(sendPageText, PAGE_TEXT_DELAY_MS);
+});
@@ -1,18 +1,18 @@
 import { h, text } from "hyperapp";
+import { addChildBlock, updateBlock } from "../block.js";
 import {
-  addChildBlock,
-  deleteBlock,
-  sendToBack,
-  sendToFront,
-  updateBlock,
-} from "../block.js";
-import { BLOCK_CONTENTS_CLASS_NAME } from "../constants.js";
+  BLOCK_CONTENTS_CLASS_NAME,
+  MAX_WEBVIEW_HISTORY_LENGTH,
+} from "../constants.js";
 import {
   getCurrentBlocks,
   getCurrentPage,
   updateCurrentPage,
 } from "../pages.js";
 import { getDomainFromUrl, pipe, stopPropagation } from "../utils.js";
+import { addGroupMembers } from "../groups.js";
+import { indexPageTextEffect } from "../search.js";
+import { getCommand } from "../commands.js";
 import {
   enableWebviewContextMenu,
   enableWebviewContextMenuManual,
@@ -22,7 +22,7 @@ import {
  * @param {number} blockId
  * @returns {string}
  */
-function webviewDomId(blockId) {
+export function webviewDomId(blockId) {
   return `webview-${blockId}`;
 }
 
@@ -53,9 +53,10 @@ export function webviewBlockContents(state, block) {
 
     return pipe(
       state,
+      // the page area selects the block's group like the rest of the block does
       (state) =>
         updateCurrentPage(state, {
-          selectedIds: [block.id],
+          selectedIds: addGroupMembers(getCurrentPage(state), [block.id]),
         }),
       (state) => updateBlock(state, block.id, { isPreview: false }),
     );
@@ -170,12 +171,22 @@ function webview(state, block) {
           const block = getCurrentBlocks(state).find(
             (b) => b.id === parentBlockId,
           );
-          if (block && block.type === "webview" && block.previewChildId) {
+          const previewChild = getCurrentBlocks(state).find(
+            (b) => block?.type === "webview" && b.id === block.previewChildId,
+          );
+          if (
+            block &&
+            block.type === "webview" &&
+            block.previewChildId &&
+            previewChild?.type === "webview"
+          ) {
             const blockPreviewChildId = block.previewChildId;
             return pipe(
               state,
               (s) =>
                 updateBlock(s, blockPreviewChildId, {
+                  // link hints click links without hovering them first, so the preview can be of another link
+                  initialSrc: clickHref,
                   isPreview: false,
                 }),
               (s) =>
@@ -238,6 +249,32 @@ function webview(state, block) {
         return enableWebviewContextMenuManual(state, realX, realY, block, null);
       }
 
+      case "page-text": {
+        const pageText = args[0];
+        const block = getCurrentBlocks(state).find(
+          (b) => b.id === parentBlockId,
+        );
+        // previews only show pages while a link is hovered, so they aren't worth remembering
+        if (!block || block.type !== "webview" || block.isPreview) return state;
+        if (!pageText?.text) return state;
+        return [
+          state,
+          [
+            indexPageTextEffect,
+            {
+              workspaceId: state.workspace.id,
+              page: {
+                pageId: state.currentPageId,
+                blockId: block.id,
+                url: pageText.url,
+                title: pageText.title,
+                text: pageText.text,
+              },
+            },
+          ],
+        ];
+      }
+
       default:
         console.error("Unknown IPC channel:", channel);
         return state;
@@ -276,20 +313,16 @@ function webview(state, block) {
 
   /**
    * @param {State} state
-   * @param {import("electron").DidNavigateEvent} event
+   * @param {string} url
    * @return {State}
    */
-  function handleNavigationChange(state, event) {
-    const webviewElement = getWebviewElementIfDomReady(block);
-
-    if (!webviewElement) {
-      return updateBlock(state, block.id, { currentSrc: event.url });
-    }
+  function handleNavigationChange(state, url) {
+    const currentBlock = getCurrentBlocks(state).find((b) => b.id === block.id);
+    if (!currentBlock || currentBlock.type !== "webview") return state;
 
     return updateBlock(state, block.id, {
-      currentSrc: event.url,
-      canGoBack: webviewElement.canGoBack(),
-      canGoForward: webviewElement.canGoForward(),
+      currentSrc: url,
+      ...recordNavigation(currentBlock, url),
     });
   }
 
@@ -316,11 +349,13 @@ function webview(state, block) {
     "ondid-navigate": (
       /** @type {State} */ state,
       /** @type {import("electron").DidNavigateEvent} */ event,
-    ) => handleNavigationChange(state, event),
+    ) => handleNavigationChange(state, event.url),
     "ondid-navigate-in-page": (
       /** @type {State} */ state,
-      /** @type {import("electron").DidNavigateEvent} */ event,
-    ) => handleNavigationChange(state, event),
+      /** @type {import("electron").DidNavigateInPageEvent} */ event,
+    ) =>
+      // navigations inside iframes aren't part of the block's history
+      event.isMainFrame ? handleNavigationChange(state, event.url) : state,
     "ondom-ready": (/** @type {State} */ state, /** @type {Event} */ event) =>
       handleDomReady(state, event),
     "onipc-message": (/** @type {State} */ state, /** @type {Event} */ event) =>
@@ -373,16 +408,16 @@ function toolbar(state, block, position) {
       // onpointerleave: stopPropagation,
     },
     [
-      backButton(state, block),
-      forwardButton(state, block),
-      deleteButton(block),
+      commandButton(state, block, "webview.goBack", "←"),
+      commandButton(state, block, "webview.goForward", "→"),
+      commandButton(state, block, "block.delete", "X"),
       divider,
-      sendToBackButton(block),
-      sendToFrontButton(block),
+      commandButton(state, block, "block.sendToBack", "↓"),
+      commandButton(state, block, "block.sendToFront", "↑"),
       divider,
       webviewZoomLabel(block),
-      zoomOutButton(block),
-      zoomInButton(block),
+      commandButton(state, block, "webview.zoomOut", "-"),
+      commandButton(state, block, "webview.zoomIn", "+"),
     ],
   );
 }
@@ -398,39 +433,44 @@ function webviewZoomLabel(block) {
 }
 
 /**
+ * Changes the zoom level of the page shown in a webview block
+ * @param {State} state
  * @param {WebviewBlock} block
- * @return {import("hyperapp").ElementVNode<State>}
+ * @param {number} delta
+ * @returns {State}
  */
-function zoomOutButton(block) {
-  /**
-   * @param {State} state
-   */
-  function onclick(state) {
-    const webviewElement = getWebviewElementIfDomReady(block);
-    if (!webviewElement) return state;
-    const zoomLevel = webviewElement.getZoomLevel();
-    webviewElement.setZoomLevel(zoomLevel - 0.5);
-    return state;
-  }
-  return button("-", onclick, true);
+export function zoomWebviewPage(state, block, delta) {
+  const webviewElement = getWebviewElementIfDomReady(block);
+  if (!webviewElement) return state;
+  const zoomLevel = webviewElement.getZoomLevel();
+  webviewElement.setZoomLevel(zoomLevel + delta);
+  return state;
 }
 
 /**
+ * Labels the links visible in a webview block with letters. Typing a label opens the link
+ * in a child block, the page answers with the same "anchor-click" message a cmd + click sends.
+ * @param {State} state
  * @param {WebviewBlock} block
- * @return {import("hyperapp").ElementVNode<State>}
+ * @returns {import("hyperapp").Dispatchable<State>}
  */
-function zoomInButton(block) {
-  /**
-   * @param {State} state
-   */
-  function onclick(state) {
-    const webviewElement = getWebviewElementIfDomReady(block);
-    if (!webviewElement) return state;
-    const zoomLevel = webviewElement.getZoomLevel();
-    webviewElement.setZoomLevel(zoomLevel + 0.5);
-    return state;
-  }
-  return button("+", onclick, true);
+export function showLinkHints(state, block) {
+  return [
+    updateCurrentPage(state, { selectedIds: [block.id] }),
+    [showLinkHintsEffect, block],
+  ];
+}
+
+/**
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {WebviewBlock} block
+ */
+function showLinkHintsEffect(dispatch, block) {
+  const webviewElement = getWebviewElementIfDomReady(block);
+  if (!webviewElement) return;
+  // the page has to receive the keys of the label being typed
+  webviewElement.focus();
+  webviewElement.send("link-hints");
 }
 
 /**
@@ -505,34 +545,13 @@ function titleBar(state, block) {
   );
 }
 
-/**
- * @param {State} state
- * @param {WebviewBlock} block
- * @returns {import("hyperapp").ElementVNode<State>}
- */
-function backButton(state, block) {
-  return navigationButton(block, "back", "←");
-}
-
-/**
- * @param {State} state
- * @param {WebviewBlock} block
- * @returns {import("hyperapp").ElementVNode<State>}
- */
-function forwardButton(state, block) {
-  return navigationButton(block, "forward", "→");
-}
-
 /**
  * @param {State} state
  * @param {WebviewBlock} block
  * @returns {State}
  */
 export function webviewGoBack(state, block) {
-  const webviewElement = getWebviewElementIfDomReady(block);
-  if (!webviewElement) return state;
-  webviewElement.goBack();
-  return state;
+  return navigateWebviewHistory(state, block.id, -1);
 }
 
 /**
@@ -541,71 +560,88 @@ export function webviewGoBack(state, block) {
  * @returns {State}
  */
 export function webviewGoForward(state, block) {
-  const webviewElement = getWebviewElementIfDomReady(block);
-  if (!webviewElement) return state;
-  webviewElement.goForward();
-  return state;
+  return navigateWebviewHistory(state, block.id, 1);
 }
 
 /**
- * @param {WebviewBlock} block
- * @param {"back" | "forward"} direction
- * @param {string} display
- * @returns {import("hyperapp").ElementVNode<State>}
+ * Moves through a webview block's saved history.
+ * The webview's own back/forward stack is empty after a restart, so this always loads the url from the saved history.
+ * @param {State} state
+ * @param {number} blockId
+ * @param {-1 | 1} delta - -1 to go back, 1 to go forward
+ * @returns {State}
  */
-function navigationButton(block, direction, display) {
-  /** @type {Boolean} */
-  const enabled = (() => {
-    switch (direction) {
-      case "back":
-        return block.canGoBack;
-      case "forward":
-        return block.canGoForward;
-    }
-  })();
+function navigateWebviewHistory(state, blockId, delta) {
+  const block = getCurrentBlocks(state).find((b) => b.id === blockId);
+  if (!block || block.type !== "webview") return state;
 
-  /**
-   * @param {State} state
-   * @returns {import("hyperapp").Dispatchable<State>}
-   */
-  function onclick(state) {
-    switch (direction) {
-      case "back":
-        webviewGoBack(state, block);
-        break;
-      case "forward":
-        webviewGoForward(state, block);
-        break;
-    }
+  const historyIndex = block.historyIndex + delta;
+  const url = block.history[historyIndex];
+  if (url === undefined) return state;
 
-    return state;
+  const webviewElement = getWebviewElementIfDomReady(block);
+  if (!webviewElement) {
+    // the webview isn't ready to navigate yet, so have it load the url once it is
+    return updateBlock(state, block.id, {
+      historyIndex,
+      currentSrc: url,
+      initialSrc: url,
+    });
   }
 
-  return button(display, onclick, enabled);
+  // historyIndex is updated first, so the resulting navigation event is recognized as this history entry
+  webviewElement.loadURL(url);
+  return updateBlock(state, block.id, { historyIndex, currentSrc: url });
 }
 
 /**
+ * Works out a webview block's history after it navigated to `url`
  * @param {WebviewBlock} block
- * @returns {import("hyperapp").ElementVNode<State>}
+ * @param {string} url
+ * @returns {{history: string[], historyIndex: number}}
  */
-function deleteButton(block) {
-  return button("X", (state) => deleteBlock(state, block.id), true);
-}
+function recordNavigation(block, url) {
+  const { history, historyIndex } = block;
 
-/**
- * @param {WebviewBlock} block
- * @returns {import("hyperapp").ElementVNode<State>}
- */
-function sendToFrontButton(block) {
-  return button("↑", (state) => sendToFront(state, block.id), true);
+  // reloads, and navigations started by `navigateWebviewHistory`
+  if (history[historyIndex] === url) return { history, historyIndex };
+
+  // preview blocks navigate to every hovered link, which shouldn't pile up as history
+  if (block.isPreview) return { history: [url], historyIndex: 0 };
+
+  // the page went back by itself, i.e. `history.back()` or a mouse back button
+  const webviewElement = getWebviewElementIfDomReady(block);
+  if (history[historyIndex - 1] === url && webviewElement?.canGoForward()) {
+    return { history, historyIndex: historyIndex - 1 };
+  }
+  if (history[historyIndex + 1] === url) {
+    return { history, historyIndex: historyIndex + 1 };
+  }
+
+  // a new navigation drops the forward history, like in a browser
+  const newHistory = [...history.slice(0, historyIndex + 1), url].slice(
+    -MAX_WEBVIEW_HISTORY_LENGTH,
+  );
+  return { history: newHistory, historyIndex: newHistory.length - 1 };
 }
 
 /**
+ * Toolbar button that runs a command on the block, disabled while the command isn't available
+ * @param {State} state
  * @param {WebviewBlock} block
+ * @param {string} commandId
+ * @param {string} display
  * @returns {import("hyperapp").ElementVNode<State>}
  */
-function sendToBackButton(block) {
-  return button("↓", (state) => sendToBack(state, block.id), true);
+function commandButton(state, block, commandId, display) {
+  const command = getCommand(commandId);
+  /** @type {CommandContext} */
+  const context = { block, anchorHref: null, link: null };
+  return button(
+    display,
+    (state) => command.action(state, context),
+    command.isAvailable(state, context),
+  );
 }
 
 /**
@@ -650,8 +686,8 @@ export const DEFAULT_WEBVIEW_BLOCK_CONFIG = {
   realChildrenIds: [],
   domReady: false,
   pageTitle: "",
-  canGoBack: false,
-  canGoForward: false,
+  history: [],
+  historyIndex: -1,
   faviconUrl: null,
   isUrlBarExpanded: false,
 };
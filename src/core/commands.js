@@ -0,0 +1,1027 @@
+import { h, text } from "hyperapp";
+import { LINK_COLORS, Z_INDEX_TOP_2 } from "./constants.js";
+import {
+  addChildBlock,
+  addWebviewBlockToViewportCenter,
+  copySelectedBlocks,
+  sendToBack,
+  sendToFront,
+  transferSelectedBlocks,
+} from "./block.js";
+import {
+  addGroupMembers,
+  groupSelectedBlocks,
+  selectionHasGroup,
+  ungroupSelectedBlocks,
+} from "./groups.js";
+import {
+  alignSelectedBlocks,
+  distributeSelectedBlocks,
+  tidySelectedBlocks,
+} from "./layout.js";
+import {
+  deleteLink,
+  getSelectedLink,
+  startLinkLabelEdit,
+  styleLink,
+} from "./link.js";
+import { redoState, undoState } from "./memento.js";
+import {
+  activateWebviewBlock,
+  cycleFocusedBlock,
+  focusBlockInDirection,
+  focusLinkedBlock,
+  nudgeSelectedBlocks,
+} from "./navigation.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import {
+  deleteSelectedItems,
+  getFirstSelectedBlock,
+  getSelectedBlocks,
+  hasSelection,
+} from "./selection.js";
+import { openSearch } from "./search.js";
+import { openSettings } from "./settings.js";
+import { toggleSidebar } from "./sidebar.js";
+import { toggleMinimap } from "./minimap.js";
+import { resetZoom, zoomToFitAll, zoomToFitSelection } from "./viewport.js";
+import {
+  focusEffect,
+  getIsCanvasFocused,
+  getIsWebviewFocused,
+  pasteEffect,
+  saveApplicationAndNotify,
+  updateState,
+} from "./utils.js";
+import { addFrame, zoomToFrame } from "./blockContents/frame.js";
+import { togglePenTool } from "./blockContents/drawing.js";
+import {
+  addLine,
+  addShape,
+  detachSelectedLines,
+  getSelectedAttachedLines,
+} from "./blockContents/shape.js";
+import { addMarkdownBlock } from "./blockContents/text.js";
+import {
+  showLinkHints,
+  webviewGoBack,
+  webviewGoForward,
+  zoomWebviewPage,
+} from "./blockContents/webview.js";
+
+const COMMAND_PALETTE_INPUT_ID = "command-palette-input";
+const IS_MAC = navigator.userAgent.includes("Mac");
+
+/** @type {{direction: Direction, key: string, where: string}[]} */
+const ARROW_KEYS = [
+  { direction: "left", key: "arrowleft", where: "to the left" },
+  { direction: "right", key: "arrowright", where: "to the right" },
+  { direction: "up", key: "arrowup", where: "above" },
+  { direction: "down", key: "arrowdown", where: "below" },
+];
+
+/** @type {Alignment[]} */
+const ALIGNMENTS = ["left", "center", "right", "top", "middle", "bottom"];
+
+/**
+ * @param {Alignment} alignment
+ * @returns {Command}
+ */
+function alignCommand(alignment) {
+  return {
+    id: `selection.align.${alignment}`,
+    label: `align ${alignment}`,
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    submenu: "align…",
+    isAvailable: (state) => getSelectedBlocks(state).length >= 2,
+    action: (state) => alignSelectedBlocks(state, alignment),
+  };
+}
+
+/**
+ * @param {"horizontal" | "vertical"} direction
+ * @returns {Command}
+ */
+function distributeCommand(direction) {
+  return {
+    id: `selection.distribute.${direction}`,
+    label: `distribute ${direction}ly`,
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    submenu: "align…",
+    isAvailable: (state) => getSelectedBlocks(state).length >= 3,
+    action: (state) => distributeSelectedBlocks(state, direction),
+  };
+}
+
+/** @type {{direction: LinkDirection, label: string}[]} */
+const LINK_DIRECTIONS = [
+  { direction: "forward", label: "point to child" },
+  { direction: "backward", label: "point to parent" },
+  { direction: "both", label: "point both ways" },
+  { direction: "none", label: "no arrow" },
+];
+
+/**
+ * @param {{name: string, value: string | null}} color - null is the default color
+ * @returns {Command}
+ */
+function linkColorCommand({ name, value }) {
+  return {
+    id: `link.color.${name}`,
+    label: `color link ${name}`,
+    shortcuts: [],
+    contextMenus: ["link"],
+    submenu: "color…",
+    isAvailable: (state, { link }) => link !== null && link.color !== value,
+    action: (state, { link }) =>
+      link ? styleLink(state, link.id, { color: value }) : state,
+  };
+}
+
+/**
+ * @param {{direction: LinkDirection, label: string}} linkDirection
+ * @returns {Command}
+ */
+function linkDirectionCommand({ direction, label }) {
+  return {
+    id: `link.direction.${direction}`,
+    label,
+    shortcuts: [],
+    contextMenus: ["link"],
+    submenu: "direction…",
+    isAvailable: (state, { link }) =>
+      link !== null && link.direction !== direction,
+    action: (state, { link }) =>
+      link ? styleLink(state, link.id, { direction }) : state,
+  };
+}
+
+/**
+ * @param {State} state
+ * @returns {boolean} True when keys should drive the canvas rather than a focused element or a full screen block
+ */
+function isCanvasKeyboardFocused(state) {
+  return getIsCanvasFocused() && getCurrentPage(state).fullScreenState === null;
+}
+
+// -----------------------------
+// ## Commands
+// -----------------------------
+
+/**
+ * Every action the user can trigger. Keyboard shortcuts, context menus and the command palette
+ * are generated from this list, so a command added here shows up in all three.
+ * @type {Command[]}
+ */
+export const COMMANDS = [
+  {
+    id: "app.commandPalette",
+    label: "command palette",
+    shortcuts: ["mod+k"],
+    contextMenus: [],
+    isAvailable: () => true,
+    action: (state) => openCommandPalette(state),
+  },
+  {
+    id: "app.search",
+    label: "search blocks",
+    shortcuts: ["mod+f"],
+    contextMenus: ["viewport"],
+    isAvailable: () => true,
+    action: (state) => openSearch(state),
+  },
+  {
+    id: "app.save",
+    label: "save",
+    shortcuts: ["mod+s"],
+    contextMenus: [],
+    isAvailable: () => true,
+    action: (state) => [
+      state,
+      (dispatch) => saveApplicationAndNotify(dispatch, state),
+    ],
+  },
+  {
+    id: "app.toggleSidebar",
+    label: "toggle sidebar",
+    shortcuts: ["mod+\\"],
+    contextMenus: [],
+    isAvailable: () => true,
+    action: (state) => toggleSidebar(state),
+  },
+  {
+    id: "page.toggleMinimap",
+    label: "toggle minimap",
+    shortcuts: ["mod+shift+m"],
+    contextMenus: ["viewport"],
+    isAvailable: () => true,
+    action: (state) => toggleMinimap(state),
+  },
+  {
+    id: "app.settings",
+    label: "settings",
+    shortcuts: ["mod+,"],
+    contextMenus: [],
+    isAvailable: () => true,
+    action: (state) => openSettings(state),
+  },
+  {
+    id: "history.undo",
+    label: "undo",
+    shortcuts: ["mod+z"],
+    contextMenus: [],
+    isAvailable: () => !getIsWebviewFocused(),
+    action: (state) => undoState(state),
+  },
+  {
+    id: "history.redo",
+    label: "redo",
+    shortcuts: ["mod+shift+z", "mod+y"],
+    contextMenus: [],
+    isAvailable: () => !getIsWebviewFocused(),
+    action: (state) => redoState(state),
+  },
+  {
+    id: "block.addWebview",
+    label: "add new block",
+    shortcuts: ["mod+t"],
+    contextMenus: ["viewport"],
+    isAvailable: () => true,
+    action: (state) =>
+      addWebviewBlockToViewportCenter(state, "https://www.google.com/", false),
+  },
+  {
+    id: "selection.copy",
+    label: "copy selection",
+    shortcuts: ["mod+c"],
+    contextMenus: [],
+    // with text selected, let the browser copy the text instead
+    isAvailable: (state) =>
+      !getIsWebviewFocused() &&
+      hasSelection(state) &&
+      (window.getSelection()?.toString() ?? "").length === 0,
+    action: (state) => copySelectedBlocks(state),
+  },
+  {
+    id: "selection.paste",
+    label: "paste",
+    shortcuts: ["mod+v"],
+    contextMenus: [],
+    isAvailable: () => !getIsWebviewFocused(),
+    action: (state) => [state, [pasteEffect, state]],
+  },
+  {
+    id: "selection.delete",
+    label: "delete selection",
+    shortcuts: ["delete", "backspace"],
+    contextMenus: [],
+    isAvailable: (state) => !getIsWebviewFocused() && hasSelection(state),
+    action: (state) => deleteSelectedItems(state),
+  },
+  {
+    id: "selection.deselect",
+    label: "deselect all",
+    shortcuts: ["escape"],
+    contextMenus: [],
+    isAvailable: () => true,
+    action: (state) => updateCurrentPage(state, { selectedIds: [] }),
+  },
+  {
+    id: "selection.group",
+    label: "group selection",
+    shortcuts: ["mod+g"],
+    contextMenus: ["viewport"],
+    isAvailable: (state) =>
+      !getIsWebviewFocused() && getSelectedBlocks(state).length >= 2,
+    action: (state) => groupSelectedBlocks(state),
+  },
+  {
+    id: "selection.ungroup",
+    label: "ungroup selection",
+    shortcuts: ["mod+shift+g"],
+    contextMenus: ["viewport"],
+    isAvailable: (state) => !getIsWebviewFocused() && selectionHasGroup(state),
+    action: (state) => ungroupSelectedBlocks(state),
+  },
+  {
+    id: "view.zoomToFitAll",
+    label: "zoom to fit all blocks",
+    shortcuts: ["mod+1"],
+    contextMenus: ["viewport"],
+    isAvailable: (state) => getCurrentPage(state).fullScreenState === null,
+    action: (state) => zoomToFitAll(state),
+  },
+  {
+    id: "view.zoomToFitSelection",
+    label: "zoom to fit selection",
+    shortcuts: ["mod+2"],
+    contextMenus: ["viewport"],
+    isAvailable: (state) =>
+      getCurrentPage(state).fullScreenState === null && hasSelection(state),
+    action: (state) => zoomToFitSelection(state),
+  },
+  {
+    id: "view.resetZoom",
+    label: "reset zoom to 100%",
+    shortcuts: ["mod+0"],
+    contextMenus: ["viewport"],
+    isAvailable: (state) => getCurrentPage(state).fullScreenState === null,
+    action: (state) => resetZoom(state),
+  },
+  {
+    id: "tool.pen",
+    label: "toggle pen",
+    shortcuts: ["p"],
+    contextMenus: ["viewport"],
+    isAvailable: (state) =>
+      getCurrentPage(state).fullScreenState === null &&
+      !getIsWebviewFocused() &&
+      // "p" is typed into text blocks
+      !(document.activeElement instanceof HTMLTextAreaElement),
+    action: (state) => togglePenTool(state),
+  },
+  {
+    id: "frame.add",
+    label: "add frame",
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    isAvailable: () => true,
+    action: (state) => addFrame(state),
+  },
+  {
+    id: "frame.zoomTo",
+    label: "zoom to frame",
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    isAvailable: (state, { block }) => block?.type === "frame",
+    action: (state, { block }) =>
+      block ? zoomToFrame(state, state.currentPageId, block.id) : state,
+  },
+  {
+    id: "text.addMarkdown",
+    label: "add markdown note",
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    isAvailable: () => true,
+    action: (state) => addMarkdownBlock(state),
+  },
+  {
+    id: "shape.addRectangle",
+    label: "add rectangle",
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    submenu: "add shape…",
+    isAvailable: () => true,
+    action: (state) => addShape(state, "rectangle"),
+  },
+  {
+    id: "shape.addEllipse",
+    label: "add ellipse",
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    submenu: "add shape…",
+    isAvailable: () => true,
+    action: (state) => addShape(state, "ellipse"),
+  },
+  {
+    id: "shape.addLine",
+    label: "add line",
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    submenu: "add shape…",
+    isAvailable: () => true,
+    action: (state) => addLine(state, false),
+  },
+  {
+    id: "shape.addArrow",
+    label: "add arrow",
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    submenu: "add shape…",
+    isAvailable: () => true,
+    action: (state) => addLine(state, true),
+  },
+  {
+    id: "line.detach",
+    label: "detach line from blocks",
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    isAvailable: (state) => getSelectedAttachedLines(state).length > 0,
+    action: (state) => detachSelectedLines(state),
+  },
+  {
+    id: "selection.tidy",
+    label: "tidy up selection",
+    shortcuts: [],
+    contextMenus: ["viewport"],
+    isAvailable: (state) => getSelectedBlocks(state).length >= 2,
+    action: (state) => tidySelectedBlocks(state),
+  },
+  ...ALIGNMENTS.map(alignCommand),
+  distributeCommand("horizontal"),
+  distributeCommand("vertical"),
+  ...ARROW_KEYS.map(({ direction, key }) => ({
+    id: `selection.nudge.${direction}`,
+    label: `nudge selection ${direction}`,
+    shortcuts: [`alt+${key}`],
+    contextMenus: [],
+    isAvailable: (/** @type {State} */ state) =>
+      isCanvasKeyboardFocused(state) && hasSelection(state),
+    action: (/** @type {State} */ state) =>
+      nudgeSelectedBlocks(state, direction),
+  })),
+  ...ARROW_KEYS.map(({ direction, key, where }) => ({
+    id: `navigation.focus.${direction}`,
+    label: `focus block ${where}`,
+    shortcuts: [key],
+    contextMenus: [],
+    isAvailable: (/** @type {State} */ state) => isCanvasKeyboardFocused(state),
+    action: (/** @type {State} */ state) =>
+      focusBlockInDirection(state, direction),
+  })),
+  {
+    id: "navigation.focusNext",
+    label: "focus next block",
+    shortcuts: ["tab"],
+    contextMenus: [],
+    isAvailable: (state) => isCanvasKeyboardFocused(state),
+    action: (state) => cycleFocusedBlock(state, 1),
+  },
+  {
+    id: "navigation.focusPrevious",
+    label: "focus previous block",
+    shortcuts: ["shift+tab"],
+    contextMenus: [],
+    isAvailable: (state) => isCanvasKeyboardFocused(state),
+    action: (state) => cycleFocusedBlock(state, -1),
+  },
+  {
+    id: "navigation.focusParent",
+    label: "focus the block this was opened from",
+    shortcuts: ["mod+arrowup"],
+    contextMenus: [],
+    isAvailable: (state) =>
+      isCanvasKeyboardFocused(state) && hasSelection(state),
+    action: (state) => focusLinkedBlock(state, "parent"),
+  },
+  {
+    id: "navigation.focusChild",
+    label: "focus the first block opened from this",
+    shortcuts: ["mod+arrowdown"],
+    contextMenus: [],
+    isAvailable: (state) =>
+      isCanvasKeyboardFocused(state) && hasSelection(state),
+    action: (state) => focusLinkedBlock(state, "child"),
+  },
+  {
+    id: "navigation.activateWebview",
+    label: "interact with focused page",
+    shortcuts: ["enter"],
+    contextMenus: [],
+    isAvailable: (state, { block }) =>
+      isCanvasKeyboardFocused(state) && block?.type === "webview",
+    action: (state, { block }) =>
+      block?.type === "webview" ? activateWebviewBlock(state, block) : state,
+  },
+  {
+    id: "webview.goBack",
+    label: "go back a page",
+    shortcuts: [],
+    contextMenus: ["webview"],
+    isAvailable: (state, { block }) =>
+      block?.type === "webview" && block.historyIndex > 0,
+    action: (state, { block }) =>
+      block?.type === "webview" ? webviewGoBack(state, block) : state,
+  },
+  {
+    id: "webview.goForward",
+    label: "go forward a page",
+    shortcuts: [],
+    contextMenus: ["webview"],
+    isAvailable: (state, { block }) =>
+      block?.type === "webview" &&
+      block.historyIndex < block.history.length - 1,
+    action: (state, { block }) =>
+      block?.type === "webview" ? webviewGoForward(state, block) : state,
+  },
+  {
+    id: "webview.openLinkInNewBlock",
+    label: "open link in new block",
+    shortcuts: [],
+    contextMenus: ["webview"],
+    isAvailable: (state, { block, anchorHref }) =>
+      block?.type === "webview" && anchorHref !== null,
+    action: (state, { block, anchorHref }) =>
+      block && anchorHref !== null
+        ? addChildBlock(state, block.id, anchorHref, false)
+        : state,
+  },
+  {
+    id: "webview.linkHints",
+    label: "open link with keyboard hints",
+    shortcuts: ["f"],
+    contextMenus: ["webview"],
+    isAvailable: (state, { block }) =>
+      block?.type === "webview" &&
+      block.domReady &&
+      !getIsWebviewFocused() &&
+      // "f" is typed into text blocks
+      !(document.activeElement instanceof HTMLTextAreaElement),
+    action: (state, { block }) =>
+      block?.type === "webview" ? showLinkHints(state, block) : state,
+  },
+  {
+    id: "webview.zoomIn",
+    label: "zoom in page",
+    shortcuts: [],
+    contextMenus: [],
+    isAvailable: (state, { block }) =>
+      block?.type === "webview" && block.domReady,
+    action: (state, { block }) =>
+      block?.type === "webview" ? zoomWebviewPage(state, block, 0.5) : state,
+  },
+  {
+    id: "webview.zoomOut",
+    label: "zoom out page",
+    shortcuts: [],
+    contextMenus: [],
+    isAvailable: (state, { block }) =>
+      block?.type === "webview" && block.domReady,
+    action: (state, { block }) =>
+      block?.type === "webview" ? zoomWebviewPage(state, block, -0.5) : state,
+  },
+  {
+    id: "block.sendToFront",
+    label: "bring to front",
+    shortcuts: [],
+    contextMenus: ["webview"],
+    isAvailable: (state, { block }) => block !== null,
+    action: (state, { block }) =>
+      block ? sendToFront(state, block.id) : state,
+  },
+  {
+    id: "block.sendToBack",
+    label: "send to back",
+    shortcuts: [],
+    contextMenus: ["webview"],
+    isAvailable: (state, { block }) => block !== null,
+    action: (state, { block }) => (block ? sendToBack(state, block.id) : state),
+  },
+  {
+    id: "block.delete",
+    label: "delete block",
+    shortcuts: [],
+    contextMenus: ["webview"],
+    isAvailable: (state, { block }) => block !== null,
+    // a block in a group is deleted with the rest of its group
+    action: (state, { block }) =>
+      block
+        ? deleteSelectedItems(
+            updateCurrentPage(state, {
+              selectedIds: addGroupMembers(getCurrentPage(state), [block.id]),
+            }),
+          )
+        : state,
+  },
+  {
+    id: "link.editLabel",
+    label: "edit link label",
+    shortcuts: [],
+    contextMenus: ["link"],
+    isAvailable: (state, { link }) => link !== null,
+    action: (state, { link }) =>
+      link ? startLinkLabelEdit(state, link.id) : state,
+  },
+  linkColorCommand({ name: "default", value: null }),
+  ...LINK_COLORS.map(linkColorCommand),
+  {
+    id: "link.dashed",
+    label: "make link dashed",
+    shortcuts: [],
+    contextMenus: ["link"],
+    isAvailable: (state, { link }) => link?.style === "solid",
+    action: (state, { link }) =>
+      link ? styleLink(state, link.id, { style: "dashed" }) : state,
+  },
+  {
+    id: "link.solid",
+    label: "make link solid",
+    shortcuts: [],
+    contextMenus: ["link"],
+    isAvailable: (state, { link }) => link?.style === "dashed",
+    action: (state, { link }) =>
+      link ? styleLink(state, link.id, { style: "solid" }) : state,
+  },
+  ...LINK_DIRECTIONS.map(linkDirectionCommand),
+  {
+    id: "link.delete",
+    label: "delete link",
+    shortcuts: [],
+    contextMenus: ["link"],
+    isAvailable: (state, { link }) => link !== null,
+    action: (state, { link }) => (link ? deleteLink(state, link.id) : state),
+  },
+];
+
+/**
+ * `COMMANDS` along with the commands that depend on the state, i.e. one per page to move the selection to
+ * @param {State} state
+ * @returns {Command[]}
+ */
+export function getCommands(state) {
+  /**
+   * @param {Page} page
+   * @param {"move" | "copy"} mode
+   * @returns {Command}
+   */
+  const transferCommand = (page, mode) => ({
+    id: `selection.${mode}ToPage.${page.id}`,
+    label: `${mode} selection to "${page.name}"`,
+    shortcuts: [],
+    contextMenus: ["viewport", "webview"],
+    submenu: `${mode} to page…`,
+    isAvailable: (state) => hasSelection(state),
+    action: (state) => transferSelectedBlocks(state, page.id, mode),
+  });
+
+  const otherPages = state.pages.filter(
+    (page) => page.id !== state.currentPageId,
+  );
+  return [
+    ...COMMANDS,
+    ...otherPages.map((page) => transferCommand(page, "move")),
+    ...otherPages.map((page) => transferCommand(page, "copy")),
+  ];
+}
+
+/**
+ * @param {string} id
+ * @returns {Command}
+ */
+export function getCommand(id) {
+  const command = COMMANDS.find((command) => command.id === id);
+  if (!command) throw Error(`no command of id ${id}`);
+  return command;
+}
+
+/**
+ * Context for commands triggered by a shortcut or from the palette
+ * @param {State} state
+ * @returns {CommandContext}
+ */
+export function getDefaultCommandContext(state) {
+  return {
+    block: getFirstSelectedBlock(state),
+    anchorHref: null,
+    link: getSelectedLink(state),
+  };
+}
+
+// -----------------------------
+// ## Shortcuts
+// -----------------------------
+
+// Shortcuts are written like "mod+shift+z": modifiers in the order mod, ctrl, meta, alt, shift, then the key.
+// mod is cmd on macOS and ctrl everywhere else, so the default shortcuts work on both.
+
+/**
+ * @param {State} state
+ * @param {Command} command
+ * @returns {string[]} Shortcuts of the command, as rebound in the user's settings
+ */
+export function getShortcuts(state, command) {
+  return state.settings.keybindings[command.id] ?? command.shortcuts;
+}
+
+/**
+ * @param {State} state
+ * @param {Command} command
+ * @returns {string | null} First shortcut of the command, formatted to be shown next to its label
+ */
+export function getShortcutHint(state, command) {
+  const [shortcut] = getShortcuts(state, command);
+  return shortcut === undefined ? null : formatShortcut(shortcut);
+}
+
+/**
+ * @param {string} shortcut
+ * @returns {{modifiers: string[], key: string}}
+ */
+function parseShortcut(shortcut) {
+  const parts = shortcut.split("+");
+  // "mod++" is the plus key
+  const key = parts.pop() || "+";
+  return { modifiers: parts.filter(Boolean), key };
+}
+
+/**
+ * @param {KeyboardEvent} event
+ * @returns {string[]} Modifiers held during the event, with cmd on macOS and ctrl elsewhere as mod
+ */
+function getEventModifiers(event) {
+  return [
+    (IS_MAC ? event.metaKey : event.ctrlKey) && "mod",
+    IS_MAC && event.ctrlKey && "ctrl",
+    !IS_MAC && event.metaKey && "meta",
+    event.altKey && "alt",
+    event.shiftKey && "shift",
+  ].filter((modifier) => typeof modifier === "string");
+}
+
+/**
+ * @param {KeyboardEvent} event
+ * @returns {string} Key of the event as it is written in a shortcut
+ */
+function getEventKey(event) {
+  return event.key === " " ? "space" : event.key.toLowerCase();
+}
+
+/**
+ * @param {KeyboardEvent} event
+ * @param {string} shortcut
+ * @returns {boolean}
+ */
+function matchesShortcut(event, shortcut) {
+  const { modifiers, key } = parseShortcut(shortcut);
+  const eventModifiers = getEventModifiers(event);
+  return (
+    getEventKey(event) === key &&
+    modifiers.length === eventModifiers.length &&
+    modifiers.every((modifier) => eventModifiers.includes(modifier))
+  );
+}
+
+/**
+ * @param {KeyboardEvent} event
+ * @returns {string | null} Shortcut for the key event, null while only modifiers are held
+ */
+export function eventToShortcut(event) {
+  if (["Control", "Meta", "Alt", "Shift"].includes(event.key)) return null;
+  return [...getEventModifiers(event), getEventKey(event)].join("+");
+}
+
+/**
+ * @param {string} shortcut - i.e. "mod+shift+z"
+ * @returns {string} i.e. "cmd + shift + z"
+ */
+export function formatShortcut(shortcut) {
+  const { modifiers, key } = parseShortcut(shortcut);
+  return [...modifiers, key]
+    .map((part) => {
+      switch (part) {
+        case "mod":
+          return IS_MAC ? "cmd" : "ctrl";
+        case "meta":
+          return IS_MAC ? "cmd" : "super";
+        case "alt":
+          return IS_MAC ? "option" : "alt";
+        case "escape":
+          return "esc";
+        case "arrowleft":
+          return "←";
+        case "arrowright":
+          return "→";
+        case "arrowup":
+          return "↑";
+        case "arrowdown":
+          return "↓";
+        default:
+          return part;
+      }
+    })
+    .join(" + ");
+}
+
+/**
+ * Runs the available command with a shortcut matching the key event
+ * @param {State} state
+ * @param {KeyboardEvent} event
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+export function runShortcut(state, event) {
+  const context = getDefaultCommandContext(state);
+  const command = getCommands(state).find(
+    (command) =>
+      getShortcuts(state, command).some((shortcut) =>
+        matchesShortcut(event, shortcut),
+      ) && command.isAvailable(state, context),
+  );
+  if (!command) return state;
+
+  event.preventDefault();
+  return command.action(state, context);
+}
+
+// -----------------------------
+// ## Command Palette
+// -----------------------------
+
+/**
+ * @param {State} state
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+export function openCommandPalette(state) {
+  return [
+    updateState(state, {
+      commandPalette: { query: "", selectedIndex: 0 },
+      search: null,
+      contextMenu: null,
+    }),
+    [focusEffect, { id: COMMAND_PALETTE_INPUT_ID }],
+  ];
+}
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+function closeCommandPalette(state) {
+  return updateState(state, { commandPalette: null });
+}
+
+/**
+ * Available commands whose label contains every word of the query, ignoring case
+ * @param {State} state
+ * @param {string} query
+ * @returns {Command[]}
+ */
+function getPaletteCommands(state, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const context = getDefaultCommandContext(state);
+  return getCommands(state).filter(
+    (command) =>
+      command.id !== "app.commandPalette" &&
+      command.isAvailable(state, context) &&
+      terms.every((term) => command.label.toLowerCase().includes(term)),
+  );
+}
+
+/**
+ * @param {State} state
+ * @param {Command} command
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function runPaletteCommand(state, command) {
+  const newState = closeCommandPalette(state);
+  return command.action(newState, getDefaultCommandContext(newState));
+}
+
+/**
+ * Overlay listing every available command, opened with cmd + k
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+export function commandPalette(state) {
+  const palette = state.commandPalette;
+  if (!palette) return null;
+
+  const commands = getPaletteCommands(state, palette.query);
+  const selectedIndex = Math.min(palette.selectedIndex, commands.length - 1);
+
+  /**
+   * @param {State} state
+   * @param {Event} event
+   * @returns {import("hyperapp").Dispatchable<State>}
+   */
+  function onkeydown(state, event) {
+    // the canvas behind the palette shouldn't react to keyboard shortcuts
+    event.stopPropagation();
+    const { key } = /** @type {KeyboardEvent} */ (event);
+    switch (key) {
+      case "Escape":
+        return closeCommandPalette(state);
+      case "Enter": {
+        const command = commands[selectedIndex];
+        if (!command) return state;
+        return runPaletteCommand(state, command);
+      }
+      case "ArrowDown":
+      case "ArrowUp": {
+        event.preventDefault();
+        if (commands.length === 0 || !state.commandPalette) return state;
+        const step = key === "ArrowDown" ? 1 : -1;
+        return updateState(state, {
+          commandPalette: {
+            ...state.commandPalette,
+            selectedIndex:
+              (selectedIndex + step + commands.length) % commands.length,
+          },
+        });
+      }
+      default:
+        return state;
+    }
+  }
+
+  return h(
+    "div",
+    {
+      style: {
+        position: "fixed",
+        inset: "0",
+        zIndex: `${Z_INDEX_TOP_2}`,
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "flex-start",
+        paddingTop: "12vh",
+      },
+      onpointerdown: (state, event) =>
+        event.target === event.currentTarget
+          ? closeCommandPalette(state)
+          : state,
+    },
+    h(
+      "div",
+      {
+        class: "search-palette",
+        style: {
+          display: "flex",
+          flexDirection: "column",
+          gap: "6px",
+          width: "480px",
+          maxHeight: "60vh",
+          padding: "8px",
+          borderRadius: "10px",
+          boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+        },
+      },
+      [
+        h("input", {
+          id: COMMAND_PALETTE_INPUT_ID,
+          type: "text",
+          placeholder: "Type a command",
+          value: palette.query,
+          style: { padding: "8px", fontSize: "15px" },
+          oninput: (state, event) =>
+            updateState(state, {
+              commandPalette: {
+                query: /** @type {HTMLInputElement} */ (event.target).value,
+                selectedIndex: 0,
+              },
+            }),
+          onkeydown,
+        }),
+        h(
+          "div",
+          {
+            style: {
+              display: "flex",
+              flexDirection: "column",
+              overflowY: "auto",
+            },
+          },
+          commands.length === 0
+            ? [
+                h(
+                  "div",
+                  { style: { padding: "6px 9px", opacity: "0.6" } },
+                  text("No matching commands"),
+                ),
+              ]
+            : commands.map((command, index) =>
+                commandPaletteRow(state, command, index === selectedIndex),
+              ),
+        ),
+      ],
+    ),
+  );
+}
+
+/**
+ * @param {State} state
+ * @param {Command} command
+ * @param {boolean} isSelected
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function commandPaletteRow(state, command, isSelected) {
+  const shortcutHint = getShortcutHint(state, command);
+  return h(
+    "div",
+    {
+      key: command.id,
+      class: { "search-result": true, "search-result-selected": isSelected },
+      style: {
+        display: "flex",
+        flexDirection: "row",
+        justifyContent: "space-between",
+        gap: "12px",
+        padding: "6px 9px",
+        borderRadius: "6px",
+        cursor: "pointer",
+      },
+      onclick: (state) => runPaletteCommand(state, command),
+    },
+    [
+      h("span", {}, text(command.label)),
+      shortcutHint !== null
+        ? h(
+            "span",
+            { style: { opacity: "0.6", whiteSpace: "nowrap" } },
+            text(shortcutHint),
+          )
+        : null,
+    ],
+  );
+}
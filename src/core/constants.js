@@ -3,8 +3,6 @@
 // -----------------------------
 
 export const MIN_SIZE = 20; // Minimum size in px
-export const STATE_SAVE_PATH = "user/state.json";
-export const MEDIA_SAVE_PATH = "user/media/";
 export const PASTE_OFFSET_X = 20;
 export const PASTE_OFFSET_Y = 20;
 
@@ -30,9 +28,93 @@ export const BLOCK_PADDING = 70;
 export const DEFAULT_BLOCK_WIDTH = blockContentsWidth + 2 * BLOCK_PADDING;
 export const DEFAULT_BLOCK_HEIGHT = blockContentsHeight + 2 * BLOCK_PADDING;
 export const NEW_CHILD_BLOCK_OFFSET_X = 100;
+export const MAX_WEBVIEW_HISTORY_LENGTH = 100;
+export const FRAME_COLORS = [
+  "#4e8fd6",
+  "#5fae6a",
+  "#d6a23a",
+  "#d0605a",
+  "#9a6ad0",
+  "#7f7f7f",
+];
+export const FONT_SIZES = [14, 18, 24, 32, 48, 64, 96, 128];
+export const FONT_FAMILIES = [
+  { name: "sans", value: "sans-serif" },
+  { name: "serif", value: "Georgia, serif" },
+  { name: "mono", value: "ui-monospace, monospace" },
+  { name: "hand", value: "'Comic Sans MS', cursive" },
+];
+export const TEXT_COLORS = [
+  "#1f1f1f",
+  "#d0605a",
+  "#d6a23a",
+  "#5fae6a",
+  "#4e8fd6",
+  "#9a6ad0",
+  "#ffffff",
+];
+export const TEXT_BACKGROUNDS = [
+  "#fff3b0",
+  "#ffd9d6",
+  "#d9f2dc",
+  "#d6e8ff",
+  "#eadcf8",
+  "#2d2d2d",
+];
+export const PEN_COLORS = [
+  "#1f1f1f",
+  "#d0605a",
+  "#d6a23a",
+  "#5fae6a",
+  "#4e8fd6",
+  "#9a6ad0",
+];
+export const PEN_STROKE_WIDTHS = [4, 8, 16];
+// canvas px links bend out of the blocks they connect, at the least
+export const MIN_LINK_BEND = 60;
+export const LINK_ARROW_SIZE = 20;
+// screen px around a link that still hit it
+export const LINK_HIT_WIDTH = 12;
+// straight segments a link curve is approximated with for box selection
+export const LINK_CURVE_SEGMENTS = 16;
+export const LINK_COLORS = [
+  { name: "blue", value: "#4e8fd6" },
+  { name: "green", value: "#5fae6a" },
+  { name: "yellow", value: "#d6a23a" },
+  { name: "red", value: "#d0605a" },
+  { name: "purple", value: "#9a6ad0" },
+];
+// canvas px around a line inside its block, so even a flat line can be clicked
+export const LINE_PADDING = 20;
+// space left around the selected blocks when framing them
+export const FRAME_PADDING = 100;
+// distance selected blocks move for each press of a nudge shortcut
+export const NUDGE_STEP = 20;
+// screen pixels within which dragged edges and centers snap to those of other blocks
+export const SNAP_THRESHOLD = 8;
 
 export const Z_INDEX_TOP = 100000;
 export const Z_INDEX_TOP_2 = 100001;
 export const Z_INDEX_BOTTOM = -100000;
+// frames stack among themselves below every other block and below links
+export const Z_INDEX_FRAMES = Z_INDEX_BOTTOM / 2;
+// links are drawn above frames, so links between blocks in a frame show, and below other blocks
+export const Z_INDEX_LINKS = Z_INDEX_FRAMES / 2;
+// limits of zooming with the wheel. zoom commands may leave them: resetting goes to 100% and
+// fitting zooms out as far as it needs, and the wheel then only zooms back towards the limits
 export const MIN_ZOOM = 0.4;
 export const MAX_ZOOM = 0.6; // get performance issues from zooming in too much
+// fitting never zooms out further than this, so the zoom stays positive however small the viewport is
+export const MIN_FIT_ZOOM = 0.01;
+
+export const SIDEBAR_MIN_WIDTH = 180;
+export const SIDEBAR_MAX_WIDTH = 600;
+
+export const VIEWPORT_ANIMATION_DURATION_MS = 300;
+// screen pixels kept free around an area the viewport is fitted to
+export const VIEWPORT_FIT_PADDING = 40;
+// screen pixels taken up by the minimap in the corner of the viewport
+export const MINIMAP_WIDTH = 200;
+export const MINIMAP_HEIGHT = 150;
+export const MAX_SEARCH_RESULTS = 50;
+export const MAX_PAGE_TEXT_SEARCH_RESULTS = 20;
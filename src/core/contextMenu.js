@@ -1,13 +1,13 @@
 import { h, text } from "hyperapp";
 import { Z_INDEX_TOP_2 } from "./constants.js";
+import { focusEffect, stopPropagation, updateState } from "./utils.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { addGroupMembers } from "./groups.js";
 import {
-  blurEffect,
-  focusEffect,
-  stopPropagation,
-  updateState,
-} from "./utils.js";
-import { addChildBlock, addWebviewBlockToViewportCenter } from "./block.js";
-import { webviewGoBack, webviewGoForward } from "./blockContents/webview.js";
+  getCommands,
+  getDefaultCommandContext,
+  getShortcutHint,
+} from "./commands.js";
 
 /**
  * @param {State} state
@@ -22,11 +22,13 @@ export function contextMenuView(state) {
     return updateState(state, { contextMenu: null });
   }
 
-  const viewportWidth = window.innerWidth;
+  // the viewport doesn't span the whole window when the sidebar is open
+  const viewportWidth =
+    document.getElementById("viewport")?.clientWidth ?? window.innerWidth;
   const viewportHeight = window.innerHeight;
 
   //TODO: dynamic dimensions based on number of buttons
-  const MENU_WIDTH = 150;
+  const MENU_WIDTH = 220;
   const MENU_HEIGHT = 200;
   const PADDING = 50;
 
@@ -45,14 +47,31 @@ export function contextMenuView(state) {
   const contents = (() => {
     switch (contextMenuType) {
       case "viewport": {
-        return viewportContextMenuContents(state);
+        return commandContextMenuContents(
+          state,
+          "viewport",
+          getDefaultCommandContext(state),
+        );
       }
       case "webview": {
-        //TODO: implement
-        return webviewContextMenuContents(
+        return commandContextMenuContents(state, "webview", {
+          block: state.contextMenu.block,
+          anchorHref: state.contextMenu.anchorHref,
+          link: null,
+        });
+      }
+      case "link": {
+        return commandContextMenuContents(state, "link", {
+          block: null,
+          anchorHref: null,
+          link: state.contextMenu.link,
+        });
+      }
+      case "submenu": {
+        return submenuContextMenuContents(
           state,
-          state.contextMenu.block,
-          state.contextMenu.anchorHref,
+          state.contextMenu.submenu,
+          state.contextMenu.context,
         );
       }
     }
@@ -71,7 +90,8 @@ export function contextMenuView(state) {
         zIndex: `${Z_INDEX_TOP_2}`,
         position: "absolute",
         outline: "none",
-        overflow: "hidden",
+        overflowX: "hidden",
+        overflowY: "auto",
         padding: "12px 9px",
         border: "2px solid #949494",
         boxShadow: "0 7px 6.2px 7px rgba(0, 0, 0, 0.25)",
@@ -85,73 +105,125 @@ export function contextMenuView(state) {
 }
 
 /**
+ * Items for the commands listed in a context menu, with one item per submenu
  * @param {State} state
- * @returns {import("hyperapp").ElementVNode<State>[]} Block renderer function
+ * @param {Command["contextMenus"][number]} menu
+ * @param {CommandContext} context
+ * @returns {import("hyperapp").ElementVNode<State>[]}
  */
-function viewportContextMenuContents(state) {
+function commandContextMenuContents(state, menu, context) {
+  const commands = getCommands(state).filter(
+    (command) =>
+      command.contextMenus.includes(menu) &&
+      command.isAvailable(state, context),
+  );
+
+  /** @type {string[]} */
+  const submenus = [];
+  /** @type {import("hyperapp").ElementVNode<State>[]} */
+  const items = [];
+  for (const command of commands) {
+    if (command.submenu === undefined) {
+      items.push(commandContextMenuButton(state, command, context));
+    } else if (!submenus.includes(command.submenu)) {
+      submenus.push(command.submenu);
+    }
+  }
   return [
-    contextMenuButton(
-      (state, event) =>
-        addWebviewBlockToViewportCenter(
-          state,
-          "https://www.google.com/",
-          false,
-        ),
-      "add new block",
-      "cmd + t",
-    ),
+    ...items,
+    ...submenus.map((submenu) => contextMenuSubmenuButton(submenu, context)),
   ];
 }
 
 /**
  * @param {State} state
- * @param {WebviewBlock} block
- * @param {string | null} anchorHref - href of anchor tag from the context menu event. if it doesn't exist, use null
- * @returns {import("hyperapp").ElementVNode<State>[]} Block renderer function
+ * @param {string} submenu
+ * @param {CommandContext} context
+ * @returns {import("hyperapp").ElementVNode<State>[]}
  */
-function webviewContextMenuContents(state, block, anchorHref) {
-  //TODO: add disabled
+function submenuContextMenuContents(state, submenu, context) {
   return [
-    contextMenuButton(
-      (state, event) => webviewGoBack(state, block),
-      "go back a page",
+    h(
+      "div",
+      { style: { padding: "6px 9px", color: "#B0B0B0" } },
+      text(submenu),
     ),
-    contextMenuButton(
-      (state, event) => webviewGoForward(state, block),
-      "go forward a page",
-    ),
-    anchorHref
-      ? contextMenuButton(
-          (state, event) => addChildBlock(state, block.id, anchorHref, false),
-          "open link in new block",
-        )
-      : null,
-  ].filter((item) => item !== null);
+    ...getCommands(state)
+      .filter(
+        (command) =>
+          command.submenu === submenu && command.isAvailable(state, context),
+      )
+      .map((command) => commandContextMenuButton(state, command, context)),
+  ];
 }
 
 /**
- * @param {(state: State, event: Event) => State} action - new state to transition to after button press. TODO: make this work with Dispatchable
- * @param {string} value
- * @param {string} [hint]
+ * @param {State} state
+ * @param {Command} command
+ * @param {CommandContext} context
  * @returns {import("hyperapp").ElementVNode<State>} Block renderer function
  */
-function contextMenuButton(action, value, hint) {
+function commandContextMenuButton(state, command, context) {
+  const shortcutHint = getShortcutHint(state, command);
   //this can't be an actual <button> because clicking it would take away focus from the context menu div
   //thus we just use a regular div and pointerdown instead
   return h(
     "div",
     {
       style: {
+        display: "flex",
+        justifyContent: "space-between",
+        gap: "6px",
         padding: "6px 9px",
         borderRadius: "11px",
         color: "#E5E5E5",
       },
-      onpointerdown: (state, event) => {
-        return [action(state, event), [blurEffect, { id: "context-menu" }]];
+      onpointerdown: (state) =>
+        command.action(updateState(state, { contextMenu: null }), context),
+      class: "context-menu-button",
+    },
+    [
+      h("span", {}, text(command.label)),
+      shortcutHint !== null
+        ? h(
+            "span",
+            { style: { color: "#B0B0B0", whiteSpace: "nowrap" } },
+            text(shortcutHint),
+          )
+        : null,
+    ],
+  );
+}
+
+/**
+ * Button that replaces the contents of the context menu with a submenu instead of closing it
+ * @param {string} submenu
+ * @param {CommandContext} context
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function contextMenuSubmenuButton(submenu, context) {
+  return h(
+    "div",
+    {
+      style: {
+        padding: "6px 9px",
+        borderRadius: "11px",
+        color: "#E5E5E5",
       },
+      // the context menu keeps focus since this div isn't focusable, so it stays open
+      onpointerdown: (state) =>
+        updateState(state, {
+          contextMenu: state.contextMenu && {
+            x: state.contextMenu.x,
+            y: state.contextMenu.y,
+            type: "submenu",
+            submenu,
+            context,
+          },
+        }),
       class: "context-menu-button",
     },
-    text(value),
+    text(submenu),
   );
 }
 
@@ -170,6 +242,38 @@ export function enableViewportContextMenu(state, event) {
   ];
 }
 
+/**
+ * Selects the block a context menu was opened on along with its group, unless it is already part
+ * of the selection, so the commands that act on the selection act on it
+ * @param {State} state
+ * @param {Block} block
+ * @returns {State}
+ */
+function selectBlockForContextMenu(state, block) {
+  const currentPage = getCurrentPage(state);
+  if (currentPage.selectedIds.includes(block.id)) return state;
+  return updateCurrentPage(state, {
+    selectedIds: addGroupMembers(currentPage, [block.id]),
+  });
+}
+
+/**
+ * Opens the context menu of a link between blocks, selecting the link
+ * @param {State} state
+ * @param {MouseEvent} event
+ * @param {Link} link
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+export function enableLinkContextMenu(state, event, link) {
+  event.stopPropagation();
+  return [
+    updateState(updateCurrentPage(state, { selectedIds: [link.id] }), {
+      contextMenu: { x: event.clientX, y: event.clientY, type: "link", link },
+    }),
+    [focusEffect, { id: "context-menu" }],
+  ];
+}
+
 /**
  * @param {State} state
  * @param {PointerEvent} event
@@ -179,7 +283,7 @@ export function enableViewportContextMenu(state, event) {
 export function enableWebviewContextMenu(state, event, block) {
   event.stopPropagation();
   return [
-    updateState(state, {
+    updateState(selectBlockForContextMenu(state, block), {
       contextMenu: {
         x: event.clientX,
         y: event.clientY,
@@ -202,7 +306,7 @@ export function enableWebviewContextMenu(state, event, block) {
  */
 export function enableWebviewContextMenuManual(state, x, y, block, anchorHref) {
   return [
-    updateState(state, {
+    updateState(selectBlockForContextMenu(state, block), {
       contextMenu: {
         x,
         y,
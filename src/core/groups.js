@@ -0,0 +1,159 @@
+import { h } from "hyperapp";
+import { Z_INDEX_TOP } from "./constants.js";
+import { saveMementoAndReturn } from "./memento.js";
+import { getHiddenBlockIds } from "./outline.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { getSelectedBlocks } from "./selection.js";
+
+// -----------------------------
+// ## Groups
+// -----------------------------
+
+// A group is the set of blocks on a page that share a `groupId`. Selecting any block of a group
+// selects all of it, and everything that acts on the selection then acts on the whole group.
+// Group ids come from the page's `idCounter`, like block and link ids.
+
+/**
+ * @param {Page} page
+ * @param {number[]} ids - IDs of blocks or links
+ * @returns {number[]} The IDs along with the IDs of every block grouped with one of them
+ */
+export function addGroupMembers(page, ids) {
+  const groupIds = new Set(
+    page.blocks
+      .filter((block) => block.groupId !== null && ids.includes(block.id))
+      .map((block) => block.groupId),
+  );
+  if (groupIds.size === 0) return ids;
+
+  const memberIds = page.blocks
+    .filter((block) => groupIds.has(block.groupId) && !ids.includes(block.id))
+    .map((block) => block.id);
+  return [...ids, ...memberIds];
+}
+
+/**
+ * @param {State} state
+ * @returns {boolean} True if the selection contains a grouped block
+ */
+export function selectionHasGroup(state) {
+  return getSelectedBlocks(state).some((block) => block.groupId !== null);
+}
+
+/**
+ * Puts the selected blocks in one new group, merging any groups they were in
+ * @param {State} state
+ * @returns {State}
+ */
+export function groupSelectedBlocks(state) {
+  const currentPage = getCurrentPage(state);
+  const selectedIds = addGroupMembers(currentPage, currentPage.selectedIds);
+  const blockIds = currentPage.blocks
+    .filter((block) => selectedIds.includes(block.id))
+    .map((block) => block.id);
+  if (blockIds.length < 2) return state;
+
+  const groupId = currentPage.idCounter;
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) =>
+      blockIds.includes(block.id) ? { ...block, groupId } : block,
+    ),
+    idCounter: currentPage.idCounter + 1,
+    selectedIds,
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Takes the selected blocks out of their groups, leaving them selected
+ * @param {State} state
+ * @returns {State}
+ */
+export function ungroupSelectedBlocks(state) {
+  const currentPage = getCurrentPage(state);
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) =>
+      currentPage.selectedIds.includes(block.id) && block.groupId !== null
+        ? { ...block, groupId: null }
+        : block,
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Gives copied blocks new group ids so they don't join the groups of the blocks they were copied from.
+ * Blocks left alone in a group by the copy aren't grouped.
+ * @param {Block[]} blocks - Blocks with the group ids of the originals
+ * @param {number} idCounter - Next free id of the page the blocks are added to
+ * @returns {{blocks: Block[], idCounter: number}}
+ */
+export function remapGroupIds(blocks, idCounter) {
+  /** @type {Map<number, number>} */
+  const groupIdMap = new Map();
+  for (const block of blocks) {
+    if (block.groupId === null || groupIdMap.has(block.groupId)) continue;
+    const groupId = block.groupId;
+    const memberCount = blocks.filter((b) => b.groupId === groupId).length;
+    if (memberCount >= 2) groupIdMap.set(groupId, idCounter++);
+  }
+  return {
+    blocks: blocks.map((block) => ({
+      ...block,
+      groupId:
+        block.groupId === null ? null : (groupIdMap.get(block.groupId) ?? null),
+    })),
+    idCounter,
+  };
+}
+
+// -----------------------------
+// ## Group View
+// -----------------------------
+
+/**
+ * Dashed outlines around the groups that aren't selected, so grouped blocks can be told apart
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State>[]}
+ */
+export function groupOutlines(state) {
+  const currentPage = getCurrentPage(state);
+  const hiddenIds = getHiddenBlockIds(currentPage);
+
+  /** @type {Map<number, Block[]>} */
+  const groups = new Map();
+  for (const block of currentPage.blocks) {
+    if (block.groupId === null || hiddenIds.has(block.id)) continue;
+    groups.set(block.groupId, [...(groups.get(block.groupId) ?? []), block]);
+  }
+
+  return [...groups]
+    .filter(
+      ([, blocks]) =>
+        blocks.length > 1 &&
+        !blocks.some((block) => currentPage.selectedIds.includes(block.id)),
+    )
+    .map(([groupId, blocks]) => {
+      const left = Math.min(...blocks.map((b) => b.x));
+      const top = Math.min(...blocks.map((b) => b.y));
+      const right = Math.max(...blocks.map((b) => b.x + b.width));
+      const bottom = Math.max(...blocks.map((b) => b.y + b.height));
+      return h("div", {
+        key: `group-${groupId}`,
+        class: "group-outline",
+        style: {
+          position: "absolute",
+          transform: `translate(${left - 20}px, ${top - 20}px)`,
+          width: `${right - left + 40}px`,
+          height: `${bottom - top + 40}px`,
+          // the color comes from the class, so it can change with dark mode
+          borderWidth: `${2 / currentPage.zoom}px`,
+          borderStyle: "dashed",
+          borderRadius: "12px",
+          boxSizing: "border-box",
+          pointerEvents: "none",
+          zIndex: `${Z_INDEX_TOP}`,
+        },
+      });
+    });
+}
@@ -5,6 +5,8 @@ interface BaseBlock {
   x: number;
   y: number;
   zIndex: number;
+  // blocks sharing a group id select, move, resize, copy and delete together, see groups.js
+  groupId: number | null;
 }
 
 interface WebviewBlock extends BaseBlock {
@@ -21,8 +23,10 @@ interface WebviewBlock extends BaseBlock {
   realChildrenIds: number[];
   pageTitle: string;
   faviconUrl: string | null;
-  canGoBack: boolean;
-  canGoForward: boolean;
+  // urls this block has visited, oldest first. saved with the block so back/forward survive restarts
+  history: string[];
+  // index into `history` of the page being shown, -1 before the first navigation
+  historyIndex: number;
   isUrlBarExpanded: boolean;
 }
 
@@ -30,20 +34,90 @@ interface TextBlock extends BaseBlock {
   type: "text";
   value: string;
   fontSize: number; // px
+  fontFamily: string;
+  // null follows the theme, so the text stays readable in dark mode
+  color: string | null;
+  background: string | null;
+  textAlign: TextAlign;
+  // the height follows the text instead of being set by resizing
+  autoGrow: boolean;
+  // the text is shown rendered as markdown while its source isn't being edited, see markdown.js
+  markdown: boolean;
 }
 
+type TextAlign = "left" | "center" | "right";
+
 interface ImageBlock extends BaseBlock {
   type: "image";
   src: string;
 }
 
-type Block = WebviewBlock | TextBlock | ImageBlock;
+// a titled region drawn behind other blocks. moving it moves the blocks inside it, see frame.js
+interface FrameBlock extends BaseBlock {
+  type: "frame";
+  title: string;
+  // css color of the border and title, the background is a translucent version of it
+  color: string;
+}
+
+// a freehand pen stroke, see drawing.js
+interface DrawingBlock extends BaseBlock {
+  type: "drawing";
+  // points of the stroke relative to the top left corner of the block, at the size it was drawn
+  points: [number, number][];
+  // size of the block when the stroke was drawn. resizing the block stretches the stroke
+  viewBoxWidth: number;
+  viewBoxHeight: number;
+  color: string;
+  strokeWidth: number; // canvas px
+}
+
+// a rectangle or ellipse annotation filling the block, see shape.js
+interface ShapeBlock extends BaseBlock {
+  type: "shape";
+  shape: "rectangle" | "ellipse";
+  strokeColor: string;
+  // null leaves the inside transparent
+  fillColor: string | null;
+  strokeWidth: number; // canvas px
+}
+
+// a line or arrow between two corners of the block, see shape.js
+interface LineBlock extends BaseBlock {
+  type: "line";
+  // the line starts at the top left corner, or the right and bottom ones when flipped, and ends at the opposite corner
+  flipX: boolean;
+  flipY: boolean;
+  arrowHead: boolean;
+  // blocks the ends are attached to. attached ends follow the edge of their block as it moves
+  startBlockId: number | null;
+  endBlockId: number | null;
+  strokeColor: string;
+  strokeWidth: number; // canvas px
+}
+
+type Block =
+  | WebviewBlock
+  | TextBlock
+  | ImageBlock
+  | FrameBlock
+  | DrawingBlock
+  | ShapeBlock
+  | LineBlock;
 type BlockType = Block["type"];
 
+type LinkDirection = "forward" | "backward" | "both" | "none";
+
 type Link = {
   id: number;
   parentBlockId: number;
   childBlockId: number;
+  label: string;
+  // null draws the link in the default colors
+  color: string | null;
+  style: "solid" | "dashed";
+  // forward points from the parent to the child
+  direction: LinkDirection;
 };
 
 interface Page {
@@ -63,6 +137,9 @@ interface Page {
   selectionBox: SelectionBoxState | null;
   idCounter: number;
   links: Link[];
+  // blocks whose descendants in the link tree are hidden on the canvas, see outline.js
+  collapsedBlockIds: number[];
+  showMinimap: boolean;
 }
 
 interface Memento {
@@ -107,6 +184,11 @@ interface DragState {
   id: number;
   startX: number;
   startY: number;
+  // blocks inside the dragged frames when the drag started, which move along with the selection
+  frameContentIds: number[];
+  // where the dragged block would be without snapping
+  unsnappedX: number;
+  unsnappedY: number;
 }
 
 interface SelectionBoxState {
@@ -116,7 +198,103 @@ interface SelectionBoxState {
   currentY: number;
 }
 
+interface Workspace {
+  id: string;
+  name: string;
+  // paths relative to the electron userData directory
+  statePath: string;
+  mediaPath: string;
+}
+
+interface WorkspaceRegistry {
+  currentWorkspaceId: string;
+  workspaces: Workspace[];
+}
+
+// a snapshot of a workspace's state file, kept in user/backups/<workspace id>/
+interface BackupInfo {
+  filename: string;
+  // ms since epoch
+  createdAt: number;
+}
+
+interface RestoreBackupDialogState {
+  // why the state file could not be loaded
+  message: string;
+  backups: BackupInfo[];
+}
+
+interface SidebarState {
+  tab: "pages" | "outline";
+  renamingPageId: string | null;
+  // page being dragged to reorder the page list
+  draggingPageId: string | null;
+  dropTarget: { pageId: string; position: "before" | "after" } | null;
+}
+
+// text of a page shown by a webview block, kept in user/page-text/<workspace id>.json
+interface PageTextEntry {
+  pageId: string;
+  blockId: number;
+  url: string;
+  title: string;
+  text: string;
+  // ms since epoch
+  indexedAt: number;
+}
+
+interface PageTextSearchResult {
+  pageId: string;
+  blockId: number;
+  url: string;
+  title: string;
+  // part of the page text around the match
+  snippet: string;
+}
+
+interface SearchState {
+  query: string;
+  // index of the highlighted result, counting block results before page text results
+  selectedIndex: number;
+  pageTextResults: PageTextSearchResult[];
+}
+
+interface SearchPaletteItem {
+  key: string;
+  title: string;
+  detail: string;
+  // part of a page's text around the match, null for block results
+  snippet: string | null;
+  pick: (state: State) => State;
+}
+
+type Direction = "left" | "right" | "up" | "down";
+
+// edge or center of the selection that align commands line blocks up with
+type Alignment = "left" | "center" | "right" | "top" | "middle" | "bottom";
+
+interface ViewportTarget {
+  offsetX: number;
+  offsetY: number;
+  zoom: number;
+}
+
+interface ViewportAnimation {
+  // page whose viewport is animated, switching pages ends the animation
+  pageId: string;
+  from: ViewportTarget;
+  to: ViewportTarget;
+  // timestamp of the first animation frame, null until it runs
+  startTime: DOMHighResTimeStamp | null;
+}
+
+interface WorkspaceSwitcherState {
+  renamingWorkspaceId: string | null;
+}
+
 interface State {
+  // schema version of the saved state, see migrations.js
+  version: number;
   pages: Page[];
   currentPageId: string;
   mementoManager: MementoManager;
@@ -130,8 +308,54 @@ interface State {
   notification: string | null;
   notificationVisible: boolean;
   contextMenu: ContextMenu | null;
+  workspace: Workspace;
+  workspaces: Workspace[];
+  workspaceSwitcher: WorkspaceSwitcherState | null;
+  sidebar: SidebarState;
+  // shown instead of the canvas when the state file fails to load and backups exist
+  restoreBackupDialog: RestoreBackupDialogState | null;
+  search: SearchState | null;
+  commandPalette: CommandPaletteState | null;
+  settings: Settings;
+  settingsDialog: SettingsDialogState | null;
+  viewportAnimation: ViewportAnimation | null;
+  // lines shown while a drag or resize snaps to other blocks, see snapping.js
+  snapGuides: SnapGuide[];
+  // area of the page the minimap showed when dragging on it started, see minimap.js
+  minimapDrag: MinimapBounds | null;
+  penTool: PenToolState;
+  // link being dragged from a block's link handle, see link.js
+  linkDrag: LinkDrag | null;
+  linkLabelEdit: LinkLabelEdit | null;
+  // text block whose markdown source is shown instead of the rendered markdown, see text.js
+  markdownEditId: number | null;
 }
 
+// the subset of State written to disk by `saveApplication`
+type SavedState = Omit<
+  State,
+  | "mementoManager"
+  | "notification"
+  | "notificationVisible"
+  | "clipboard"
+  | "workspace"
+  | "workspaces"
+  | "workspaceSwitcher"
+  | "sidebar"
+  | "restoreBackupDialog"
+  | "search"
+  | "commandPalette"
+  | "settings"
+  | "settingsDialog"
+  | "viewportAnimation"
+  | "snapGuides"
+  | "minimapDrag"
+  | "penTool"
+  | "linkDrag"
+  | "linkLabelEdit"
+  | "markdownEditId"
+>;
+
 interface BaseContextMenu {
   x: number;
   y: number;
@@ -147,7 +371,115 @@ interface WebviewContextMenu extends BaseContextMenu {
   anchorHref: string | null;
 }
 
-type ContextMenu = ViewportContextMenu | WebviewContextMenu;
+// lists the commands grouped under one item of another context menu, see `Command.submenu`
+interface SubmenuContextMenu extends BaseContextMenu {
+  type: "submenu";
+  submenu: string;
+  // context of the menu the submenu was opened from
+  context: CommandContext;
+}
+
+interface LinkContextMenu extends BaseContextMenu {
+  type: "link";
+  link: Link;
+}
+
+type ContextMenu =
+  | ViewportContextMenu
+  | WebviewContextMenu
+  | LinkContextMenu
+  | SubmenuContextMenu;
+
+interface CommandContext {
+  // block the command acts on: the block of a webview context menu or toolbar, otherwise the first selected block
+  block: Block | null;
+  // link a webview context menu was opened on
+  anchorHref: string | null;
+  // link between blocks the command acts on: the link of a link context menu, otherwise the first selected link
+  link: Link | null;
+}
+
+// an action the user can trigger, see commands.js
+interface Command {
+  id: string;
+  label: string;
+  // i.e. "mod+shift+z", where mod is cmd or ctrl. the first one is shown next to the label
+  shortcuts: string[];
+  // context menus that list the command
+  contextMenus: ("viewport" | "webview" | "link")[];
+  // label of the context menu item that opens a submenu listing this command, instead of listing it directly
+  submenu?: string;
+  // unavailable commands are left out of menus and the palette and their shortcuts do nothing
+  isAvailable: (state: State, context: CommandContext) => boolean;
+  action: (
+    state: State,
+    context: CommandContext,
+  ) => import("hyperapp").Dispatchable<State>;
+}
+
+// preferences shared by every workspace, kept in user/settings.json
+interface Settings {
+  // shortcuts by command id, replacing the command's default shortcuts
+  keybindings: Record<string, string[]>;
+  snapping: SnappingSettings;
+}
+
+interface SnappingSettings {
+  snapToGrid: boolean;
+  // canvas px between grid lines
+  gridSize: number;
+  // snap to the edges and centers of nearby blocks
+  snapToBlocks: boolean;
+}
+
+interface SnapGuide {
+  // "x" is a vertical line at x = position, "y" a horizontal line at y = position
+  axis: "x" | "y";
+  position: number;
+  // extent of the line along the other axis
+  start: number;
+  end: number;
+}
+
+interface PenToolState {
+  // while active, dragging on the canvas draws instead of selecting and moving blocks
+  isActive: boolean;
+  color: string;
+  strokeWidth: number;
+  // stroke being drawn in canvas coordinates, null between strokes
+  points: [number, number][] | null;
+}
+
+interface LinkDrag {
+  parentBlockId: number;
+  // pointer position in canvas coordinates
+  x: number;
+  y: number;
+}
+
+interface LinkLabelEdit {
+  linkId: number;
+  // label before the edit, restored by escape and by undo
+  originalLabel: string;
+}
+
+// area of a page in canvas coordinates and the scale it is drawn at in the minimap
+interface MinimapBounds {
+  x: number;
+  y: number;
+  scale: number;
+}
+
+interface SettingsDialogState {
+  // command whose next key press is recorded as a new shortcut
+  recordingCommandId: string | null;
+}
+
+interface CommandPaletteState {
+  query: string;
+  // index of the highlighted command
+  selectedIndex: number;
+}
 
 type ResizeHandler = (
   block: BaseBlock,
@@ -0,0 +1,311 @@
+import { NEW_CHILD_BLOCK_OFFSET_X } from "./constants.js";
+import { saveMementoAndReturn } from "./memento.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { getVisibleBlocks } from "./outline.js";
+import { getSelectedBlocks } from "./selection.js";
+import { getFrameContentIds } from "./blockContents/frame.js";
+import { layoutCurrentPageLines } from "./blockContents/shape.js";
+
+// -----------------------------
+// ## Layout
+// -----------------------------
+
+// space kept between blocks placed by the layout engine
+const LAYOUT_GAP = NEW_CHILD_BLOCK_OFFSET_X;
+
+/**
+ * @param {{x: number, y: number, width: number, height: number}} a
+ * @param {{x: number, y: number, width: number, height: number}} b
+ * @param {number} gap - Minimum space that must be left between the rectangles
+ * @returns {boolean}
+ */
+function rectsOverlap(a, b, gap) {
+  return !(
+    a.x + a.width + gap <= b.x ||
+    b.x + b.width + gap <= a.x ||
+    a.y + a.height + gap <= b.y ||
+    b.y + b.height + gap <= a.y
+  );
+}
+
+/**
+ * Slides a block down from its position until it no longer overlaps any other visible block on the page
+ * @param {State} state
+ * @param {number} blockId
+ * @returns {State}
+ */
+export function allocateOpenSpaceForNewBlock(state, blockId) {
+  const currentPage = getCurrentPage(state);
+  const block = currentPage.blocks.find((b) => b.id === blockId);
+  if (!block) return state;
+
+  const otherBlocks = getVisibleBlocks(currentPage).filter(
+    (b) => b.id !== blockId,
+  );
+  const rect = {
+    x: block.x,
+    y: block.y,
+    width: block.width,
+    height: block.height,
+  };
+  // every step moves below at least one block, so this always ends
+  for (let i = 0; i <= otherBlocks.length; i++) {
+    const obstacle = otherBlocks.find((b) => rectsOverlap(rect, b, LAYOUT_GAP));
+    if (!obstacle) break;
+    rect.y = obstacle.y + obstacle.height + LAYOUT_GAP;
+  }
+
+  if (rect.y === block.y) return state;
+  return updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((b) =>
+      b.id === blockId ? { ...b, y: rect.y } : b,
+    ),
+  });
+}
+
+/**
+ * Lays out the selected blocks as a left-to-right tree following the links between them.
+ * Each depth of the tree gets a column and each subtree a band of rows, starting from the
+ * top left corner of the selection. Blocks without a link to the rest of the selection become roots.
+ * @param {State} state
+ * @returns {State}
+ */
+export function tidySelectedBlocks(state) {
+  const currentPage = getCurrentPage(state);
+  const selectedBlocks = getSelectedBlocks(state);
+  if (selectedBlocks.length < 2) return state;
+
+  const selectedIds = new Set(selectedBlocks.map((block) => block.id));
+  const links = currentPage.links.filter(
+    (link) =>
+      selectedIds.has(link.parentBlockId) && selectedIds.has(link.childBlockId),
+  );
+  const childIds = new Set(links.map((link) => link.childBlockId));
+  // keep the current vertical order of blocks so the result resembles what the user arranged
+  const byPosition = [...selectedBlocks].sort((a, b) => a.y - b.y || a.x - b.x);
+  const roots = byPosition.filter((block) => !childIds.has(block.id));
+  // a selection that is entirely a cycle has no root, so start from its topmost block
+  if (roots.length === 0) roots.push(byPosition[0]);
+
+  // spanning forest: a block linked from several parents goes under the first one reached
+  /** @type {Map<number, Block[]>} */
+  const children = new Map();
+  /** @type {Map<number, number>} */
+  const depths = new Map();
+  const queue = roots.map((root) => {
+    depths.set(root.id, 0);
+    return root;
+  });
+  while (queue.length > 0) {
+    const block = /** @type {Block} */ (queue.shift());
+    const blockChildren = byPosition.filter(
+      (child) =>
+        !depths.has(child.id) &&
+        links.some(
+          (link) =>
+            link.parentBlockId === block.id && link.childBlockId === child.id,
+        ),
+    );
+    for (const child of blockChildren) {
+      depths.set(child.id, /** @type {number} */ (depths.get(block.id)) + 1);
+    }
+    children.set(block.id, blockChildren);
+    queue.push(...blockChildren);
+  }
+  // blocks only reachable through a cycle that doesn't include a root
+  for (const block of byPosition) {
+    if (!depths.has(block.id)) {
+      depths.set(block.id, 0);
+      children.set(block.id, []);
+      roots.push(block);
+    }
+  }
+
+  /** @type {number[]} */
+  const columnWidths = [];
+  for (const block of selectedBlocks) {
+    const depth = /** @type {number} */ (depths.get(block.id));
+    columnWidths[depth] = Math.max(columnWidths[depth] ?? 0, block.width);
+  }
+  const originX = Math.min(...selectedBlocks.map((block) => block.x));
+  const originY = Math.min(...selectedBlocks.map((block) => block.y));
+  /** @type {number[]} */
+  const columnXs = [];
+  columnWidths.reduce((x, width, depth) => {
+    columnXs[depth] = x;
+    return x + width + LAYOUT_GAP;
+  }, originX);
+
+  /** @type {Map<number, {x: number, y: number}>} */
+  const positions = new Map();
+  /**
+   * Places a block at the top of its band and its subtrees below each other to its right
+   * @param {Block} block
+   * @param {number} top
+   * @returns {number} Bottom of the band used by the subtree
+   */
+  function placeSubtree(block, top) {
+    const depth = /** @type {number} */ (depths.get(block.id));
+    positions.set(block.id, { x: columnXs[depth], y: top });
+    let childTop = top;
+    let bottom = top + block.height;
+    for (const child of children.get(block.id) ?? []) {
+      bottom = Math.max(bottom, placeSubtree(child, childTop));
+      childTop = bottom + LAYOUT_GAP;
+    }
+    return bottom;
+  }
+
+  let top = originY;
+  for (const root of roots) {
+    top = placeSubtree(root, top) + LAYOUT_GAP;
+  }
+
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) => {
+      const position = positions.get(block.id);
+      return position ? { ...block, ...position } : block;
+    }),
+  });
+
+  return saveMementoAndReturn(state, layoutCurrentPageLines(newState));
+}
+
+// -----------------------------
+// ## Align and Distribute
+// -----------------------------
+
+// Groups are aligned and distributed as a whole, and blocks inside a moved frame move along with it.
+
+/**
+ * @typedef {{x: number, y: number, width: number, height: number, blockIds: number[]}} LayoutUnit
+ */
+
+/**
+ * @param {State} state
+ * @returns {LayoutUnit[]} The selected groups and ungrouped blocks, with their bounding boxes
+ */
+function getSelectedUnits(state) {
+  /** @type {Map<number | string, Block[]>} */
+  const blocksByUnit = new Map();
+  for (const block of getSelectedBlocks(state)) {
+    const key = block.groupId === null ? `block-${block.id}` : block.groupId;
+    blocksByUnit.set(key, [...(blocksByUnit.get(key) ?? []), block]);
+  }
+  return [...blocksByUnit.values()].map((blocks) => {
+    const left = Math.min(...blocks.map((b) => b.x));
+    const top = Math.min(...blocks.map((b) => b.y));
+    const right = Math.max(...blocks.map((b) => b.x + b.width));
+    const bottom = Math.max(...blocks.map((b) => b.y + b.height));
+    return {
+      x: left,
+      y: top,
+      width: right - left,
+      height: bottom - top,
+      blockIds: blocks.map((b) => b.id),
+    };
+  });
+}
+
+/**
+ * Moves each unit to a new position along with the contents of the frames in it
+ * @param {State} state
+ * @param {LayoutUnit[]} units
+ * @param {{x: number, y: number}[]} positions - New top left corner of each unit
+ * @returns {State}
+ */
+function moveUnits(state, units, positions) {
+  const currentPage = getCurrentPage(state);
+  const selectedIds = units.flatMap((unit) => unit.blockIds);
+
+  /** @type {Map<number, {dx: number, dy: number}>} */
+  const offsets = new Map();
+  units.forEach((unit, i) => {
+    const dx = positions[i].x - unit.x;
+    const dy = positions[i].y - unit.y;
+    if (dx === 0 && dy === 0) return;
+    const contentIds = getFrameContentIds(currentPage, unit.blockIds).filter(
+      (id) => !selectedIds.includes(id) && !offsets.has(id),
+    );
+    for (const id of [...unit.blockIds, ...contentIds]) {
+      offsets.set(id, { dx, dy });
+    }
+  });
+  if (offsets.size === 0) return state;
+
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) => {
+      const offset = offsets.get(block.id);
+      return offset
+        ? { ...block, x: block.x + offset.dx, y: block.y + offset.dy }
+        : block;
+    }),
+  });
+  return saveMementoAndReturn(state, layoutCurrentPageLines(newState));
+}
+
+/**
+ * Lines the selected blocks up with an edge or the center of the selection
+ * @param {State} state
+ * @param {Alignment} alignment
+ * @returns {State}
+ */
+export function alignSelectedBlocks(state, alignment) {
+  const units = getSelectedUnits(state);
+  if (units.length < 2) return state;
+
+  const left = Math.min(...units.map((u) => u.x));
+  const top = Math.min(...units.map((u) => u.y));
+  const right = Math.max(...units.map((u) => u.x + u.width));
+  const bottom = Math.max(...units.map((u) => u.y + u.height));
+
+  const positions = units.map((unit) => {
+    switch (alignment) {
+      case "left":
+        return { x: left, y: unit.y };
+      case "center":
+        return { x: (left + right - unit.width) / 2, y: unit.y };
+      case "right":
+        return { x: right - unit.width, y: unit.y };
+      case "top":
+        return { x: unit.x, y: top };
+      case "middle":
+        return { x: unit.x, y: (top + bottom - unit.height) / 2 };
+      case "bottom":
+        return { x: unit.x, y: bottom - unit.height };
+    }
+  });
+  return moveUnits(state, units, positions);
+}
+
+/**
+ * Spaces the selected blocks so the gaps between them are equal,
+ * keeping the first and last block along the axis where they are
+ * @param {State} state
+ * @param {"horizontal" | "vertical"} direction
+ * @returns {State}
+ */
+export function distributeSelectedBlocks(state, direction) {
+  const units = getSelectedUnits(state);
+  if (units.length < 3) return state;
+
+  const position = direction === "horizontal" ? "x" : "y";
+  const size = direction === "horizontal" ? "width" : "height";
+  const sorted = [...units].sort(
+    (a, b) => a[position] + a[size] / 2 - (b[position] + b[size] / 2),
+  );
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const totalSize = sorted.reduce((total, unit) => total + unit[size], 0);
+  const gap =
+    (last[position] + last[size] - first[position] - totalSize) /
+    (sorted.length - 1);
+
+  let next = first[position];
+  const positions = sorted.map((unit) => {
+    const newPosition = { x: unit.x, y: unit.y, [position]: next };
+    next += unit[size] + gap;
+    return /** @type {{x: number, y: number}} */ (newPosition);
+  });
+  return moveUnits(state, sorted, positions);
+}
@@ -1,86 +1,360 @@
-import { h } from "hyperapp";
+import { h, text } from "hyperapp";
 import { getCurrentPage, updateCurrentPage } from "./pages.js";
 import { isPendingSelected, selectBlock } from "./selection.js";
-import { Z_INDEX_BOTTOM } from "./constants.js";
+import {
+  LINK_ARROW_SIZE,
+  LINK_CURVE_SEGMENTS,
+  LINK_HIT_WIDTH,
+  MIN_LINK_BEND,
+  Z_INDEX_LINKS,
+  Z_INDEX_TOP,
+} from "./constants.js";
+import { saveMementoAndReturn } from "./memento.js";
+import { getVisibleBlocks } from "./outline.js";
+import { blurEffect, focusEffect, updateState } from "./utils.js";
+import { getCanvasCoordinates } from "./viewport.js";
+import { enableLinkContextMenu } from "./contextMenu.js";
+
+/** @type {Omit<Link, "id" | "parentBlockId" | "childBlockId">} */
+export const DEFAULT_LINK_STYLE = {
+  label: "",
+  color: null,
+  style: "solid",
+  direction: "forward",
+};
+
+/**
+ * @param {number} linkId
+ * @returns {string}
+ */
+function linkLabelDomId(linkId) {
+  return `link-label-${linkId}`;
+}
+
+// -----------------------------
+// ## Link Curves
+// -----------------------------
+
+// A link is a bezier curve that leaves its parent through the edge facing the child and enters
+// the child through the edge facing the parent, so it stays visible between large blocks.
+
+/**
+ * @typedef {{x: number, y: number}} Point
+ * @typedef {{start: Point, control1: Point, control2: Point, end: Point}} LinkCurve
+ */
 
 /**
+ * @param {Block} parentBlock
+ * @param {Block} childBlock
+ * @returns {LinkCurve}
+ */
+export function getLinkCurve(parentBlock, childBlock) {
+  const parentCenterX = parentBlock.x + parentBlock.width / 2;
+  const parentCenterY = parentBlock.y + parentBlock.height / 2;
+  const childCenterX = childBlock.x + childBlock.width / 2;
+  const childCenterY = childBlock.y + childBlock.height / 2;
+
+  // the curve runs along the axis the blocks are furthest apart on
+  const horizontalGap = Math.max(
+    childBlock.x - (parentBlock.x + parentBlock.width),
+    parentBlock.x - (childBlock.x + childBlock.width),
+  );
+  const verticalGap = Math.max(
+    childBlock.y - (parentBlock.y + parentBlock.height),
+    parentBlock.y - (childBlock.y + childBlock.height),
+  );
+
+  if (horizontalGap >= verticalGap) {
+    const direction = Math.sign(childCenterX - parentCenterX) || 1;
+    const start = {
+      x: parentCenterX + (direction * parentBlock.width) / 2,
+      y: parentCenterY,
+    };
+    const end = {
+      x: childCenterX - (direction * childBlock.width) / 2,
+      y: childCenterY,
+    };
+    const bend = Math.max(MIN_LINK_BEND, Math.abs(end.x - start.x) / 2);
+    return {
+      start,
+      control1: { x: start.x + direction * bend, y: start.y },
+      control2: { x: end.x - direction * bend, y: end.y },
+      end,
+    };
+  }
+
+  const direction = Math.sign(childCenterY - parentCenterY) || 1;
+  const start = {
+    x: parentCenterX,
+    y: parentCenterY + (direction * parentBlock.height) / 2,
+  };
+  const end = {
+    x: childCenterX,
+    y: childCenterY - (direction * childBlock.height) / 2,
+  };
+  const bend = Math.max(MIN_LINK_BEND, Math.abs(end.y - start.y) / 2);
+  return {
+    start,
+    control1: { x: start.x, y: start.y + direction * bend },
+    control2: { x: end.x, y: end.y - direction * bend },
+    end,
+  };
+}
+
+/**
+ * @param {LinkCurve} curve
+ * @param {number} t - Between 0 at the start and 1 at the end
+ * @returns {Point}
+ */
+function getCurvePoint({ start, control1, control2, end }, t) {
+  const u = 1 - t;
+  return {
+    x:
+      u * u * u * start.x +
+      3 * u * u * t * control1.x +
+      3 * u * t * t * control2.x +
+      t * t * t * end.x,
+    y:
+      u * u * u * start.y +
+      3 * u * u * t * control1.y +
+      3 * u * t * t * control2.y +
+      t * t * t * end.y,
+  };
+}
+
+/**
+ * Approximates a curve with straight segments, i.e. to hit test it with `lineIntersectsRect`
+ * @param {LinkCurve} curve
+ * @returns {Point[]} Points along the curve, from start to end
+ */
+export function getLinkCurvePoints(curve) {
+  return Array.from({ length: LINK_CURVE_SEGMENTS + 1 }, (_, i) =>
+    getCurvePoint(curve, i / LINK_CURVE_SEGMENTS),
+  );
+}
+
+/**
+ * @param {Point} tip
+ * @param {Point} from - Point the arrow points away from
+ * @returns {string} Points of an arrowhead for an SVG polygon
+ */
+function getArrowHeadPoints(tip, from) {
+  const length = Math.hypot(tip.x - from.x, tip.y - from.y) || 1;
+  const dx = (tip.x - from.x) / length;
+  const dy = (tip.y - from.y) / length;
+  const baseX = tip.x - dx * LINK_ARROW_SIZE;
+  const baseY = tip.y - dy * LINK_ARROW_SIZE;
+  const halfWidth = LINK_ARROW_SIZE / 2;
+  return [
+    `${tip.x},${tip.y}`,
+    `${baseX - dy * halfWidth},${baseY + dx * halfWidth}`,
+    `${baseX + dy * halfWidth},${baseY - dx * halfWidth}`,
+  ].join(" ");
+}
+
+// -----------------------------
+// ## Link View
+// -----------------------------
+
+/**
+ * Every link of the current page in one SVG layer, with their labels on top
  * @param {State} state
- * @return {(link: Link) => import("hyperapp").ElementVNode<State>}
+ * @param {Link[]} links - Links to draw
+ * @return {import("hyperapp").ElementVNode<State>[]}
  */
-export function linkView(state) {
-  return (link) => {
-    const currentPage = getCurrentPage(state);
-    if (!currentPage) throw Error("No current page");
-    const currentBlocks = currentPage.blocks;
-    const parentBlock = currentBlocks.find((b) => b.id === link.parentBlockId);
-    const childBlock = currentBlocks.find((b) => b.id === link.childBlockId);
+export function linksLayer(state, links) {
+  const currentPage = getCurrentPage(state);
+  const curves = links.map((link) => {
+    const parentBlock = currentPage.blocks.find(
+      (b) => b.id === link.parentBlockId,
+    );
+    const childBlock = currentPage.blocks.find(
+      (b) => b.id === link.childBlockId,
+    );
     if (!parentBlock || !childBlock) throw Error(`invalid link: ${link}`);
-    const parentCenterX = parentBlock.x + parentBlock.width / 2;
-    const parentCenterY = parentBlock.y + parentBlock.height / 2;
-    const childCenterX = childBlock.x + childBlock.width / 2;
-    const childCenterY = childBlock.y + childBlock.height / 2;
-
-    const dx = childCenterX - parentCenterX;
-    const dy = childCenterY - parentCenterY;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    const angle = Math.atan2(dy, dx) * (180 / Math.PI);
-
-    const arrowSize = 16;
-    const arrowX = distance / 2 - arrowSize / 2;
-    const arrowY = -(arrowSize / 3) - 2; //TODO: do a better formula
-
-    const isLinkSelected = currentPage.selectedIds.includes(link.id);
-    const isLinkPendingSelected = isPendingSelected(state, link.id);
-
-    let backgroundColor = "#888";
-    let arrowColor = "black";
-    if (isLinkSelected) {
-      backgroundColor = "#007acc";
-      arrowColor = "#007acc";
-    } else if (isLinkPendingSelected) {
-      backgroundColor = "rgba(0, 122, 204, 0.6)";
-      arrowColor = "rgba(0, 122, 204, 0.6)";
-    }
+    return { link, curve: getLinkCurve(parentBlock, childBlock) };
+  });
 
-    return h(
-      "div",
+  return [
+    h(
+      "svg",
       {
+        key: "links",
         style: {
           position: "absolute",
-          left: `${parentCenterX}px`,
-          top: `${parentCenterY}px`,
-          width: `${distance}px`,
-          height: "2px",
-          backgroundColor,
-          transformOrigin: "0 50%",
-          transform: `rotate(${angle}deg)`,
-          pointerEvents: "auto",
-          cursor: "pointer",
-          zIndex: `${Z_INDEX_BOTTOM}`,
+          left: "0",
+          top: "0",
+          width: "1px",
+          height: "1px",
+          overflow: "visible",
+          // only the links themselves take pointer events
+          pointerEvents: "none",
+          zIndex: `${Z_INDEX_LINKS}`,
         },
-        key: `link-${link.id}`,
+      },
+      curves.map(({ link, curve }) => linkView(state, link, curve)),
+    ),
+    ...curves
+      .filter(
+        ({ link }) =>
+          link.label !== "" || state.linkLabelEdit?.linkId === link.id,
+      )
+      .map(({ link, curve }) =>
+        linkLabel(
+          link,
+          getCurvePoint(curve, 0.5),
+          state.linkLabelEdit?.linkId === link.id,
+        ),
+      ),
+  ];
+}
+
+/**
+ * @param {State} state
+ * @param {Link} link
+ * @param {LinkCurve} curve
+ * @return {import("hyperapp").ElementVNode<State>}
+ */
+function linkView(state, link, curve) {
+  const currentPage = getCurrentPage(state);
+  const isLinkSelected = currentPage.selectedIds.includes(link.id);
+  const isLinkPendingSelected = isPendingSelected(state, link.id);
+
+  let lineColor = link.color ?? "#888";
+  let arrowColor = link.color ?? "black";
+  if (isLinkSelected) {
+    lineColor = "#007acc";
+    arrowColor = "#007acc";
+  } else if (isLinkPendingSelected) {
+    lineColor = "rgba(0, 122, 204, 0.6)";
+    arrowColor = "rgba(0, 122, 204, 0.6)";
+  }
+
+  const { start, control1, control2, end } = curve;
+  const d = `M ${start.x} ${start.y} C ${control1.x} ${control1.y}, ${control2.x} ${control2.y}, ${end.x} ${end.y}`;
+
+  const arrowHeads = [
+    link.direction === "forward" || link.direction === "both"
+      ? getArrowHeadPoints(end, control2)
+      : null,
+    link.direction === "backward" || link.direction === "both"
+      ? getArrowHeadPoints(start, control1)
+      : null,
+  ].flatMap((points) =>
+    points ? [h("polygon", { points, fill: arrowColor })] : [],
+  );
+
+  return h(
+    "g",
+    {
+      key: `link-${link.id}`,
+      style: { cursor: "pointer" },
+      onpointerdown: (state, event) => {
+        event.stopPropagation();
+        return selectBlock(state, link.id);
+      },
+      oncontextmenu: (state, event) =>
+        enableLinkContextMenu(state, event, link),
+    },
+    [
+      // a wider invisible stroke makes the thin curve easier to click
+      h("path", {
+        d,
+        fill: "none",
+        stroke: "transparent",
+        "stroke-width": `${LINK_HIT_WIDTH / currentPage.zoom}`,
+        "pointer-events": "stroke",
+      }),
+      h("path", {
+        d,
+        fill: "none",
+        stroke: lineColor,
+        "stroke-width": "3",
+        "stroke-dasharray": link.style === "dashed" ? "12 8" : "none",
+        "pointer-events": "none",
+      }),
+      ...arrowHeads,
+    ],
+  );
+}
+
+/**
+ * Label in the middle of a link. Double clicking it edits it.
+ * @param {Link} link
+ * @param {Point} position - Middle of the link's curve
+ * @param {boolean} isEditing
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function linkLabel(link, position, isEditing) {
+  /** @type {import("hyperapp").StyleProp} */
+  const style = {
+    position: "absolute",
+    left: `${position.x}px`,
+    top: `${position.y}px`,
+    transform: "translate(-50%, -50%)",
+    padding: "4px 12px",
+    borderRadius: "10px",
+    fontSize: "24px",
+    whiteSpace: "nowrap",
+    cursor: "pointer",
+    zIndex: `${Z_INDEX_LINKS}`,
+    ...(link.color ? { border: `2px solid ${link.color}` } : {}),
+  };
+
+  if (!isEditing) {
+    return h(
+      "div",
+      {
+        key: `link-label-${link.id}`,
+        class: "link-label",
+        style,
         onpointerdown: (state, event) => {
           event.stopPropagation();
           return selectBlock(state, link.id);
         },
+        ondblclick: (state) => startLinkLabelEdit(state, link.id),
+        oncontextmenu: (state, event) =>
+          enableLinkContextMenu(state, event, link),
       },
-      [
-        h("div", {
-          style: {
-            position: "absolute",
-            left: `${arrowX}px`,
-            top: `${arrowY}px`,
-            width: "0",
-            height: "0",
-            borderLeft: `${arrowSize / 2}px solid transparent`,
-            borderRight: `${arrowSize / 2}px solid transparent`,
-            borderBottom: `${arrowSize}px solid ${arrowColor}`,
-            transform: "rotate(90deg)",
-          },
-        }),
-      ],
+      text(link.label),
     );
-  };
+  }
+
+  return h("input", {
+    key: `link-label-${link.id}`,
+    id: linkLabelDomId(link.id),
+    class: "link-label",
+    value: link.label,
+    placeholder: "label",
+    style: { ...style, outline: "none", width: "300px", cursor: "text" },
+    // typing in the label shouldn't trigger shortcuts
+    onkeydown: (state, event) => {
+      event.stopPropagation();
+      if (event.key === "Escape") {
+        const originalLabel = state.linkLabelEdit?.originalLabel ?? link.label;
+        return [
+          setLinkLabel(state, link.id, originalLabel),
+          [blurEffect, { id: linkLabelDomId(link.id) }],
+        ];
+      }
+      if (event.key === "Enter") {
+        return [state, [blurEffect, { id: linkLabelDomId(link.id) }]];
+      }
+      return state;
+    },
+    oninput: (state, event) =>
+      setLinkLabel(
+        state,
+        link.id,
+        /** @type {HTMLInputElement} */ (event.target).value,
+      ),
+    onblur: finishLinkLabelEdit,
+    onpointerdown: (state, event) => {
+      // placing the caret shouldn't reselect the link
+      event.stopPropagation();
+      return state;
+    },
+  });
 }
 
 /**
@@ -93,7 +367,9 @@ export function addLink(state, parentBlockId, childBlockId) {
   const currentPage = getCurrentPage(state);
   if (!currentPage) return state;
 
+  /** @type {Link} */
   const newLink = {
+    ...DEFAULT_LINK_STYLE,
     id: currentPage.idCounter,
     parentBlockId,
     childBlockId,
@@ -126,3 +402,286 @@ export function getLinkById(state, id) {
   const currentPage = getCurrentPage(state);
   return currentPage?.links?.find((link) => link.id === id) ?? null;
 }
+
+/**
+ * @param {State} state
+ * @returns {Link | null} The first selected link
+ */
+export function getSelectedLink(state) {
+  const currentPage = getCurrentPage(state);
+  return (
+    currentPage.links.find((link) =>
+      currentPage.selectedIds.includes(link.id),
+    ) ?? null
+  );
+}
+
+// -----------------------------
+// ## Link Editing
+// -----------------------------
+
+/**
+ * Restyles a link as one undoable change
+ * @param {State} state
+ * @param {number} linkId
+ * @param {Partial<Omit<Link, "id" | "parentBlockId" | "childBlockId">>} linkStyle
+ * @returns {State}
+ */
+export function styleLink(state, linkId, linkStyle) {
+  const currentPage = getCurrentPage(state);
+  const newState = updateCurrentPage(state, {
+    links: currentPage.links.map((link) =>
+      link.id === linkId ? { ...link, ...linkStyle } : link,
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * @param {State} state
+ * @param {number} linkId
+ * @returns {State}
+ */
+export function deleteLink(state, linkId) {
+  const currentPage = getCurrentPage(state);
+  const newState = updateCurrentPage(state, {
+    links: currentPage.links.filter((link) => link.id !== linkId),
+    selectedIds: currentPage.selectedIds.filter((id) => id !== linkId),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * @param {State} state
+ * @param {number} linkId
+ * @param {string} label
+ * @returns {State}
+ */
+function setLinkLabel(state, linkId, label) {
+  const currentPage = getCurrentPage(state);
+  return updateCurrentPage(state, {
+    links: currentPage.links.map((link) =>
+      link.id === linkId ? { ...link, label } : link,
+    ),
+  });
+}
+
+/**
+ * Shows an input in place of the label of a link
+ * @param {State} state
+ * @param {number} linkId
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+export function startLinkLabelEdit(state, linkId) {
+  const link = getLinkById(state, linkId);
+  if (!link) return state;
+  return [
+    updateState(state, {
+      linkLabelEdit: { linkId, originalLabel: link.label },
+    }),
+    [focusEffect, { id: linkLabelDomId(linkId) }],
+  ];
+}
+
+/**
+ * Ends editing a label, saving the edit as one undoable change
+ * @param {State} state
+ * @returns {State}
+ */
+function finishLinkLabelEdit(state) {
+  const labelEdit = state.linkLabelEdit;
+  if (!labelEdit) return state;
+  const newState = updateState(state, { linkLabelEdit: null });
+
+  const link = getLinkById(newState, labelEdit.linkId);
+  if (!link || link.label === labelEdit.originalLabel) return newState;
+  // the label was updated as it was typed, so the state to go back to is rebuilt with the original label
+  return saveMementoAndReturn(
+    setLinkLabel(newState, link.id, labelEdit.originalLabel),
+    newState,
+  );
+}
+
+// -----------------------------
+// ## Link Dragging
+// -----------------------------
+
+// A handle below the selected or hovered block starts a link: dragging it onto another block
+// links the two, with the block the drag started from as the parent.
+
+/**
+ * @param {State} state
+ * @param {PointerEvent} event
+ * @returns {{x: number, y: number}}
+ */
+function getPointerPosition(state, event) {
+  const { canvasX, canvasY } = getCanvasCoordinates(
+    event.clientX,
+    event.clientY,
+    state,
+  );
+  return { x: canvasX, y: canvasY };
+}
+
+/**
+ * @param {State} state
+ * @param {{x: number, y: number}} point - Canvas coordinates
+ * @param {number} parentBlockId
+ * @returns {Block | null} The topmost block under the point that a link from the parent can go to
+ */
+function getLinkTarget(state, point, parentBlockId) {
+  const candidates = getVisibleBlocks(getCurrentPage(state))
+    .filter(
+      (block) =>
+        block.id !== parentBlockId &&
+        point.x >= block.x &&
+        point.x <= block.x + block.width &&
+        point.y >= block.y &&
+        point.y <= block.y + block.height,
+    )
+    // frames are drawn below every other block
+    .sort(
+      (a, b) =>
+        Number(a.type === "frame") - Number(b.type === "frame") ||
+        b.zIndex - a.zIndex,
+    );
+  return candidates[0] ?? null;
+}
+
+/**
+ * Links the block the drag started from to the block it ended on, or selects the link
+ * between them if there is one already
+ * @param {State} state
+ * @returns {State}
+ */
+function finishLinkDrag(state) {
+  const linkDrag = state.linkDrag;
+  if (!linkDrag) return state;
+  const newState = updateState(state, { linkDrag: null });
+
+  const target = getLinkTarget(state, linkDrag, linkDrag.parentBlockId);
+  if (!target) return newState;
+
+  const currentPage = getCurrentPage(newState);
+  const existingLink = currentPage.links.find(
+    (link) =>
+      (link.parentBlockId === linkDrag.parentBlockId &&
+        link.childBlockId === target.id) ||
+      (link.parentBlockId === target.id &&
+        link.childBlockId === linkDrag.parentBlockId),
+  );
+  if (existingLink) return selectBlock(newState, existingLink.id);
+
+  const linkId = currentPage.idCounter;
+  return selectBlock(
+    saveMementoAndReturn(
+      newState,
+      addLink(newState, linkDrag.parentBlockId, target.id),
+    ),
+    linkId,
+  );
+}
+
+/**
+ * @param {State} state
+ * @param {Block} block
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+export function linkHandle(state, block) {
+  const zoom = getCurrentPage(state).zoom;
+  const size = 20 / zoom;
+
+  return h("div", {
+    class: "link-handle",
+    title: "drag to another block to link them",
+    style: {
+      position: "absolute",
+      top: "100%",
+      left: "50%",
+      width: `${size}px`,
+      height: `${size}px`,
+      transform: `translate(-50%, ${size}px)`,
+      borderRadius: "50%",
+      cursor: "crosshair",
+      pointerEvents: "auto",
+    },
+    onpointerdown: (state, event) => {
+      // don't start dragging the block
+      event.stopPropagation();
+      if (event.button !== 0) return state;
+      /** @type {HTMLElement} */ (event.currentTarget).setPointerCapture(
+        event.pointerId,
+      );
+      return updateState(state, {
+        linkDrag: {
+          parentBlockId: block.id,
+          ...getPointerPosition(state, event),
+        },
+      });
+    },
+    onpointermove: (state, event) => {
+      if (!state.linkDrag) return state;
+      return updateState(state, {
+        linkDrag: { ...state.linkDrag, ...getPointerPosition(state, event) },
+      });
+    },
+    onpointerup: (state, event) => {
+      event.stopPropagation();
+      return finishLinkDrag(state);
+    },
+  });
+}
+
+/**
+ * The link being dragged, from the center of its parent to the pointer
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+export function linkDragPreview(state) {
+  const linkDrag = state.linkDrag;
+  if (!linkDrag) return null;
+  const currentPage = getCurrentPage(state);
+  const parentBlock = currentPage.blocks.find(
+    (block) => block.id === linkDrag.parentBlockId,
+  );
+  if (!parentBlock) return null;
+  const target = getLinkTarget(state, linkDrag, linkDrag.parentBlockId);
+
+  return h(
+    "svg",
+    {
+      style: {
+        position: "absolute",
+        left: "0",
+        top: "0",
+        width: "1px",
+        height: "1px",
+        overflow: "visible",
+        pointerEvents: "none",
+        zIndex: `${Z_INDEX_TOP}`,
+      },
+    },
+    [
+      h("line", {
+        x1: `${parentBlock.x + parentBlock.width / 2}`,
+        y1: `${parentBlock.y + parentBlock.height / 2}`,
+        x2: `${linkDrag.x}`,
+        y2: `${linkDrag.y}`,
+        stroke: "#007acc",
+        "stroke-width": `${2 / currentPage.zoom}`,
+        "stroke-dasharray": `${8 / currentPage.zoom}`,
+      }),
+      target
+        ? h("rect", {
+            x: `${target.x}`,
+            y: `${target.y}`,
+            width: `${target.width}`,
+            height: `${target.height}`,
+            fill: "none",
+            stroke: "#007acc",
+            "stroke-width": `${4 / currentPage.zoom}`,
+          })
+        : null,
+    ],
+  );
+}
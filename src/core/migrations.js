@@ -0,0 +1,203 @@
+// -----------------------------
+// ## State Migrations
+// -----------------------------
+
+/**
+ * Version of the saved state written by this build.
+ * Whenever the shape of `SavedState` changes, bump this and append a migration to `MIGRATIONS`.
+ */
+export const CURRENT_STATE_VERSION = 8;
+
+/**
+ * `MIGRATIONS[n]` upgrades a saved state from version `n` to version `n + 1`.
+ * Migrations must not import defaults from the rest of the app: a migration describes the shape
+ * of the state at the time it was written, which later changes to the defaults must not alter.
+ * @type {((state: any) => any)[]}
+ */
+const MIGRATIONS = [
+  // 0 -> 1: saves from before the state was versioned. Fill in fields that were added over time.
+  (state) => {
+    /** @type {any[]} */
+    const pages = state.pages ?? [];
+    return {
+      ...state,
+      pages: pages.map((page) => {
+        /** @type {any[]} */
+        const blocks = page.blocks ?? [];
+        /** @type {any[]} */
+        const links = page.links ?? [];
+        const maxId = Math.max(
+          0,
+          ...blocks.map((block) => block.id),
+          ...links.map((link) => link.id),
+        );
+        return {
+          offsetX: 0,
+          offsetY: 0,
+          zoom: 1,
+          isViewportDragging: false,
+          selectedIds: [],
+          pendingSelectedIds: [],
+          hoveringId: null,
+          fullScreenState: null,
+          resizing: null,
+          dragStart: null,
+          selectionBox: null,
+          ...page,
+          blocks: blocks.map(migrateBlockToV1),
+          links,
+          idCounter: Math.max(page.idCounter ?? 0, maxId + 1),
+        };
+      }),
+      currentPageId: pages.some((page) => page.id === state.currentPageId)
+        ? state.currentPageId
+        : pages[0]?.id,
+    };
+  },
+  // 1 -> 2: webview blocks keep their own navigation history instead of `canGoBack`/`canGoForward`
+  (state) => ({
+    ...state,
+    pages: state.pages.map((/** @type {any} */ page) => ({
+      ...page,
+      blocks: page.blocks.map((/** @type {any} */ block) => {
+        if (block.type !== "webview") return block;
+        const { canGoBack, canGoForward, ...rest } = block;
+        return { ...rest, history: [block.currentSrc], historyIndex: 0 };
+      }),
+    })),
+  }),
+  // 2 -> 3: subtrees of the link tree can be collapsed
+  (state) => ({
+    ...state,
+    pages: state.pages.map((/** @type {any} */ page) => ({
+      ...page,
+      collapsedBlockIds: [],
+    })),
+  }),
+  // 3 -> 4: blocks can be grouped
+  (state) => ({
+    ...state,
+    pages: state.pages.map((/** @type {any} */ page) => ({
+      ...page,
+      blocks: page.blocks.map((/** @type {any} */ block) => ({
+        ...block,
+        groupId: null,
+      })),
+    })),
+  }),
+  // 4 -> 5: pages can show a minimap
+  (state) => ({
+    ...state,
+    pages: state.pages.map((/** @type {any} */ page) => ({
+      ...page,
+      showMinimap: false,
+    })),
+  }),
+  // 5 -> 6: text blocks can be styled
+  (state) => ({
+    ...state,
+    pages: state.pages.map((/** @type {any} */ page) => ({
+      ...page,
+      blocks: page.blocks.map((/** @type {any} */ block) =>
+        block.type === "text"
+          ? {
+              ...block,
+              fontFamily: "sans-serif",
+              color: null,
+              background: null,
+              textAlign: "left",
+              autoGrow: false,
+            }
+          : block,
+      ),
+    })),
+  }),
+  // 6 -> 7: links can be labeled and styled
+  (state) => ({
+    ...state,
+    pages: state.pages.map((/** @type {any} */ page) => ({
+      ...page,
+      links: page.links.map((/** @type {any} */ link) => ({
+        ...link,
+        label: "",
+        color: null,
+        style: "solid",
+        direction: "forward",
+      })),
+    })),
+  }),
+  // 7 -> 8: text blocks can be rendered as markdown
+  (state) => ({
+    ...state,
+    pages: state.pages.map((/** @type {any} */ page) => ({
+      ...page,
+      blocks: page.blocks.map((/** @type {any} */ block) =>
+        block.type === "text" ? { ...block, markdown: false } : block,
+      ),
+    })),
+  }),
+];
+
+/**
+ * @param {any} block
+ * @returns {any}
+ */
+function migrateBlockToV1(block) {
+  switch (block.type) {
+    case "webview":
+      return {
+        isPreview: false,
+        previewChildId: null,
+        realChildrenIds: [],
+        domReady: false,
+        pageTitle: "",
+        canGoBack: false,
+        canGoForward: false,
+        faviconUrl: null,
+        isUrlBarExpanded: false,
+        ...block,
+        currentSrc: block.currentSrc ?? block.initialSrc,
+      };
+    case "text":
+      return { value: "", fontSize: 14, ...block };
+    default:
+      return block;
+  }
+}
+
+/**
+ * Upgrades a parsed state file to the current version, one migration at a time
+ * @param {any} savedState - Parsed contents of a state file of any version
+ * @returns {SavedState} State of the current version
+ */
+export function migrateState(savedState) {
+  if (typeof savedState !== "object" || savedState === null) {
+    throw Error("State file does not contain a state object");
+  }
+
+  let version = savedState.version ?? 0;
+  if (version > CURRENT_STATE_VERSION) {
+    throw Error(
+      `State file is version ${version}, but this version of hypercanvas only supports up to version ${CURRENT_STATE_VERSION}`,
+    );
+  }
+
+  let state = savedState;
+  while (version < CURRENT_STATE_VERSION) {
+    try {
+      state = MIGRATIONS[version](state);
+    } catch (error) {
+      throw Error(
+        `Failed to migrate state from version ${version} to ${version + 1}: ${error}`,
+      );
+    }
+    version++;
+    state = { ...state, version };
+  }
+
+  if (!Array.isArray(state.pages) || state.pages.length === 0) {
+    throw Error("State file has no pages");
+  }
+
+  return state;
+}
@@ -0,0 +1,219 @@
+import { h } from "hyperapp";
+import { MINIMAP_HEIGHT, MINIMAP_WIDTH, Z_INDEX_TOP } from "./constants.js";
+import { cancelViewportAnimation } from "./animation.js";
+import { getVisibleBlocks } from "./outline.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { updateState } from "./utils.js";
+import { getViewportSize, getViewportTargetCenteredOn } from "./viewport.js";
+
+// -----------------------------
+// ## Minimap
+// -----------------------------
+
+// The minimap shows the blocks of the current page and the part of it the viewport shows,
+// scaled down to fit in a corner of the viewport. Pressing or dragging on it centers the
+// viewport on that point of the page.
+
+// screen pixels kept free inside the minimap around what it shows
+const MINIMAP_PADDING = 8;
+
+/**
+ * @param {State} state
+ * @returns {{x: number, y: number, width: number, height: number}} Part of the current page shown by the viewport, in canvas coordinates
+ */
+function getViewportRect(state) {
+  const { offsetX, offsetY, zoom } = getCurrentPage(state);
+  const { width, height } = getViewportSize(state);
+  return {
+    x: -offsetX / zoom,
+    y: -offsetY / zoom,
+    width: width / zoom,
+    height: height / zoom,
+  };
+}
+
+/**
+ * Area that fits every visible block and the viewport, centered in the minimap
+ * @param {State} state
+ * @returns {MinimapBounds}
+ */
+function getMinimapBounds(state) {
+  const rects = [
+    getViewportRect(state),
+    ...getVisibleBlocks(getCurrentPage(state)),
+  ];
+  const left = Math.min(...rects.map((r) => r.x));
+  const top = Math.min(...rects.map((r) => r.y));
+  const right = Math.max(...rects.map((r) => r.x + r.width));
+  const bottom = Math.max(...rects.map((r) => r.y + r.height));
+
+  const scale = Math.min(
+    (MINIMAP_WIDTH - 2 * MINIMAP_PADDING) / (right - left),
+    (MINIMAP_HEIGHT - 2 * MINIMAP_PADDING) / (bottom - top),
+  );
+  return {
+    x: (left + right) / 2 - MINIMAP_WIDTH / 2 / scale,
+    y: (top + bottom) / 2 - MINIMAP_HEIGHT / 2 / scale,
+    scale,
+  };
+}
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+export function toggleMinimap(state) {
+  return updateCurrentPage(state, {
+    showMinimap: !getCurrentPage(state).showMinimap,
+  });
+}
+
+/**
+ * Centers the viewport on the point of the page under the pointer
+ * @param {State} state
+ * @param {PointerEvent} event - Pointer event on the minimap
+ * @param {MinimapBounds} bounds
+ * @returns {State}
+ */
+function panToPointer(state, event, bounds) {
+  const minimapRect = /** @type {HTMLElement} */ (
+    event.currentTarget
+  ).getBoundingClientRect();
+  const x = bounds.x + (event.clientX - minimapRect.left) / bounds.scale;
+  const y = bounds.y + (event.clientY - minimapRect.top) / bounds.scale;
+
+  const currentPage = getCurrentPage(state);
+  const { offsetX, offsetY } = getViewportTargetCenteredOn(
+    state,
+    { x, y, width: 0, height: 0 },
+    currentPage.zoom,
+  );
+  return updateCurrentPage(cancelViewportAnimation(state), {
+    offsetX,
+    offsetY,
+  });
+}
+
+/**
+ * @param {State} state
+ * @param {PointerEvent} event
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function onpointerdown(state, event) {
+  // the viewport shouldn't start a selection box or deselect blocks
+  event.stopPropagation();
+  if (event.button !== 0) return state;
+  /** @type {HTMLElement} */ (event.currentTarget).setPointerCapture(
+    event.pointerId,
+  );
+
+  // the bounds are kept while dragging, so the minimap doesn't move under the pointer as the viewport pans
+  const bounds = getMinimapBounds(state);
+  return panToPointer(
+    updateState(state, { minimapDrag: bounds }),
+    event,
+    bounds,
+  );
+}
+
+/**
+ * @param {State} state
+ * @param {PointerEvent} event
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function onpointermove(state, event) {
+  if (!state.minimapDrag) return state;
+  return panToPointer(state, event, state.minimapDrag);
+}
+
+/**
+ * @param {State} state
+ * @param {PointerEvent} event
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function onpointerup(state, event) {
+  event.stopPropagation();
+  return updateState(state, { minimapDrag: null });
+}
+
+// -----------------------------
+// ## Minimap View
+// -----------------------------
+
+/**
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+export function minimap(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage.showMinimap || currentPage.fullScreenState !== null) {
+    return null;
+  }
+
+  const bounds = state.minimapDrag ?? getMinimapBounds(state);
+
+  /**
+   * @param {{x: number, y: number, width: number, height: number}} rect - Area in canvas coordinates
+   * @returns {import("hyperapp").StyleProp}
+   */
+  const rectStyle = (rect) => ({
+    position: "absolute",
+    left: `${(rect.x - bounds.x) * bounds.scale}px`,
+    top: `${(rect.y - bounds.y) * bounds.scale}px`,
+    width: `${rect.width * bounds.scale}px`,
+    height: `${rect.height * bounds.scale}px`,
+    boxSizing: "border-box",
+    pointerEvents: "none",
+  });
+
+  return h(
+    "div",
+    {
+      class: "minimap",
+      title: "minimap",
+      style: {
+        position: "absolute",
+        right: "12px",
+        bottom: "12px",
+        width: `${MINIMAP_WIDTH}px`,
+        height: `${MINIMAP_HEIGHT}px`,
+        overflow: "hidden",
+        borderRadius: "6px",
+        boxShadow: "0 2px 8px rgba(0, 0, 0, 0.15)",
+        cursor: "pointer",
+        zIndex: `${Z_INDEX_TOP}`,
+      },
+      onpointerdown,
+      onpointermove,
+      onpointerup,
+      onwheel: (state, event) => {
+        event.stopPropagation();
+        return state;
+      },
+    },
+    [
+      ...getVisibleBlocks(currentPage).map((block) =>
+        h("div", {
+          key: `minimap-block-${block.id}`,
+          class: {
+            "minimap-block": true,
+            "minimap-block-selected": currentPage.selectedIds.includes(
+              block.id,
+            ),
+          },
+          style: {
+            ...rectStyle(block),
+            ...(block.type === "frame"
+              ? { background: `${block.color}40`, border: "none" }
+              : {}),
+          },
+        }),
+      ),
+      h("div", {
+        key: "minimap-viewport",
+        class: "minimap-viewport",
+        style: rectStyle(getViewportRect(state)),
+      }),
+    ],
+  );
+}
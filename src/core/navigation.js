@@ -0,0 +1,231 @@
+import { NUDGE_STEP } from "./constants.js";
+import { animateViewport } from "./animation.js";
+import { saveMementoAndReturn } from "./memento.js";
+import { getChildBlocks, getVisibleBlocks } from "./outline.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { getFirstSelectedBlock } from "./selection.js";
+import { focusEffect } from "./utils.js";
+import {
+  getViewportCenterCoordinates,
+  getViewportSize,
+  getViewportTargetCenteredOn,
+} from "./viewport.js";
+import { webviewDomId } from "./blockContents/webview.js";
+import { getFrameContentIds } from "./blockContents/frame.js";
+import { layoutCurrentPageLines } from "./blockContents/shape.js";
+
+// -----------------------------
+// ## Keyboard Navigation
+// -----------------------------
+
+// The focused block is the first selected block, so moving focus with the keyboard selects blocks
+// the same way clicking them does.
+
+/** @type {Record<Direction, {x: number, y: number}>} */
+const DIRECTION_VECTORS = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+};
+
+// how much more moving sideways counts than moving in the direction when picking the nearest block
+const ORTHOGONAL_DISTANCE_WEIGHT = 2;
+
+/**
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @returns {{x: number, y: number}}
+ */
+function getCenter(rect) {
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+/**
+ * Finds the block whose center is nearest to a point in a direction, preferring blocks in line with it
+ * @param {Block[]} blocks
+ * @param {{x: number, y: number}} from
+ * @param {Direction} direction
+ * @returns {Block | null}
+ */
+function getNearestBlockInDirection(blocks, from, direction) {
+  const vector = DIRECTION_VECTORS[direction];
+  let nearest = null;
+  let nearestScore = Infinity;
+  for (const block of blocks) {
+    const center = getCenter(block);
+    const dx = center.x - from.x;
+    const dy = center.y - from.y;
+    const distance = dx * vector.x + dy * vector.y;
+    if (distance <= 0) continue;
+
+    const orthogonalDistance = Math.abs(dx * vector.y - dy * vector.x);
+    const score = distance + orthogonalDistance * ORTHOGONAL_DISTANCE_WEIGHT;
+    if (score < nearestScore) {
+      nearest = block;
+      nearestScore = score;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * @param {State} state
+ * @param {Block} block - Block on the current page
+ * @returns {boolean} True if the whole block is inside the viewport
+ */
+function isBlockInViewport(state, block) {
+  const { offsetX, offsetY, zoom } = getCurrentPage(state);
+  const { width, height } = getViewportSize(state);
+  const left = -offsetX / zoom;
+  const top = -offsetY / zoom;
+  return (
+    block.x >= left &&
+    block.y >= top &&
+    block.x + block.width <= left + width / zoom &&
+    block.y + block.height <= top + height / zoom
+  );
+}
+
+/**
+ * Selects a block and animates the viewport to it if it isn't fully shown
+ * @param {State} state
+ * @param {Block} block - Visible block on the current page
+ * @returns {State}
+ */
+function focusBlock(state, block) {
+  const newState = updateCurrentPage(state, { selectedIds: [block.id] });
+  if (isBlockInViewport(newState, block)) return newState;
+  return animateViewport(
+    newState,
+    getViewportTargetCenteredOn(newState, block, getCurrentPage(state).zoom),
+  );
+}
+
+/**
+ * Moves focus to the nearest block in a direction from the focused block,
+ * or to the block nearest the center of the viewport when no block is focused
+ * @param {State} state
+ * @param {Direction} direction
+ * @returns {State}
+ */
+export function focusBlockInDirection(state, direction) {
+  const blocks = getVisibleBlocks(getCurrentPage(state));
+  const focusedBlock = getFirstSelectedBlock(state);
+
+  if (!focusedBlock) {
+    const viewportCenter = getViewportCenterCoordinates(state);
+    const nearest = blocks.reduce(
+      (/** @type {Block | null} */ nearest, block) =>
+        nearest === null ||
+        getDistance(getCenter(block), viewportCenter) <
+          getDistance(getCenter(nearest), viewportCenter)
+          ? block
+          : nearest,
+      null,
+    );
+    return nearest ? focusBlock(state, nearest) : state;
+  }
+
+  const nearest = getNearestBlockInDirection(
+    blocks.filter((block) => block.id !== focusedBlock.id),
+    getCenter(focusedBlock),
+    direction,
+  );
+  return nearest ? focusBlock(state, nearest) : state;
+}
+
+/**
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {number}
+ */
+function getDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Moves focus to the next block in z-order, from back to front, wrapping around
+ * @param {State} state
+ * @param {1 | -1} step - -1 moves to the previous block instead
+ * @returns {State}
+ */
+export function cycleFocusedBlock(state, step) {
+  const blocks = getVisibleBlocks(getCurrentPage(state)).sort(
+    // frames are drawn behind every other block
+    (a, b) =>
+      Number(b.type === "frame") - Number(a.type === "frame") ||
+      a.zIndex - b.zIndex,
+  );
+  if (blocks.length === 0) return state;
+
+  const focusedBlock = getFirstSelectedBlock(state);
+  const index = blocks.findIndex((block) => block.id === focusedBlock?.id);
+  const nextIndex =
+    index === -1
+      ? step === 1
+        ? 0
+        : blocks.length - 1
+      : (index + step + blocks.length) % blocks.length;
+  return focusBlock(state, blocks[nextIndex]);
+}
+
+/**
+ * Moves focus along the link tree, to the block the focused block was opened from or to its first child
+ * @param {State} state
+ * @param {"parent" | "child"} relation
+ * @returns {State}
+ */
+export function focusLinkedBlock(state, relation) {
+  const currentPage = getCurrentPage(state);
+  const focusedBlock = getFirstSelectedBlock(state);
+  if (!focusedBlock) return state;
+
+  const visibleBlocks = getVisibleBlocks(currentPage);
+  const linkedBlock =
+    relation === "parent"
+      ? visibleBlocks.find(
+          (block) =>
+            block.type === "webview" &&
+            block.realChildrenIds.includes(focusedBlock.id),
+        )
+      : getChildBlocks(currentPage, focusedBlock).find((child) =>
+          visibleBlocks.includes(child),
+        );
+  return linkedBlock ? focusBlock(state, linkedBlock) : state;
+}
+
+/**
+ * Gives keyboard focus to the page a webview block shows, so keys go to the page instead of the canvas
+ * @param {State} state
+ * @param {WebviewBlock} block
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+export function activateWebviewBlock(state, block) {
+  return [
+    updateCurrentPage(state, { selectedIds: [block.id] }),
+    [focusEffect, { id: webviewDomId(block.id) }],
+  ];
+}
+
+/**
+ * Moves the selected blocks, and the blocks inside selected frames, one nudge step in a direction
+ * @param {State} state
+ * @param {Direction} direction
+ * @returns {State}
+ */
+export function nudgeSelectedBlocks(state, direction) {
+  const currentPage = getCurrentPage(state);
+  const { x, y } = DIRECTION_VECTORS[direction];
+  const movedBlockIds = [
+    ...currentPage.selectedIds,
+    ...getFrameContentIds(currentPage, currentPage.selectedIds),
+  ];
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) =>
+      movedBlockIds.includes(block.id)
+        ? { ...block, x: block.x + x * NUDGE_STEP, y: block.y + y * NUDGE_STEP }
+        : block,
+    ),
+  });
+  return saveMementoAndReturn(state, layoutCurrentPageLines(newState));
+}
@@ -0,0 +1,364 @@
+import { h, text } from "hyperapp";
+import { saveMementoAndReturn } from "./memento.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { getDomainFromUrl } from "./utils.js";
+import { layoutCurrentPageLines } from "./blockContents/shape.js";
+
+// -----------------------------
+// ## Link Tree
+// -----------------------------
+
+// Webview blocks opened from an anchor click record the new block in `realChildrenIds`,
+// so each page holds a forest of blocks rooted at the blocks that weren't opened from another block.
+
+/**
+ * @param {Page} page
+ * @param {Block} block
+ * @returns {Block[]} Children of the block that are still on the page
+ */
+export function getChildBlocks(page, block) {
+  if (block.type !== "webview") return [];
+  return block.realChildrenIds
+    .map((childId) => page.blocks.find((b) => b.id === childId))
+    .filter((child) => child !== undefined);
+}
+
+/**
+ * @param {Page} page
+ * @returns {Block[]} Blocks that aren't the child of another block on the page
+ */
+export function getRootBlocks(page) {
+  const childIds = new Set(
+    page.blocks.flatMap((block) =>
+      block.type === "webview" ? block.realChildrenIds : [],
+    ),
+  );
+  return page.blocks.filter((block) => !childIds.has(block.id));
+}
+
+/**
+ * @param {Page} page
+ * @param {number} rootId
+ * @returns {number[]} IDs of the block and all of its descendants
+ */
+export function getSubtreeBlockIds(page, rootId) {
+  /** @type {number[]} */
+  const ids = [];
+  const stack = [rootId];
+  while (stack.length > 0) {
+    const id = /** @type {number} */ (stack.pop());
+    // guard against cycles, which anchor clicks can't create but a hand-edited state file could
+    if (ids.includes(id)) continue;
+    const block = page.blocks.find((b) => b.id === id);
+    if (!block) continue;
+    ids.push(id);
+    stack.push(...getChildBlocks(page, block).map((child) => child.id));
+  }
+  return ids;
+}
+
+/**
+ * @param {Page} page
+ * @returns {Set<number>} IDs of blocks hidden on the canvas because an ancestor is collapsed
+ */
+export function getHiddenBlockIds(page) {
+  const hiddenIds = new Set();
+  for (const collapsedId of page.collapsedBlockIds) {
+    for (const id of getSubtreeBlockIds(page, collapsedId)) {
+      if (id !== collapsedId) hiddenIds.add(id);
+    }
+  }
+  return hiddenIds;
+}
+
+/**
+ * @param {Page} page
+ * @returns {Block[]} Blocks that are shown on the canvas
+ */
+export function getVisibleBlocks(page) {
+  const hiddenIds = getHiddenBlockIds(page);
+  return page.blocks.filter((block) => !hiddenIds.has(block.id));
+}
+
+/**
+ * Collapses or expands the subtree below a block on the canvas
+ * @param {State} state
+ * @param {number} blockId
+ * @returns {State}
+ */
+export function toggleCollapsed(state, blockId) {
+  const currentPage = getCurrentPage(state);
+  const isCollapsed = currentPage.collapsedBlockIds.includes(blockId);
+  const collapsedBlockIds = isCollapsed
+    ? currentPage.collapsedBlockIds.filter((id) => id !== blockId)
+    : [...currentPage.collapsedBlockIds, blockId];
+  if (isCollapsed) {
+    return updateCurrentPage(state, { collapsedBlockIds });
+  }
+
+  // hidden blocks can't stay selected
+  const hiddenIds = getSubtreeBlockIds(currentPage, blockId).filter(
+    (id) => id !== blockId,
+  );
+  return updateCurrentPage(state, {
+    collapsedBlockIds,
+    selectedIds: currentPage.selectedIds.filter(
+      (id) => !hiddenIds.includes(id),
+    ),
+  });
+}
+
+/**
+ * Expands the collapsed ancestors of a block so it is shown on the canvas
+ * @param {State} state
+ * @param {number} blockId
+ * @returns {State}
+ */
+export function expandToBlock(state, blockId) {
+  const currentPage = getCurrentPage(state);
+  const collapsedBlockIds = currentPage.collapsedBlockIds.filter(
+    (id) =>
+      id === blockId || !getSubtreeBlockIds(currentPage, id).includes(blockId),
+  );
+  if (collapsedBlockIds.length === currentPage.collapsedBlockIds.length) {
+    return state;
+  }
+  return updateCurrentPage(state, { collapsedBlockIds });
+}
+
+/**
+ * @param {State} state
+ * @param {number} rootId
+ * @returns {State}
+ */
+export function selectSubtree(state, rootId) {
+  const currentPage = getCurrentPage(state);
+  const subtreeIds = getSubtreeBlockIds(currentPage, rootId);
+  return updateCurrentPage(state, {
+    // expand the subtree so the whole selection is visible
+    collapsedBlockIds: currentPage.collapsedBlockIds.filter(
+      (id) => !subtreeIds.includes(id),
+    ),
+    selectedIds: subtreeIds,
+  });
+}
+
+/**
+ * Deletes a block along with all of its descendants and the links between them
+ * @param {State} state
+ * @param {number} rootId
+ * @returns {State}
+ */
+export function deleteSubtree(state, rootId) {
+  const currentPage = getCurrentPage(state);
+  const subtreeIds = getSubtreeBlockIds(currentPage, rootId);
+
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks
+      .filter((block) => !subtreeIds.includes(block.id))
+      .map((block) => {
+        if (block.type !== "webview") return block;
+        // the parent of the subtree shouldn't keep pointing at deleted blocks
+        return {
+          ...block,
+          previewChildId:
+            block.previewChildId !== null &&
+            subtreeIds.includes(block.previewChildId)
+              ? null
+              : block.previewChildId,
+          realChildrenIds: block.realChildrenIds.filter(
+            (id) => !subtreeIds.includes(id),
+          ),
+        };
+      }),
+    links: currentPage.links.filter(
+      (link) =>
+        !subtreeIds.includes(link.parentBlockId) &&
+        !subtreeIds.includes(link.childBlockId),
+    ),
+    collapsedBlockIds: currentPage.collapsedBlockIds.filter(
+      (id) => !subtreeIds.includes(id),
+    ),
+    selectedIds: currentPage.selectedIds.filter(
+      (id) => !subtreeIds.includes(id),
+    ),
+    hoveringId: null,
+  });
+
+  return saveMementoAndReturn(state, layoutCurrentPageLines(newState));
+}
+
+// -----------------------------
+// ## Outline Panel
+// -----------------------------
+
+/**
+ * Sidebar tab listing the link tree of the current page
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+export function outlinePanel(state) {
+  const currentPage = getCurrentPage(state);
+  const rootBlocks = getRootBlocks(currentPage);
+
+  if (rootBlocks.length === 0) {
+    return h(
+      "div",
+      { style: { padding: "6px 9px", opacity: "0.6" } },
+      text("No blocks on this page"),
+    );
+  }
+
+  return h(
+    "div",
+    { style: { display: "flex", flexDirection: "column" } },
+    rootBlocks.flatMap((block) => outlineRows(state, currentPage, block, 0)),
+  );
+}
+
+/**
+ * Rows for a block and, unless it is collapsed, its descendants
+ * @param {State} state
+ * @param {Page} page
+ * @param {Block} block
+ * @param {number} depth
+ * @param {number[]} [ancestorIds] - Guards against cycles
+ * @returns {import("hyperapp").ElementVNode<State>[]}
+ */
+function outlineRows(state, page, block, depth, ancestorIds = []) {
+  if (ancestorIds.includes(block.id)) return [];
+
+  const children = getChildBlocks(page, block);
+  const isCollapsed = page.collapsedBlockIds.includes(block.id);
+  const subtreeSize = getSubtreeBlockIds(page, block.id).length;
+
+  const row = h(
+    "div",
+    {
+      key: `outline-${block.id}`,
+      class: {
+        "outline-row": true,
+        "outline-row-selected": page.selectedIds.includes(block.id),
+      },
+      style: {
+        display: "flex",
+        flexDirection: "row",
+        alignItems: "center",
+        gap: "4px",
+        paddingLeft: `${9 + depth * 16}px`,
+      },
+      onclick: (state) => updateCurrentPage(state, { selectedIds: [block.id] }),
+    },
+    [
+      h(
+        "span",
+        {
+          style: {
+            width: "16px",
+            cursor: children.length > 0 ? "pointer" : "default",
+          },
+          onclick: (state, event) => {
+            event.stopPropagation();
+            if (children.length === 0) return state;
+            return toggleCollapsed(state, block.id);
+          },
+        },
+        text(children.length === 0 ? "" : isCollapsed ? "▸" : "▾"),
+      ),
+      h(
+        "span",
+        {
+          style: {
+            flexGrow: "1",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          },
+        },
+        text(outlineLabel(block)),
+      ),
+      subtreeSize > 1
+        ? outlineRowButton("⊡", "select subtree", (state) =>
+            selectSubtree(state, block.id),
+          )
+        : null,
+      outlineRowButton(
+        "✕",
+        subtreeSize > 1 ? "delete subtree" : "delete block",
+        (state) =>
+          subtreeSize > 1
+            ? [state, [deleteSubtreeEffect, { block, subtreeSize }]]
+            : deleteSubtree(state, block.id),
+      ),
+    ],
+  );
+
+  if (isCollapsed) return [row];
+  return [
+    row,
+    ...children.flatMap((child) =>
+      outlineRows(state, page, child, depth + 1, [...ancestorIds, block.id]),
+    ),
+  ];
+}
+
+/**
+ * @param {Block} block
+ * @returns {string}
+ */
+function outlineLabel(block) {
+  switch (block.type) {
+    case "webview":
+      return block.pageTitle || getDomainFromUrl(block.currentSrc);
+    case "text":
+      return block.value.trim().split("\n")[0] || "empty text";
+    case "image":
+      return "image";
+    case "frame":
+      return block.title || "frame";
+    case "drawing":
+      return "drawing";
+    case "shape":
+      return block.shape;
+    case "line":
+      return block.arrowHead ? "arrow" : "line";
+  }
+}
+
+/**
+ * @param {string} content
+ * @param {string} title
+ * @param {(state: State) => import("hyperapp").Dispatchable<State>} action
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function outlineRowButton(content, title, action) {
+  return h(
+    "button",
+    {
+      title,
+      onclick: (state, event) => {
+        // don't select the block of the row
+        event.stopPropagation();
+        return action(state);
+      },
+    },
+    text(content),
+  );
+}
+
+/**
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{block: Block, subtreeSize: number}} props
+ */
+function deleteSubtreeEffect(dispatch, { block, subtreeSize }) {
+  const descendantCount =
+    subtreeSize === 2 ? "1 block" : `${subtreeSize - 1} blocks`;
+  if (
+    !confirm(
+      `Delete "${outlineLabel(block)}" and the ${descendantCount} opened from it?`,
+    )
+  ) {
+    return;
+  }
+  dispatch((state) => deleteSubtree(state, block.id));
+}
@@ -24,12 +24,14 @@ export function getCurrentBlocks(state) {
 }
 
 /**
- * Gets blocks for the current page
+ * Gets the blocks of every page. Block IDs are only unique within a page, so each block comes with its page
  * @param {State} state - Current application state
- * @returns {Block[]} Blocks on current page
+ * @returns {{page: Page, block: Block}[]} Blocks on all pages
  */
 export function getGlobalBlocks(state) {
-  return state.pages.flatMap((page) => page.blocks);
+  return state.pages.flatMap((page) =>
+    page.blocks.map((block) => ({ page, block })),
+  );
 }
 
 /**
@@ -66,6 +68,8 @@ export const defaultPage = {
   selectionBox: null,
   idCounter: 1,
   links: [],
+  collapsedBlockIds: [],
+  showMinimap: false,
 };
 
 /**
@@ -156,6 +160,33 @@ export function renamePage(state, pageId, newName) {
   return saveMementoAndReturn(state, newState);
 }
 
+/**
+ * Moves a page to a new position in the page list
+ * @param {State} state - Current application state
+ * @param {string} pageId - ID of page to move
+ * @param {number} toIndex - Index the page should have after the move
+ * @returns {State} Updated state with reordered pages
+ */
+export function reorderPage(state, pageId, toIndex) {
+  const page = state.pages.find((page) => page.id === pageId);
+  if (!page) return state;
+
+  const remainingPages = state.pages.filter((p) => p.id !== pageId);
+  const clampedIndex = Math.max(0, Math.min(remainingPages.length, toIndex));
+  if (state.pages[clampedIndex] === page) return state;
+
+  const newState = {
+    ...state,
+    pages: [
+      ...remainingPages.slice(0, clampedIndex),
+      page,
+      ...remainingPages.slice(clampedIndex),
+    ],
+  };
+
+  return saveMementoAndReturn(state, newState);
+}
+
 /**
  * Updates the current page with new data
  * @param {State} state - Current application state
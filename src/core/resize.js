@@ -12,6 +12,8 @@ import {
   selectBlock,
 } from "./selection.js";
 import { pipe, updateState } from "./utils.js";
+import { snapPoint } from "./snapping.js";
+import { layoutCurrentPageLines } from "./blockContents/shape.js";
 
 /**
  * @type {Record<ResizeString, ResizeHandler>}
@@ -294,8 +296,25 @@ export function handleResizePointerMove(state, event) {
     document.getElementById("canvas")
   ).getBoundingClientRect();
   const viewport = getCurrentViewport(state);
-  const canvasX = (event.clientX - canvasRect.left) / viewport.zoom;
-  const canvasY = (event.clientY - canvasRect.top) / viewport.zoom;
+  const pointerX = (event.clientX - canvasRect.left) / viewport.zoom;
+  const pointerY = (event.clientY - canvasRect.top) / viewport.zoom;
+
+  // the dragged edges snap to other blocks and the grid unless alt is held
+  const handle = page.resizing.handle;
+  /** @type {("x" | "y")[]} */
+  const axes = [];
+  if (handle.includes("w") || handle.includes("e")) axes.push("x");
+  if (handle.includes("n") || handle.includes("s")) axes.push("y");
+  const resizedIds =
+    typeof page.resizing.id === "number"
+      ? [page.resizing.id]
+      : (page.resizing.originalBlocks ?? []).map((block) => block.id);
+  const snapped = event.altKey
+    ? { x: pointerX, y: pointerY, guides: [] }
+    : snapPoint(state, { x: pointerX, y: pointerY }, axes, resizedIds);
+  const canvasX = snapped.x;
+  const canvasY = snapped.y;
+  state = updateState(state, { snapGuides: snapped.guides });
 
   const blocks = getCurrentBlocks(state);
 
@@ -311,6 +330,7 @@ export function handleResizePointerMove(state, event) {
       width: page.resizing.startWidth,
       height: page.resizing.startHeight,
       zIndex: 0,
+      groupId: null,
     };
 
     let newBBox = handler(virtualBoundingBox, {
@@ -329,7 +349,7 @@ export function handleResizePointerMove(state, event) {
     const scaleX = newBBox.width / page.resizing.startWidth;
     const scaleY = newBBox.height / page.resizing.startHeight;
 
-    return updateCurrentPage(state, {
+    const newState = updateCurrentPage(state, {
       blocks: blocks.map((block) => {
         const originalBlock = page.resizing?.originalBlocks?.find(
           (o) => o.id === block.id,
@@ -343,7 +363,11 @@ export function handleResizePointerMove(state, event) {
           (originalBlock.y - page.resizing.startY) / page.resizing.startHeight;
 
         const newWidth = Math.max(MIN_SIZE, originalBlock.width * scaleX);
-        const newHeight = Math.max(MIN_SIZE, originalBlock.height * scaleY);
+        // auto growing text keeps its height until it's refit to the new width
+        const newHeight =
+          block.type === "text" && block.autoGrow
+            ? originalBlock.height
+            : Math.max(MIN_SIZE, originalBlock.height * scaleY);
         const newX = newBBox.x + relativeX * newBBox.width;
         const newY = newBBox.y + relativeY * newBBox.height;
 
@@ -356,6 +380,7 @@ export function handleResizePointerMove(state, event) {
         };
       }),
     });
+    return layoutCurrentPageLines(newState);
   }
 
   const block = blocks.find((b) => b.id == page.resizing?.id);
@@ -380,14 +405,20 @@ export function handleResizePointerMove(state, event) {
     );
   }
 
+  // auto growing text only resizes horizontally, even when shift keeps the aspect ratio
+  if (block.type === "text" && block.autoGrow) {
+    newDimensions = { ...newDimensions, y: block.y, height: block.height };
+  }
+
   const finalWidth = Math.max(MIN_SIZE, newDimensions.width);
   const finalHeight = Math.max(MIN_SIZE, newDimensions.height);
 
-  return updateCurrentPage(state, {
+  const newState = updateCurrentPage(state, {
     blocks: blocks.map((b) =>
       b.id == page.resizing?.id
         ? { ...b, ...newDimensions, width: finalWidth, height: finalHeight }
         : b,
     ),
   });
+  return layoutCurrentPageLines(newState);
 }
@@ -0,0 +1,452 @@
+import { h, text } from "hyperapp";
+import {
+  MAX_PAGE_TEXT_SEARCH_RESULTS,
+  MAX_SEARCH_RESULTS,
+  Z_INDEX_TOP_2,
+} from "./constants.js";
+import { addWebviewBlockToViewportCenter } from "./block.js";
+import { animateViewport } from "./animation.js";
+import { expandToBlock } from "./outline.js";
+import {
+  getCurrentPage,
+  getGlobalBlocks,
+  switchPage,
+  updateCurrentPage,
+} from "./pages.js";
+import { getViewportTargetCenteredOn } from "./viewport.js";
+import { focusEffect, getDomainFromUrl, pipe, updateState } from "./utils.js";
+
+const SEARCH_INPUT_ID = "search-input";
+
+// -----------------------------
+// ## Search
+// -----------------------------
+
+/**
+ * @param {State} state
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+export function openSearch(state) {
+  return [
+    updateState(state, {
+      search: { query: "", selectedIndex: 0, pageTextResults: [] },
+      commandPalette: null,
+      contextMenu: null,
+    }),
+    [focusEffect, { id: SEARCH_INPUT_ID }],
+  ];
+}
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+function closeSearch(state) {
+  return updateState(state, { search: null });
+}
+
+/**
+ * @param {ImageBlock} block
+ * @returns {string} Name of the image file the block shows
+ */
+function getImageFilename(block) {
+  return block.src.split(/[\\/]/).pop() ?? block.src;
+}
+
+/**
+ * @param {Block} block
+ * @returns {string} Text of the block that the query is matched against
+ */
+function getSearchableText(block) {
+  switch (block.type) {
+    case "webview":
+      return `${block.pageTitle}\n${block.currentSrc}`;
+    case "text":
+      return block.value;
+    case "image":
+      return getImageFilename(block);
+    case "frame":
+      return block.title;
+    case "drawing":
+    case "shape":
+    case "line":
+      return "";
+  }
+}
+
+/**
+ * @param {Block} block
+ * @returns {{title: string, detail: string}} What a search result shows for the block
+ */
+function getResultLabel(block) {
+  switch (block.type) {
+    case "webview":
+      return {
+        title: block.pageTitle || getDomainFromUrl(block.currentSrc),
+        detail: block.currentSrc,
+      };
+    case "text":
+      return {
+        title: block.value.trim().split("\n")[0] || "empty text",
+        detail: "text",
+      };
+    case "image":
+      return { title: getImageFilename(block), detail: "image" };
+    case "frame":
+      return { title: block.title || "untitled frame", detail: "frame" };
+    case "drawing":
+      return { title: "drawing", detail: "drawing" };
+    case "shape":
+      return { title: block.shape, detail: "shape" };
+    case "line":
+      return { title: block.arrowHead ? "arrow" : "line", detail: "line" };
+  }
+}
+
+/**
+ * Finds the blocks on any page containing every word of the query, ignoring case.
+ * Blocks on the current page come first.
+ * @param {State} state
+ * @param {string} query
+ * @returns {{page: Page, block: Block}[]}
+ */
+export function getSearchResults(state, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  return getGlobalBlocks(state)
+    .filter(({ block }) => {
+      const searchableText = getSearchableText(block).toLowerCase();
+      return terms.every((term) => searchableText.includes(term));
+    })
+    .sort(
+      (a, b) =>
+        Number(b.page.id === state.currentPageId) -
+        Number(a.page.id === state.currentPageId),
+    )
+    .slice(0, MAX_SEARCH_RESULTS);
+}
+
+/**
+ * Switches to the page of a block, selects it and animates the viewport to center it
+ * @param {State} state
+ * @param {string} pageId
+ * @param {number} blockId
+ * @returns {State}
+ */
+export function revealBlock(state, pageId, blockId) {
+  const newState = pipe(
+    state,
+    (s) => closeSearch(s),
+    (s) => switchPage(s, pageId),
+    (s) => expandToBlock(s, blockId),
+    (s) => updateCurrentPage(s, { selectedIds: [blockId] }),
+  );
+
+  const currentPage = getCurrentPage(newState);
+  const block = currentPage.blocks.find((b) => b.id === blockId);
+  // a full screen block keeps the viewport where it is
+  if (!block || currentPage.fullScreenState !== null) return newState;
+
+  return animateViewport(
+    newState,
+    getViewportTargetCenteredOn(newState, block, currentPage.zoom),
+  );
+}
+
+// -----------------------------
+// ## Page Text
+// -----------------------------
+
+/**
+ * Adds the text of a page a webview block has loaded to the workspace's page text index
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{workspaceId: string, page: Omit<PageTextEntry, "indexedAt">}} props
+ * @returns {Promise<void>}
+ */
+export async function indexPageTextEffect(dispatch, { workspaceId, page }) {
+  try {
+    await window.pageTextAPI.add(workspaceId, page);
+  } catch (error) {
+    console.error("Failed to index page text:", error);
+  }
+}
+
+/**
+ * Searches the page text index and shows the results if the query hasn't changed in the meantime
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{workspaceId: string, query: string}} props
+ * @returns {Promise<void>}
+ */
+async function searchPageTextEffect(dispatch, { workspaceId, query }) {
+  /** @type {PageTextSearchResult[]} */
+  let pageTextResults;
+  try {
+    pageTextResults = await window.pageTextAPI.search(
+      workspaceId,
+      query,
+      MAX_PAGE_TEXT_SEARCH_RESULTS,
+    );
+  } catch (error) {
+    console.error("Failed to search page text:", error);
+    return;
+  }
+  dispatch((state) =>
+    state.search && state.search.query === query
+      ? updateState(state, { search: { ...state.search, pageTextResults } })
+      : state,
+  );
+}
+
+/**
+ * Shows the block a page was indexed from if it still shows that page,
+ * otherwise opens the page in a new block on the page the block was on
+ * @param {State} state
+ * @param {PageTextSearchResult} result
+ * @returns {State}
+ */
+function openPageTextResult(state, result) {
+  const page = state.pages.find((page) => page.id === result.pageId);
+  const block = page?.blocks.find((block) => block.id === result.blockId);
+  if (block?.type === "webview" && block.currentSrc === result.url) {
+    return revealBlock(state, result.pageId, result.blockId);
+  }
+
+  const newState = pipe(
+    state,
+    (s) => closeSearch(s),
+    (s) => (page ? switchPage(s, page.id) : s),
+  );
+  // a full screen block covers the viewport, so the new block wouldn't be seen
+  if (getCurrentPage(newState).fullScreenState !== null) return newState;
+  return addWebviewBlockToViewportCenter(newState, result.url, false);
+}
+
+// -----------------------------
+// ## Search Palette
+// -----------------------------
+
+/**
+ * Results of the search, blocks on any page first and then the pages found by their text
+ * @param {State} state
+ * @param {SearchState} search
+ * @returns {SearchPaletteItem[]}
+ */
+function getSearchPaletteItems(state, search) {
+  const blockResults = getSearchResults(state, search.query);
+
+  /** @type {SearchPaletteItem[]} */
+  const blockItems = blockResults.map(({ page, block }) => {
+    const { title, detail } = getResultLabel(block);
+    return {
+      key: `block-${page.id}-${block.id}`,
+      title,
+      detail:
+        page.id === state.currentPageId ? detail : `${page.name} · ${detail}`,
+      snippet: null,
+      pick: (state) => revealBlock(state, page.id, block.id),
+    };
+  });
+
+  /** @type {SearchPaletteItem[]} */
+  const pageTextItems = search.pageTextResults
+    // the block result already covers a block that still shows the page
+    .filter(
+      (result) =>
+        !blockResults.some(
+          ({ page, block }) =>
+            page.id === result.pageId &&
+            block.id === result.blockId &&
+            block.type === "webview" &&
+            block.currentSrc === result.url,
+        ),
+    )
+    .map((result) => {
+      const page = state.pages.find((page) => page.id === result.pageId);
+      return {
+        key: `page-text-${result.pageId}-${result.blockId}-${result.url}`,
+        title: result.title || getDomainFromUrl(result.url),
+        detail:
+          page && page.id !== state.currentPageId
+            ? `${page.name} · ${result.url}`
+            : result.url,
+        snippet: result.snippet,
+        pick: (state) => openPageTextResult(state, result),
+      };
+    });
+
+  return [...blockItems, ...pageTextItems];
+}
+
+/**
+ * Overlay for searching the blocks of every page, opened with cmd + f
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+export function searchPalette(state) {
+  const search = state.search;
+  if (!search) return null;
+
+  const items = getSearchPaletteItems(state, search);
+  const selectedIndex = Math.min(search.selectedIndex, items.length - 1);
+
+  /**
+   * @param {State} state
+   * @param {Event} event
+   * @returns {import("hyperapp").Dispatchable<State>}
+   */
+  function onkeydown(state, event) {
+    // the canvas behind the palette shouldn't react to keyboard shortcuts
+    event.stopPropagation();
+    const { key } = /** @type {KeyboardEvent} */ (event);
+    switch (key) {
+      case "Escape":
+        return closeSearch(state);
+      case "Enter": {
+        const item = items[selectedIndex];
+        if (!item) return state;
+        return item.pick(state);
+      }
+      case "ArrowDown":
+      case "ArrowUp": {
+        event.preventDefault();
+        if (items.length === 0 || !state.search) return state;
+        const step = key === "ArrowDown" ? 1 : -1;
+        return updateState(state, {
+          search: {
+            ...state.search,
+            selectedIndex: (selectedIndex + step + items.length) % items.length,
+          },
+        });
+      }
+      default:
+        return state;
+    }
+  }
+
+  return h(
+    "div",
+    {
+      style: {
+        position: "fixed",
+        inset: "0",
+        zIndex: `${Z_INDEX_TOP_2}`,
+        display: "flex",
+        justifyContent: "center",
+        alignItems: "flex-start",
+        paddingTop: "12vh",
+      },
+      onpointerdown: (state, event) =>
+        event.target === event.currentTarget ? closeSearch(state) : state,
+    },
+    h(
+      "div",
+      {
+        class: "search-palette",
+        style: {
+          display: "flex",
+          flexDirection: "column",
+          gap: "6px",
+          width: "560px",
+          maxHeight: "60vh",
+          padding: "8px",
+          borderRadius: "10px",
+          boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+        },
+      },
+      [
+        h("input", {
+          id: SEARCH_INPUT_ID,
+          type: "text",
+          placeholder: "Search blocks on all pages",
+          value: search.query,
+          style: { padding: "8px", fontSize: "15px" },
+          oninput: (state, event) => {
+            const query = /** @type {HTMLInputElement} */ (event.target).value;
+            return [
+              updateState(state, {
+                search: {
+                  query,
+                  selectedIndex: 0,
+                  // keep showing the last page text results until the new ones arrive
+                  pageTextResults: state.search?.pageTextResults ?? [],
+                },
+              }),
+              [
+                searchPageTextEffect,
+                { workspaceId: state.workspace.id, query },
+              ],
+            ];
+          },
+          onkeydown,
+        }),
+        h(
+          "div",
+          {
+            style: {
+              display: "flex",
+              flexDirection: "column",
+              overflowY: "auto",
+            },
+          },
+          search.query.trim() !== "" && items.length === 0
+            ? [
+                h(
+                  "div",
+                  { style: { padding: "6px 9px", opacity: "0.6" } },
+                  text("No matching blocks"),
+                ),
+              ]
+            : items.map((item, index) =>
+                searchResultRow(item, index === selectedIndex),
+              ),
+        ),
+      ],
+    ),
+  );
+}
+
+/**
+ * @param {SearchPaletteItem} item
+ * @param {boolean} isSelected
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function searchResultRow(item, isSelected) {
+  /** @type {import("hyperapp").StyleProp} */
+  const ellipsis = {
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  };
+
+  return h(
+    "div",
+    {
+      key: item.key,
+      class: { "search-result": true, "search-result-selected": isSelected },
+      style: {
+        display: "flex",
+        flexDirection: "column",
+        padding: "6px 9px",
+        borderRadius: "6px",
+        cursor: "pointer",
+      },
+      onclick: (state) => item.pick(state),
+    },
+    [
+      h("span", { style: ellipsis }, text(item.title)),
+      h(
+        "span",
+        { style: { ...ellipsis, fontSize: "12px", opacity: "0.6" } },
+        text(item.detail),
+      ),
+      item.snippet !== null
+        ? h(
+            "span",
+            { style: { ...ellipsis, fontSize: "12px" } },
+            text(item.snippet),
+          )
+        : null,
+    ],
+  );
+}
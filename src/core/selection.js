@@ -9,6 +9,10 @@ import { RESIZE_HANDLERS, resizeHandle } from "./resize.js";
 import { saveMementoAndReturn } from "./memento.js";
 import { Z_INDEX_TOP } from "./constants.js";
 import { pipe } from "./utils.js";
+import { getVisibleBlocks } from "./outline.js";
+import { addGroupMembers } from "./groups.js";
+import { getLinkCurve, getLinkCurvePoints } from "./link.js";
+import { layoutCurrentPageLines } from "./blockContents/shape.js";
 
 /**
  * Checks if a block is in preview selection (during selection box drag)
@@ -165,10 +169,12 @@ export function removeBlockFromSelection(state, blockId) {
 export function toggleBlockSelection(state, blockId) {
   const currentPage = getCurrentPage(state);
   if (!currentPage) throw Error("No current page");
+  // the block's group is selected or deselected as a whole
+  const blockIds = addGroupMembers(currentPage, [blockId]);
   if (currentPage.selectedIds.includes(blockId)) {
-    return removeBlockFromSelection(state, blockId);
+    return blockIds.reduce(removeBlockFromSelection, state);
   } else {
-    return addBlockToSelection(state, blockId);
+    return blockIds.reduce(addBlockToSelection, state);
   }
 }
 
@@ -297,8 +303,8 @@ export function calculatePreviewSelection(state, selectionBox, isShiftPressed) {
   const minY = Math.min(selectionBox.startY, selectionBox.currentY);
   const maxY = Math.max(selectionBox.startY, selectionBox.currentY);
 
-  // Find blocks that intersect with selection rectangle
-  const blocks = getCurrentBlocks(state);
+  // Find blocks that intersect with selection rectangle, ignoring blocks in collapsed subtrees
+  const blocks = getVisibleBlocks(currentPage);
   const intersectingBlockIds = blocks
     .filter((block) => {
       // Check if block intersects with selection rectangle
@@ -314,28 +320,36 @@ export function calculatePreviewSelection(state, selectionBox, isShiftPressed) {
     })
     .map((block) => block.id);
 
-  // Find links that intersect with selection rectangle
+  // Find links whose curve intersects with selection rectangle, checking the straight segments along it
   const intersectingLinkIds = currentPage.links
     .filter((link) => {
       const parentBlock = blocks.find((b) => b.id === link.parentBlockId);
       const childBlock = blocks.find((b) => b.id === link.childBlockId);
       if (!parentBlock || !childBlock) return false;
 
-      return lineIntersectsRect(
-        parentBlock.x + parentBlock.width / 2,
-        parentBlock.y + parentBlock.height / 2,
-        childBlock.x + childBlock.width / 2,
-        childBlock.y + childBlock.height / 2,
-        minX,
-        minY,
-        maxX,
-        maxY,
-      );
+      const points = getLinkCurvePoints(getLinkCurve(parentBlock, childBlock));
+      return points
+        .slice(1)
+        .some((point, i) =>
+          lineIntersectsRect(
+            points[i].x,
+            points[i].y,
+            point.x,
+            point.y,
+            minX,
+            minY,
+            maxX,
+            maxY,
+          ),
+        );
     })
     .map((link) => link.id);
 
-  // Combine both types of IDs
-  const allIntersectingIds = [...intersectingBlockIds, ...intersectingLinkIds];
+  // Combine both types of IDs, selecting groups as a whole
+  const allIntersectingIds = addGroupMembers(currentPage, [
+    ...intersectingBlockIds,
+    ...intersectingLinkIds,
+  ]);
 
   // Return preview selection based on current selection and shift key
   const currentSelectedIds = currentPage.selectedIds || [];
@@ -537,5 +551,6 @@ export function deleteSelectedItems(state) {
     }),
   );
 
-  return saveMementoAndReturn(state, newState);
+  // lines attached to deleted blocks let go of them
+  return saveMementoAndReturn(state, layoutCurrentPageLines(newState));
 }
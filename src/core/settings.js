@@ -0,0 +1,506 @@
+import { h, text } from "hyperapp";
+import { Z_INDEX_TOP_2 } from "./constants.js";
+import {
+  eventToShortcut,
+  formatShortcut,
+  getCommands,
+  getShortcuts,
+} from "./commands.js";
+import { focusEffect, showNotification, updateState } from "./utils.js";
+
+// relative to the electron userData directory, shared by every workspace
+const SETTINGS_PATH = "user/settings.json";
+const SETTINGS_DIALOG_ID = "settings-dialog";
+
+/** @type {Settings} */
+export const DEFAULT_SETTINGS = {
+  keybindings: {},
+  snapping: {
+    snapToGrid: false,
+    gridSize: 20,
+    snapToBlocks: true,
+  },
+};
+
+// -----------------------------
+// ## Settings
+// -----------------------------
+
+/**
+ * Reads the user's settings, falling back to the defaults for anything missing or invalid
+ * @returns {Promise<Settings>}
+ */
+export async function loadSettings() {
+  try {
+    const settingsString = await window.fileAPI.readFile(SETTINGS_PATH);
+    if (settingsString === null) return DEFAULT_SETTINGS;
+    const settings = JSON.parse(settingsString);
+
+    /** @type {Record<string, string[]>} */
+    const keybindings = {};
+    for (const [commandId, shortcuts] of Object.entries(
+      settings?.keybindings ?? {},
+    )) {
+      if (
+        Array.isArray(shortcuts) &&
+        shortcuts.every((shortcut) => typeof shortcut === "string")
+      ) {
+        keybindings[commandId] = shortcuts;
+      }
+    }
+
+    /** @type {SnappingSettings} */
+    const snapping = { ...DEFAULT_SETTINGS.snapping };
+    const savedSnapping = settings?.snapping ?? {};
+    if (typeof savedSnapping.snapToGrid === "boolean") {
+      snapping.snapToGrid = savedSnapping.snapToGrid;
+    }
+    if (
+      typeof savedSnapping.gridSize === "number" &&
+      savedSnapping.gridSize > 0
+    ) {
+      snapping.gridSize = savedSnapping.gridSize;
+    }
+    if (typeof savedSnapping.snapToBlocks === "boolean") {
+      snapping.snapToBlocks = savedSnapping.snapToBlocks;
+    }
+    return { ...DEFAULT_SETTINGS, keybindings, snapping };
+  } catch (error) {
+    console.error("Failed to load settings:", error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+/**
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {Settings} settings
+ * @returns {Promise<void>}
+ */
+async function saveSettingsEffect(dispatch, settings) {
+  try {
+    await window.fileAPI.writeFile(SETTINGS_PATH, settings);
+  } catch (error) {
+    console.error("Failed to save settings:", error);
+    showNotification(dispatch, "Failed to save settings");
+  }
+}
+
+/**
+ * Rebinds a command and saves the settings
+ * @param {State} state
+ * @param {Command} command
+ * @param {string[] | null} shortcuts - null restores the command's default shortcuts
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function setKeybinding(state, command, shortcuts) {
+  const { [command.id]: _, ...keybindings } = state.settings.keybindings;
+  const isDefault =
+    shortcuts === null ||
+    (shortcuts.length === command.shortcuts.length &&
+      shortcuts.every((shortcut, i) => shortcut === command.shortcuts[i]));
+  /** @type {Settings} */
+  const settings = {
+    ...state.settings,
+    keybindings: isDefault
+      ? keybindings
+      : { ...keybindings, [command.id]: shortcuts },
+  };
+  return [updateState(state, { settings }), [saveSettingsEffect, settings]];
+}
+
+/**
+ * Changes the snapping settings and saves them
+ * @param {State} state
+ * @param {Partial<SnappingSettings>} snapping
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function updateSnappingSettings(state, snapping) {
+  /** @type {Settings} */
+  const settings = {
+    ...state.settings,
+    snapping: { ...state.settings.snapping, ...snapping },
+  };
+  return [updateState(state, { settings }), [saveSettingsEffect, settings]];
+}
+
+/**
+ * @param {State} state
+ * @returns {Map<string, Command[]>} Commands by shortcut, for the shortcuts bound to more than one command
+ */
+function getShortcutConflicts(state) {
+  /** @type {Map<string, Command[]>} */
+  const commandsByShortcut = new Map();
+  for (const command of getCommands(state)) {
+    for (const shortcut of getShortcuts(state, command)) {
+      commandsByShortcut.set(shortcut, [
+        ...(commandsByShortcut.get(shortcut) ?? []),
+        command,
+      ]);
+    }
+  }
+  return new Map(
+    [...commandsByShortcut].filter(([, commands]) => commands.length > 1),
+  );
+}
+
+// -----------------------------
+// ## Settings Dialog
+// -----------------------------
+
+/**
+ * @param {State} state
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+export function openSettings(state) {
+  return [
+    updateState(state, {
+      settingsDialog: { recordingCommandId: null },
+      commandPalette: null,
+      search: null,
+      contextMenu: null,
+    }),
+    [focusEffect, { id: SETTINGS_DIALOG_ID }],
+  ];
+}
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+function closeSettings(state) {
+  return updateState(state, { settingsDialog: null });
+}
+
+/**
+ * @param {State} state
+ * @param {string | null} recordingCommandId
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function setRecording(state, recordingCommandId) {
+  return [
+    updateState(state, { settingsDialog: { recordingCommandId } }),
+    // the dialog receives the key presses to record
+    [focusEffect, { id: SETTINGS_DIALOG_ID }],
+  ];
+}
+
+/**
+ * Modal for the snapping settings and for rebinding the keyboard shortcuts of every command
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State> | null}
+ */
+export function settingsDialog(state) {
+  const dialog = state.settingsDialog;
+  if (!dialog) return null;
+
+  const conflicts = getShortcutConflicts(state);
+
+  /**
+   * @param {State} state
+   * @param {Event} event
+   * @returns {import("hyperapp").Dispatchable<State>}
+   */
+  function onkeydown(state, event) {
+    // the canvas behind the dialog shouldn't react to keyboard shortcuts
+    event.stopPropagation();
+    const keyboardEvent = /** @type {KeyboardEvent} */ (event);
+    const recordingCommandId = state.settingsDialog?.recordingCommandId;
+    if (!recordingCommandId) {
+      return keyboardEvent.key === "Escape" ? closeSettings(state) : state;
+    }
+
+    event.preventDefault();
+    const shortcut = eventToShortcut(keyboardEvent);
+    if (shortcut === null) return state;
+    if (shortcut === "escape") return setRecording(state, null);
+
+    const command = getCommands(state).find(
+      (command) => command.id === recordingCommandId,
+    );
+    if (!command) return setRecording(state, null);
+    const shortcuts = getShortcuts(state, command);
+    const newState = updateState(state, {
+      settingsDialog: { recordingCommandId: null },
+    });
+    if (shortcuts.includes(shortcut)) return newState;
+    return setKeybinding(newState, command, [...shortcuts, shortcut]);
+  }
+
+  return h(
+    "div",
+    {
+      style: {
+        position: "fixed",
+        inset: "0",
+        zIndex: `${Z_INDEX_TOP_2}`,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        background: "rgba(0, 0, 0, 0.4)",
+      },
+      onpointerdown: (state, event) =>
+        event.target === event.currentTarget ? closeSettings(state) : state,
+    },
+    h(
+      "div",
+      {
+        id: SETTINGS_DIALOG_ID,
+        class: "settings-dialog",
+        tabindex: "-1",
+        style: {
+          display: "flex",
+          flexDirection: "column",
+          gap: "12px",
+          width: "560px",
+          maxHeight: "80vh",
+          padding: "20px",
+          borderRadius: "10px",
+          outline: "none",
+          boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+        },
+        onkeydown,
+      },
+      [
+        h(
+          "div",
+          {
+            style: {
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+            },
+          },
+          [
+            h("h3", { style: { margin: "0" } }, text("Settings")),
+            h("button", { title: "close", onclick: closeSettings }, text("✕")),
+          ],
+        ),
+        snappingSettings(state),
+        h(
+          "div",
+          {
+            style: {
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+            },
+          },
+          [
+            h("h4", { style: { margin: "0" } }, text("Keyboard shortcuts")),
+            h(
+              "button",
+              {
+                title: "restore every default shortcut",
+                disabled: Object.keys(state.settings.keybindings).length === 0,
+                onclick: (state) => {
+                  /** @type {Settings} */
+                  const settings = { ...state.settings, keybindings: {} };
+                  return [
+                    updateState(state, { settings }),
+                    [saveSettingsEffect, settings],
+                  ];
+                },
+              },
+              text("reset all"),
+            ),
+          ],
+        ),
+        conflicts.size > 0
+          ? h(
+              "p",
+              { class: "settings-conflict-message", style: { margin: "0" } },
+              text(
+                `${conflicts.size === 1 ? "1 shortcut is" : `${conflicts.size} shortcuts are`} bound to more than one command. Pressing it runs the first one that is available.`,
+              ),
+            )
+          : null,
+        h(
+          "div",
+          {
+            style: {
+              display: "flex",
+              flexDirection: "column",
+              overflowY: "auto",
+            },
+          },
+          getCommands(state).map((command) =>
+            keybindingRow(state, command, dialog, conflicts),
+          ),
+        ),
+      ],
+    ),
+  );
+}
+
+/** @type {import("hyperapp").StyleProp} */
+const settingsRowStyle = {
+  display: "flex",
+  flexDirection: "row",
+  alignItems: "center",
+  gap: "6px",
+  padding: "6px 9px",
+  borderRadius: "6px",
+};
+
+/**
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function snappingSettings(state) {
+  const { snapToGrid, gridSize, snapToBlocks } = state.settings.snapping;
+
+  return h(
+    "div",
+    {
+      style: {
+        display: "flex",
+        flexDirection: "column",
+        gap: "6px",
+      },
+    },
+    [
+      h("h4", { style: { margin: "0" } }, text("Snapping")),
+      h("label", { class: "settings-row", style: settingsRowStyle }, [
+        h("input", {
+          type: "checkbox",
+          checked: snapToBlocks,
+          onchange: (state, event) =>
+            updateSnappingSettings(state, {
+              snapToBlocks: /** @type {HTMLInputElement} */ (event.target)
+                .checked,
+            }),
+        }),
+        text("snap to the edges and centers of other blocks"),
+      ]),
+      h("label", { class: "settings-row", style: settingsRowStyle }, [
+        h("input", {
+          type: "checkbox",
+          checked: snapToGrid,
+          onchange: (state, event) =>
+            updateSnappingSettings(state, {
+              snapToGrid: /** @type {HTMLInputElement} */ (event.target)
+                .checked,
+            }),
+        }),
+        text("snap to a grid of"),
+        h("input", {
+          type: "number",
+          min: "1",
+          value: gridSize,
+          disabled: !snapToGrid,
+          style: { width: "60px" },
+          onchange: (state, event) => {
+            const value = Number(
+              /** @type {HTMLInputElement} */ (event.target).value,
+            );
+            if (!(value > 0)) return state;
+            return updateSnappingSettings(state, { gridSize: value });
+          },
+        }),
+        text("px"),
+      ]),
+      h(
+        "p",
+        { style: { margin: "0", opacity: "0.7" } },
+        text("Hold alt while dragging or resizing to move freely."),
+      ),
+    ],
+  );
+}
+
+/**
+ * @param {State} state
+ * @param {Command} command
+ * @param {SettingsDialogState} dialog
+ * @param {Map<string, Command[]>} conflicts
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function keybindingRow(state, command, dialog, conflicts) {
+  const shortcuts = getShortcuts(state, command);
+  const isRecording = dialog.recordingCommandId === command.id;
+  const isRebound = command.id in state.settings.keybindings;
+
+  return h(
+    "div",
+    {
+      key: command.id,
+      class: "settings-row",
+      style: {
+        display: "flex",
+        flexDirection: "row",
+        alignItems: "center",
+        flexWrap: "wrap",
+        gap: "4px",
+        padding: "6px 9px",
+        borderRadius: "6px",
+      },
+    },
+    [
+      h("span", { style: { flexGrow: "1" } }, text(command.label)),
+      ...shortcuts.map((shortcut) => {
+        const otherCommands = (conflicts.get(shortcut) ?? []).filter(
+          (other) => other.id !== command.id,
+        );
+        return h(
+          "span",
+          {
+            class: {
+              "shortcut-chip": true,
+              "shortcut-chip-conflict": otherCommands.length > 0,
+            },
+            title:
+              otherCommands.length > 0
+                ? `also bound to ${otherCommands.map((other) => other.label).join(", ")}`
+                : "",
+          },
+          [
+            text(formatShortcut(shortcut)),
+            h(
+              "button",
+              {
+                title: "remove shortcut",
+                style: {
+                  border: "none",
+                  background: "transparent",
+                  padding: "0",
+                  cursor: "pointer",
+                },
+                onclick: (state) =>
+                  setKeybinding(
+                    state,
+                    command,
+                    shortcuts.filter((s) => s !== shortcut),
+                  ),
+              },
+              text("✕"),
+            ),
+          ],
+        );
+      }),
+      isRecording
+        ? h(
+            "span",
+            { class: "shortcut-chip shortcut-chip-recording" },
+            text("press a shortcut, esc to cancel"),
+          )
+        : h(
+            "button",
+            {
+              title: "add shortcut",
+              onclick: (state) => setRecording(state, command.id),
+            },
+            text("+"),
+          ),
+      isRebound
+        ? h(
+            "button",
+            {
+              title: "restore default shortcuts",
+              onclick: (state) => setKeybinding(state, command, null),
+            },
+            text("↺"),
+          )
+        : null,
+    ],
+  );
+}
@@ -0,0 +1,470 @@
+import { h, text } from "hyperapp";
+import {
+  SIDEBAR_MAX_WIDTH,
+  SIDEBAR_MIN_WIDTH,
+  Z_INDEX_TOP_2,
+} from "./constants.js";
+import {
+  createPage,
+  deletePage,
+  renamePage,
+  reorderPage,
+  switchPage,
+} from "./pages.js";
+import { focusEffect, updateState } from "./utils.js";
+import { outlinePanel } from "./outline.js";
+import { openSearch } from "./search.js";
+import { openSettings } from "./settings.js";
+import { getFrames, zoomToFrame } from "./blockContents/frame.js";
+
+/**
+ * @param {string} pageId
+ * @returns {string}
+ */
+function pageNameInputId(pageId) {
+  return `page-name-input-${pageId}`;
+}
+
+/**
+ * Panel on the right side of the window for navigating between pages and the blocks of the current page.
+ * Its width is `programsPanelWidth`, which the viewport subtracts from its own width.
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+export function sidebar(state) {
+  if (!state.isSidebarVisible) {
+    return h(
+      "button",
+      {
+        class: "sidebar-toggle-button",
+        title: "show sidebar",
+        style: {
+          position: "fixed",
+          top: "12px",
+          right: "12px",
+          zIndex: `${Z_INDEX_TOP_2}`,
+        },
+        onclick: toggleSidebar,
+      },
+      text("☰"),
+    );
+  }
+
+  return h(
+    "div",
+    {
+      id: "sidebar",
+      class: "sidebar",
+      style: {
+        position: "relative",
+        flexShrink: "0",
+        width: `${state.programsPanelWidth}px`,
+        height: "100%",
+        display: "flex",
+        flexDirection: "column",
+        boxSizing: "border-box",
+        padding: "12px",
+        gap: "8px",
+        overflowY: "auto",
+      },
+      // stop keyboard shortcuts from triggering while renaming
+      onkeydown: (state, event) => {
+        event.stopPropagation();
+        return state;
+      },
+    },
+    [
+      sidebarResizeHandle(),
+      h(
+        "div",
+        {
+          style: {
+            display: "flex",
+            flexDirection: "row",
+            alignItems: "center",
+            justifyContent: "space-between",
+          },
+        },
+        [
+          h("div", { style: { display: "flex", gap: "4px" } }, [
+            sidebarTab(state, "pages", "Pages"),
+            sidebarTab(state, "outline", "Outline"),
+          ]),
+          h("div", { style: { display: "flex", gap: "4px" } }, [
+            state.sidebar.tab === "pages"
+              ? h(
+                  "button",
+                  { title: "new page", onclick: addPage },
+                  text("+ new page"),
+                )
+              : null,
+            h(
+              "button",
+              { title: "search blocks (cmd + f)", onclick: openSearch },
+              text("⌕"),
+            ),
+            h(
+              "button",
+              { title: "settings", onclick: openSettings },
+              text("⚙"),
+            ),
+            h(
+              "button",
+              { title: "hide sidebar", onclick: toggleSidebar },
+              text("⇥"),
+            ),
+          ]),
+        ],
+      ),
+      state.sidebar.tab === "pages"
+        ? h(
+            "div",
+            { style: { display: "flex", flexDirection: "column" } },
+            state.pages.flatMap((page) => [
+              pageRow(state, page),
+              ...getFrames(page).map((frame) => frameRow(page, frame)),
+            ]),
+          )
+        : outlinePanel(state),
+    ],
+  );
+}
+
+/**
+ * @param {State} state
+ * @param {SidebarState["tab"]} tab
+ * @param {string} label
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function sidebarTab(state, tab, label) {
+  return h(
+    "button",
+    {
+      class: {
+        "sidebar-tab": true,
+        "sidebar-tab-active": state.sidebar.tab === tab,
+      },
+      onclick: (state) =>
+        updateState(state, { sidebar: { ...state.sidebar, tab } }),
+    },
+    text(label),
+  );
+}
+
+/**
+ * Strip on the left edge of the sidebar that resizes it when dragged
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function sidebarResizeHandle() {
+  return h("div", {
+    class: "sidebar-resize-handle",
+    style: {
+      position: "absolute",
+      top: "0",
+      left: "0",
+      width: "6px",
+      height: "100%",
+      cursor: "ew-resize",
+    },
+    onpointerdown: (state, event) => {
+      const handle = /** @type {HTMLElement} */ (event.currentTarget);
+      // keep receiving pointer events while the pointer is over the viewport
+      handle.setPointerCapture(event.pointerId);
+      event.preventDefault();
+      return state;
+    },
+    onpointermove: (state, event) => {
+      const handle = /** @type {HTMLElement} */ (event.currentTarget);
+      if (!handle.hasPointerCapture(event.pointerId)) return state;
+      const width = window.innerWidth - event.clientX;
+      return updateState(state, {
+        programsPanelWidth: Math.max(
+          SIDEBAR_MIN_WIDTH,
+          Math.min(SIDEBAR_MAX_WIDTH, width),
+        ),
+      });
+    },
+  });
+}
+
+/**
+ * @param {State} state
+ * @param {Page} page
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function pageRow(state, page) {
+  const isCurrent = page.id === state.currentPageId;
+
+  if (state.sidebar.renamingPageId === page.id) {
+    /**
+     * @param {State} state
+     * @param {Event} event
+     * @returns {import("hyperapp").Dispatchable<State>}
+     */
+    function commitRename(state, event) {
+      const name = /** @type {HTMLInputElement} */ (event.target).value.trim();
+      const newState = stopRenaming(state);
+      if (!name || name === page.name) return newState;
+      return renamePage(newState, page.id, name);
+    }
+
+    return h("input", {
+      id: pageNameInputId(page.id),
+      key: `page-${page.id}`,
+      type: "text",
+      value: page.name,
+      style: { margin: "4px 0" },
+      onkeydown: (state, event) => {
+        switch (event.key) {
+          case "Enter":
+            return commitRename(state, event);
+          case "Escape":
+            return stopRenaming(state);
+          default:
+            return state;
+        }
+      },
+      onblur: commitRename,
+    });
+  }
+
+  const dropTarget = state.sidebar.dropTarget;
+  const dropPosition =
+    dropTarget?.pageId === page.id ? dropTarget.position : null;
+
+  return h(
+    "div",
+    {
+      key: `page-${page.id}`,
+      class: { "page-row": true, "page-row-current": isCurrent },
+      draggable: true,
+      style: {
+        display: "flex",
+        flexDirection: "row",
+        alignItems: "center",
+        gap: "4px",
+        borderTop: `2px solid ${dropPosition === "before" ? "#4ea4e3" : "transparent"}`,
+        borderBottom: `2px solid ${dropPosition === "after" ? "#4ea4e3" : "transparent"}`,
+      },
+      onclick: (state) => switchPage(state, page.id),
+      ondblclick: (state) => startRenaming(state, page.id),
+      ondragstart: (state, event) => {
+        /** @type {DragEvent} */ (event).dataTransfer?.setData(
+          "text/plain",
+          page.name,
+        );
+        return updateState(state, {
+          sidebar: { ...state.sidebar, draggingPageId: page.id },
+        });
+      },
+      ondragover: (state, event) => {
+        if (state.sidebar.draggingPageId === null) return state;
+        // allow dropping on this row
+        event.preventDefault();
+        const rect = /** @type {HTMLElement} */ (
+          event.currentTarget
+        ).getBoundingClientRect();
+        /** @type {"before" | "after"} */
+        const position =
+          /** @type {DragEvent} */ (event).clientY < rect.top + rect.height / 2
+            ? "before"
+            : "after";
+        if (dropPosition === position) return state;
+        return updateState(state, {
+          sidebar: {
+            ...state.sidebar,
+            dropTarget: { pageId: page.id, position },
+          },
+        });
+      },
+      ondrop: (state, event) => {
+        event.preventDefault();
+        return dropPage(state);
+      },
+      ondragend: stopDragging,
+    },
+    [
+      h(
+        "span",
+        {
+          style: {
+            flexGrow: "1",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          },
+        },
+        text(page.name),
+      ),
+      h(
+        "span",
+        {
+          class: "page-block-count",
+          title: `${page.blocks.length} blocks`,
+        },
+        text(page.blocks.length),
+      ),
+      pageRowButton("✎", "rename", (state) => startRenaming(state, page.id)),
+      state.pages.length > 1
+        ? pageRowButton("✕", "delete", (state) => [
+            state,
+            [deletePageEffect, page],
+          ])
+        : null,
+    ],
+  );
+}
+
+/**
+ * Listed below the row of its page, clicking it jumps to the frame
+ * @param {Page} page
+ * @param {FrameBlock} frame
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function frameRow(page, frame) {
+  return h(
+    "div",
+    {
+      key: `frame-${page.id}-${frame.id}`,
+      class: "page-row",
+      title: "zoom to frame",
+      style: {
+        display: "flex",
+        flexDirection: "row",
+        alignItems: "center",
+        gap: "6px",
+        paddingLeft: "25px",
+      },
+      onclick: (state) => zoomToFrame(state, page.id, frame.id),
+    },
+    [
+      h("span", {
+        style: {
+          width: "8px",
+          height: "8px",
+          flexShrink: "0",
+          borderRadius: "2px",
+          background: frame.color,
+        },
+      }),
+      h(
+        "span",
+        {
+          style: {
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          },
+        },
+        text(frame.title || "untitled frame"),
+      ),
+    ],
+  );
+}
+
+/**
+ * @param {string} content
+ * @param {string} title
+ * @param {(state: State) => import("hyperapp").Dispatchable<State>} action
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function pageRowButton(content, title, action) {
+  return h(
+    "button",
+    {
+      title,
+      onclick: (state, event) => {
+        // don't switch to the page of the row
+        event.stopPropagation();
+        return action(state);
+      },
+    },
+    text(content),
+  );
+}
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+export function toggleSidebar(state) {
+  return updateState(state, { isSidebarVisible: !state.isSidebarVisible });
+}
+
+/**
+ * Creates a page and starts renaming it
+ * @param {State} state
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function addPage(state) {
+  const newState = createPage(state);
+  return startRenaming(newState, newState.currentPageId);
+}
+
+/**
+ * @param {State} state
+ * @param {string} pageId
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function startRenaming(state, pageId) {
+  return [
+    updateState(state, {
+      sidebar: { ...state.sidebar, renamingPageId: pageId },
+    }),
+    [focusEffect, { id: pageNameInputId(pageId) }],
+  ];
+}
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+function stopRenaming(state) {
+  return updateState(state, {
+    sidebar: { ...state.sidebar, renamingPageId: null },
+  });
+}
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+function stopDragging(state) {
+  return updateState(state, {
+    sidebar: { ...state.sidebar, draggingPageId: null, dropTarget: null },
+  });
+}
+
+/**
+ * Moves the dragged page to the drop target
+ * @param {State} state
+ * @returns {State}
+ */
+function dropPage(state) {
+  const { draggingPageId, dropTarget } = state.sidebar;
+  const newState = stopDragging(state);
+  if (draggingPageId === null || dropTarget === null) return newState;
+  if (draggingPageId === dropTarget.pageId) return newState;
+
+  const targetIndex = state.pages
+    .filter((page) => page.id !== draggingPageId)
+    .findIndex((page) => page.id === dropTarget.pageId);
+  return reorderPage(
+    newState,
+    draggingPageId,
+    dropTarget.position === "before" ? targetIndex : targetIndex + 1,
+  );
+}
+
+/**
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {Page} page
+ */
+function deletePageEffect(dispatch, page) {
+  const blockCount =
+    page.blocks.length === 1 ? "1 block" : `${page.blocks.length} blocks`;
+  if (!confirm(`Delete page "${page.name}" and its ${blockCount}?`)) {
+    return;
+  }
+  dispatch((state) => deletePage(state, page.id));
+}
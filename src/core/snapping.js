@@ -0,0 +1,190 @@
+import { h } from "hyperapp";
+import { SNAP_THRESHOLD, Z_INDEX_TOP } from "./constants.js";
+import { getVisibleBlocks } from "./outline.js";
+import { getCurrentPage } from "./pages.js";
+
+// -----------------------------
+// ## Snapping
+// -----------------------------
+
+// Dragged and resized blocks snap to the edges and centers of the other visible blocks when
+// they come within SNAP_THRESHOLD screen px of them, otherwise to the grid. Both can be turned
+// off in the settings, and holding alt ignores them for a single drag.
+
+/**
+ * @typedef {{x: number, y: number, width: number, height: number}} Rect
+ */
+
+/**
+ * @param {Rect} rect
+ * @param {"x" | "y"} axis
+ * @returns {number[]} Start, center and end of the rectangle along the axis
+ */
+function getSnapLines(rect, axis) {
+  const start = axis === "x" ? rect.x : rect.y;
+  const size = axis === "x" ? rect.width : rect.height;
+  return [start, start + size / 2, start + size];
+}
+
+/**
+ * @param {Rect} rect
+ * @param {"x" | "y"} axis
+ * @returns {[number, number]} Extent of the rectangle along the other axis
+ */
+function getCrossExtent(rect, axis) {
+  return axis === "x"
+    ? [rect.y, rect.y + rect.height]
+    : [rect.x, rect.x + rect.width];
+}
+
+/**
+ * Finds the smallest shift along an axis that lines one of the lines up with a line of another block
+ * @param {State} state
+ * @param {number[]} lines - Positions along the axis that can snap
+ * @param {[number, number]} crossExtent - Extent of what is snapping along the other axis, for the guide
+ * @param {"x" | "y"} axis
+ * @param {Block[]} targets
+ * @returns {{shift: number, guide: SnapGuide} | null}
+ */
+function findBlockSnap(state, lines, crossExtent, axis, targets) {
+  const threshold = SNAP_THRESHOLD / getCurrentPage(state).zoom;
+  /** @type {{shift: number, guide: SnapGuide} | null} */
+  let best = null;
+  for (const target of targets) {
+    const [targetStart, targetEnd] = getCrossExtent(target, axis);
+    for (const targetLine of getSnapLines(target, axis)) {
+      for (const line of lines) {
+        const shift = targetLine - line;
+        if (Math.abs(shift) > threshold) continue;
+        if (best && Math.abs(shift) >= Math.abs(best.shift)) continue;
+        best = {
+          shift,
+          guide: {
+            axis,
+            position: targetLine,
+            start: Math.min(crossExtent[0], targetStart),
+            end: Math.max(crossExtent[1], targetEnd),
+          },
+        };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * @param {State} state
+ * @param {number} position
+ * @returns {number} The position rounded to the grid, or unchanged when the grid is off
+ */
+function snapToGrid(state, position) {
+  const { snapToGrid, gridSize } = state.settings.snapping;
+  if (!snapToGrid || gridSize <= 0) return position;
+  return Math.round(position / gridSize) * gridSize;
+}
+
+/**
+ * @param {State} state
+ * @param {number[]} movingIds - Blocks that are being moved or resized, which can't be snapped to
+ * @returns {Block[]}
+ */
+function getSnapTargets(state, movingIds) {
+  if (!state.settings.snapping.snapToBlocks) return [];
+  return getVisibleBlocks(getCurrentPage(state)).filter(
+    (block) => !movingIds.includes(block.id),
+  );
+}
+
+/**
+ * Snaps a rectangle that is being moved
+ * @param {State} state
+ * @param {Rect} rect - Where the rectangle would be without snapping
+ * @param {number[]} movingIds - Blocks moving with the rectangle
+ * @returns {{x: number, y: number, guides: SnapGuide[]}} Snapped position of the rectangle
+ */
+export function snapRect(state, rect, movingIds) {
+  const targets = getSnapTargets(state, movingIds);
+  /** @type {SnapGuide[]} */
+  const guides = [];
+
+  const position = { x: rect.x, y: rect.y };
+  for (const axis of /** @type {const} */ (["x", "y"])) {
+    const snap = findBlockSnap(
+      state,
+      getSnapLines(rect, axis),
+      getCrossExtent(rect, axis),
+      axis,
+      targets,
+    );
+    if (snap) {
+      position[axis] += snap.shift;
+      guides.push(snap.guide);
+    } else {
+      position[axis] = snapToGrid(state, position[axis]);
+    }
+  }
+  return { ...position, guides };
+}
+
+/**
+ * Snaps the pointer while it drags a resize handle
+ * @param {State} state
+ * @param {{x: number, y: number}} point - Pointer position in canvas coordinates
+ * @param {("x" | "y")[]} axes - Axes the handle resizes along
+ * @param {number[]} movingIds - Blocks being resized
+ * @returns {{x: number, y: number, guides: SnapGuide[]}}
+ */
+export function snapPoint(state, point, axes, movingIds) {
+  const targets = getSnapTargets(state, movingIds);
+  /** @type {SnapGuide[]} */
+  const guides = [];
+
+  const position = { ...point };
+  for (const axis of axes) {
+    const cross = axis === "x" ? point.y : point.x;
+    const snap = findBlockSnap(
+      state,
+      [point[axis]],
+      [cross, cross],
+      axis,
+      targets,
+    );
+    if (snap) {
+      position[axis] += snap.shift;
+      guides.push(snap.guide);
+    } else {
+      position[axis] = snapToGrid(state, position[axis]);
+    }
+  }
+  return { ...position, guides };
+}
+
+// -----------------------------
+// ## Snap Guides
+// -----------------------------
+
+/**
+ * @param {State} state
+ * @returns {import("hyperapp").ElementVNode<State>[]}
+ */
+export function snapGuidesView(state) {
+  const zoom = getCurrentPage(state).zoom;
+  const thickness = 1 / zoom;
+
+  return state.snapGuides.map((guide) =>
+    h("div", {
+      class: "snap-guide",
+      style: {
+        position: "absolute",
+        transform:
+          guide.axis === "x"
+            ? `translate(${guide.position - thickness / 2}px, ${guide.start}px)`
+            : `translate(${guide.start}px, ${guide.position - thickness / 2}px)`,
+        width: `${guide.axis === "x" ? thickness : guide.end - guide.start}px`,
+        height: `${guide.axis === "x" ? guide.end - guide.start : thickness}px`,
+        pointerEvents: "none",
+        zIndex: `${Z_INDEX_TOP}`,
+      },
+    }),
+  );
+}
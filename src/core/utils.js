@@ -1,5 +1,4 @@
 import { addImageBlock, pasteClipboardBlocks, updateBlock } from "./block.js";
-import { MEDIA_SAVE_PATH, STATE_SAVE_PATH } from "./constants.js";
 import { h, text } from "hyperapp";
 import { getViewportCenterCoordinates } from "./viewport.js";
 import { getCurrentPage, updateCurrentPage } from "./pages.js";
@@ -47,7 +46,7 @@ export function notification(state) {
  * @param {import("hyperapp").Dispatch<State>} dispatch - Function to dispatch actions
  * @param {string} message - Notification message to display
  */
-function showNotification(dispatch, message) {
+export function showNotification(dispatch, message) {
   dispatch((state) => ({
     ...state,
     notification: message,
@@ -88,40 +87,36 @@ export async function saveApplication(state) {
     // Don't need to save mementoManager which is session undo/redo history
     state = setBlocksDomReadyFalse(state);
     state = syncBlocksSrc(state);
-    state = resetAllWebviewBlockHistory(state);
     const {
       mementoManager,
       notification,
       notificationVisible,
       clipboard,
+      workspace,
+      workspaces,
+      workspaceSwitcher,
+      sidebar,
+      restoreBackupDialog,
+      search,
+      commandPalette,
+      settings,
+      settingsDialog,
+      viewportAnimation,
+      snapGuides,
+      minimapDrag,
+      penTool,
+      linkDrag,
+      linkLabelEdit,
+      markdownEditId,
       ...serializableSaveState
     } = state;
 
-    await window.fileAPI.writeFile(STATE_SAVE_PATH, serializableSaveState);
+    await window.stateAPI.save(workspace.id, serializableSaveState);
   } catch (error) {
     console.error("Failed to save application state:", error);
   }
 }
 
-/**
- * @param {State} state - Current application state to save
- * @returns {State}
- */
-function resetAllWebviewBlockHistory(state) {
-  return {
-    ...state,
-    pages: state.pages.map((page) => ({
-      ...page,
-      blocks: page.blocks.map((block) => {
-        if (block.type === "webview") {
-          return { ...block, canGoBack: false, canGoForward: false };
-        }
-        return block;
-      }),
-    })),
-  };
-}
-
 /**
  * Set the `domReady` property of all webview blocks to false. This is needed since on app load, none of the webviews have domReady loaded.
  * @param {State} state
@@ -200,7 +195,7 @@ export const pasteEffect = async (dispatch, state) => {
         const result = await window.fileAPI.saveImageFromBuffer(
           arrayBuffer,
           imageType,
-          MEDIA_SAVE_PATH,
+          state.workspace.mediaPath,
         );
         if (result.success) {
           const src = result.path;
@@ -372,6 +367,15 @@ export function getIsWebviewFocused() {
   );
 }
 
+/**
+ * @returns {boolean} True when no element has keyboard focus, so keys are meant for the canvas rather than a page, a text block or a button
+ */
+export function getIsCanvasFocused() {
+  return (
+    document.activeElement === null || document.activeElement === document.body
+  );
+}
+
 /**
  * Extracts the domain name from a URL, removing protocol and www subdomain
  * @param {string} urlString - The URL to extract domain from
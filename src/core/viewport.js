@@ -1,6 +1,6 @@
 import { h, text } from "hyperapp";
 import { blockView } from "./block.js";
-import { linkView } from "./link.js";
+import { linkDragPreview, linksLayer } from "./link.js";
 import { handleResizePointerMove } from "./resize.js";
 import { saveMementoAndReturn } from "./memento.js";
 import {
@@ -19,9 +19,23 @@ import {
   selectionBoxComponent,
 } from "./selection.js";
 import { drawBackgroundEffect } from "./background.js";
-import { MAX_ZOOM, MIN_ZOOM } from "./constants.js";
+import {
+  MAX_ZOOM,
+  MIN_FIT_ZOOM,
+  MIN_ZOOM,
+  VIEWPORT_FIT_PADDING,
+} from "./constants.js";
 import { contextMenuView, enableViewportContextMenu } from "./contextMenu.js";
 import { updateState } from "./utils.js";
+import { getHiddenBlockIds, getVisibleBlocks } from "./outline.js";
+import { animateViewport, cancelViewportAnimation } from "./animation.js";
+import { getFrameContentIds } from "./blockContents/frame.js";
+import { groupOutlines } from "./groups.js";
+import { snapGuidesView, snapRect } from "./snapping.js";
+import { minimap } from "./minimap.js";
+import { penOverlay, penStrokePreview } from "./blockContents/drawing.js";
+import { layoutCurrentPageLines } from "./blockContents/shape.js";
+import { fitTextHeightEffect } from "./blockContents/text.js";
 
 /**
  * Calculates canvas coordinates from screen coordinates
@@ -60,6 +74,12 @@ function handleDragStart(state, canvasX, canvasY, isShiftKey) {
           id: referenceBlock.id,
           startX: referenceBlock.x,
           startY: referenceBlock.y,
+          frameContentIds: getFrameContentIds(
+            getCurrentPage(state),
+            selectedBlocks.map((block) => block.id),
+          ),
+          unsnappedX: referenceBlock.x,
+          unsnappedY: referenceBlock.y,
         },
       });
     }
@@ -132,23 +152,62 @@ function onpointerdown(state, event) {
 }
 
 /**
- * Handles block dragging movement
+ * Handles block dragging movement, snapping the moved blocks to other blocks and the grid
  * @param {State} state - Application state
  * @param {number} dx - X delta movement
  * @param {number} dy - Y delta movement
+ * @param {boolean} isAltKey - Whether alt key is pressed, which turns snapping off
  * @returns {import("hyperapp").Dispatchable<State>}
  */
-function handleBlockDrag(state, dx, dy) {
+function handleBlockDrag(state, dx, dy, isAltKey) {
   const viewport = getCurrentViewport(state);
-  const adjustedDx = dx / viewport.zoom;
-  const adjustedDy = dy / viewport.zoom;
-
+  const dragStart = getCurrentPage(state).dragStart;
   const blocks = getCurrentBlocks(state);
-  const selectedBlockIds = getSelectedBlockIds(state);
+  const draggedBlock = blocks.find((block) => block.id === dragStart?.id);
+  if (!dragStart || !draggedBlock) return state;
+
+  const movedBlockIds = [
+    ...getSelectedBlockIds(state),
+    ...dragStart.frameContentIds,
+  ];
+  const movedBlocks = blocks.filter((block) =>
+    movedBlockIds.includes(block.id),
+  );
 
-  return updateCurrentPage(state, {
+  // the position is tracked without snapping, so blocks can be pulled away from what they snapped to
+  const unsnappedX = dragStart.unsnappedX + dx / viewport.zoom;
+  const unsnappedY = dragStart.unsnappedY + dy / viewport.zoom;
+
+  let targetX = unsnappedX;
+  let targetY = unsnappedY;
+  /** @type {SnapGuide[]} */
+  let snapGuides = [];
+  if (!isAltKey) {
+    const left = Math.min(...movedBlocks.map((b) => b.x));
+    const top = Math.min(...movedBlocks.map((b) => b.y));
+    const right = Math.max(...movedBlocks.map((b) => b.x + b.width));
+    const bottom = Math.max(...movedBlocks.map((b) => b.y + b.height));
+    const snapped = snapRect(
+      state,
+      {
+        x: unsnappedX + left - draggedBlock.x,
+        y: unsnappedY + top - draggedBlock.y,
+        width: right - left,
+        height: bottom - top,
+      },
+      movedBlockIds,
+    );
+    targetX = snapped.x - left + draggedBlock.x;
+    targetY = snapped.y - top + draggedBlock.y;
+    snapGuides = snapped.guides;
+  }
+
+  const adjustedDx = targetX - draggedBlock.x;
+  const adjustedDy = targetY - draggedBlock.y;
+
+  const newState = updateCurrentPage(updateState(state, { snapGuides }), {
     blocks: blocks.map((block) => {
-      if (selectedBlockIds.includes(block.id)) {
+      if (movedBlockIds.includes(block.id)) {
         return {
           ...block,
           x: block.x + adjustedDx,
@@ -157,7 +216,9 @@ function handleBlockDrag(state, dx, dy) {
       }
       return block;
     }),
+    dragStart: { ...dragStart, unsnappedX, unsnappedY },
   });
+  return layoutCurrentPageLines(newState);
 }
 
 /**
@@ -169,7 +230,7 @@ function handleBlockDrag(state, dx, dy) {
  */
 function handleViewportDrag(state, dx, dy) {
   const viewport = getCurrentViewport(state);
-  return updateCurrentPage(state, {
+  return updateCurrentPage(cancelViewportAnimation(state), {
     offsetX: viewport.offsetX + dx,
     offsetY: viewport.offsetY + dy,
   });
@@ -226,7 +287,7 @@ function onpointermove(state, event) {
   }
 
   if (currentPage.dragStart) {
-    return handleBlockDrag(state, dx, dy);
+    return handleBlockDrag(state, dx, dy, event.altKey);
   }
 
   if (currentPage.isViewportDragging) {
@@ -282,15 +343,23 @@ function handleDragCompletion(state, newState) {
     const dragDeltaY =
       (draggedBlock.y || 0) - (currentPage.dragStart.startY || 0);
 
+    const movedBlockIds = [
+      ...selectedBlockIds,
+      ...currentPage.dragStart.frameContentIds,
+    ];
     const beforeDragState = updateCurrentPage(state, {
       blocks: blocks.map((b) => {
-        if (selectedBlockIds.includes(b.id)) {
+        if (movedBlockIds.includes(b.id)) {
           return { ...b, x: b.x - dragDeltaX, y: b.y - dragDeltaY };
         }
         return b;
       }),
     });
-    return saveMementoAndReturn(beforeDragState, newState);
+    // lines attached to the dragged blocks go back with them
+    return saveMementoAndReturn(
+      layoutCurrentPageLines(beforeDragState),
+      newState,
+    );
   }
 
   return newState;
@@ -300,7 +369,7 @@ function handleDragCompletion(state, newState) {
  * Handles completion of resize operation with memento saving
  * @param {State} state - Application state
  * @param {State} newState - New state after resize completion
- * @returns {import("hyperapp").Dispatchable<State>}
+ * @returns {State}
  */
 function handleResizeCompletion(state, newState) {
   const currentPage = getCurrentPage(state);
@@ -342,7 +411,10 @@ function handleResizeCompletion(state, newState) {
             : b;
         }),
       });
-      return saveMementoAndReturn(beforeResizeState, newState);
+      return saveMementoAndReturn(
+        layoutCurrentPageLines(beforeResizeState),
+        newState,
+      );
     }
   } else {
     const resizedBlock = blocks.find((b) => b.id === currentPage.resizing?.id);
@@ -367,7 +439,10 @@ function handleResizeCompletion(state, newState) {
             : b,
         ),
       });
-      return saveMementoAndReturn(beforeResizeState, newState);
+      return saveMementoAndReturn(
+        layoutCurrentPageLines(beforeResizeState),
+        newState,
+      );
     }
   }
 
@@ -383,7 +458,7 @@ function onpointerup(state, event) {
   const currentPage = getCurrentPage(state);
   if (!currentPage) return state;
 
-  let newState = updateCurrentPage(state, {
+  let newState = updateCurrentPage(updateState(state, { snapGuides: [] }), {
     isViewportDragging: false,
     resizing: null,
     dragStart: null,
@@ -403,7 +478,15 @@ function onpointerup(state, event) {
   }
 
   if (currentPage.resizing) {
-    return handleResizeCompletion(state, newState);
+    const resizedIds =
+      typeof currentPage.resizing.id === "number"
+        ? [currentPage.resizing.id]
+        : (currentPage.resizing.originalBlocks ?? []).map((block) => block.id);
+    // auto growing text blocks are only resized in width, so their height has to follow the rewrapped text
+    return [
+      handleResizeCompletion(state, newState),
+      [fitTextHeightEffect, resizedIds],
+    ];
   }
 
   return newState;
@@ -428,16 +511,18 @@ function onwheel(state, event) {
   if (isPanGesture) {
     // Trackpad pan gesture - use deltaX and deltaY directly
     // Invert the delta values to match Figma-like behavior
-    return updateCurrentPage(state, {
+    return updateCurrentPage(cancelViewportAnimation(state), {
       offsetX: page.offsetX - event.deltaX,
       offsetY: page.offsetY - event.deltaY,
     });
   } else if (event.ctrlKey || event.metaKey) {
     // Zoom gesture (Ctrl/Cmd + scroll or trackpad pinch)
     const zoomDelta = -event.deltaY * 0.01 * page.zoom;
+    // a zoom outside the limits, i.e. after resetting to 100% or fitting a large page, can only move towards them
     const newZoom = Math.max(
-      MIN_ZOOM,
-      Math.min(MAX_ZOOM, page.zoom + zoomDelta),
+      MIN_FIT_ZOOM,
+      Math.min(MIN_ZOOM, page.zoom),
+      Math.min(Math.max(MAX_ZOOM, page.zoom), page.zoom + zoomDelta),
     );
 
     // Get mouse position relative to viewport for zoom centering
@@ -454,7 +539,7 @@ function onwheel(state, event) {
     const newOffsetY =
       relativeMouseY - (relativeMouseY - page.offsetY) * zoomRatio;
 
-    return updateCurrentPage(state, {
+    return updateCurrentPage(cancelViewportAnimation(state), {
       zoom: newZoom,
       offsetX: newOffsetX,
       offsetY: newOffsetY,
@@ -474,6 +559,7 @@ export function viewport(state) {
   const currentViewport = getCurrentViewport(state);
   if (!currentViewport) return h("div", {}, text("no current viewport"));
   const isFullScreen = currentPage.fullScreenState !== null;
+  const hiddenBlockIds = getHiddenBlockIds(currentPage);
 
   // Trigger canvas redraw effect
   drawBackgroundEffect(undefined, {
@@ -489,7 +575,10 @@ export function viewport(state) {
       id: "viewport",
       style: {
         touchAction: "none", // Prevent default touch behaviors
-        width: "100%",
+        width: state.isSidebarVisible
+          ? `calc(100% - ${state.programsPanelWidth}px)`
+          : "100%",
+        flexShrink: "0",
         height: "100%",
         position: "relative",
         overflow: "hidden",
@@ -533,13 +622,28 @@ export function viewport(state) {
           h(
             "div",
             {},
-            getCurrentBlocks(state).map((block) => blockView(state, block)),
+            getCurrentBlocks(state)
+              .filter((block) => !hiddenBlockIds.has(block.id))
+              .map((block) => blockView(state, block)),
+          ),
+          ...linksLayer(
+            state,
+            currentPage.links.filter(
+              (link) =>
+                !hiddenBlockIds.has(link.parentBlockId) &&
+                !hiddenBlockIds.has(link.childBlockId),
+            ),
           ),
-          ...currentPage.links.map(linkView(state)),
+          ...groupOutlines(state),
+          ...snapGuidesView(state),
+          penStrokePreview(state),
+          linkDragPreview(state),
           selectionBoundingBox(state),
           selectionBoxComponent(state),
         ].filter(Boolean),
       ),
+      penOverlay(state),
+      minimap(state),
       contextMenuView(state),
     ],
   );
@@ -551,10 +655,8 @@ export function viewport(state) {
  * @returns {{x: number, y: number}} Coordinates in the center of the current viewport
  */
 export function getViewportCenterCoordinates(state) {
-  // Get viewport dimensions (assuming standard viewport, could be made more dynamic)
-  const viewportWidth =
-    window.innerWidth - (state.isSidebarVisible ? state.programsPanelWidth : 0);
-  const viewportHeight = window.innerHeight;
+  const { width: viewportWidth, height: viewportHeight } =
+    getViewportSize(state);
 
   // Calculate center of viewport in screen coordinates
   const viewportCenterX = viewportWidth / 2;
@@ -567,3 +669,113 @@ export function getViewportCenterCoordinates(state) {
 
   return { x: canvasX, y: canvasY };
 }
+
+/**
+ * @param {State} state - Current application state
+ * @returns {{width: number, height: number}} Size of the viewport in screen pixels
+ */
+export function getViewportSize(state) {
+  // Get viewport dimensions (assuming standard viewport, could be made more dynamic)
+  return {
+    width:
+      window.innerWidth -
+      (state.isSidebarVisible ? state.programsPanelWidth : 0),
+    height: window.innerHeight,
+  };
+}
+
+/**
+ * Viewport position that puts the center of a block in the center of the viewport
+ * @param {State} state - Current application state
+ * @param {{x: number, y: number, width: number, height: number}} block - Block or area on the current page
+ * @param {number} zoom - Zoom the viewport will have
+ * @returns {ViewportTarget}
+ */
+export function getViewportTargetCenteredOn(state, block, zoom) {
+  const { width, height } = getViewportSize(state);
+  return {
+    offsetX: width / 2 - (block.x + block.width / 2) * zoom,
+    offsetY: height / 2 - (block.y + block.height / 2) * zoom,
+    zoom,
+  };
+}
+
+/**
+ * Viewport position that fits an area of the current page in the viewport.
+ * Like resetting the zoom, fitting may leave the wheel's zoom limits: it zooms out past `MIN_ZOOM`
+ * as far as the area needs, down to `MIN_FIT_ZOOM`, but never zooms in past `MAX_ZOOM`.
+ * @param {State} state - Current application state
+ * @param {{x: number, y: number, width: number, height: number}} rect - Area in canvas coordinates
+ * @returns {ViewportTarget | null} null when the padding leaves no room in the viewport
+ */
+export function getViewportTargetFitting(state, rect) {
+  const { width, height } = getViewportSize(state);
+  const availableWidth = width - 2 * VIEWPORT_FIT_PADDING;
+  const availableHeight = height - 2 * VIEWPORT_FIT_PADDING;
+  if (availableWidth <= 0 || availableHeight <= 0) return null;
+
+  const zoom = Math.min(
+    availableWidth / rect.width,
+    availableHeight / rect.height,
+  );
+  return getViewportTargetCenteredOn(
+    state,
+    rect,
+    Math.max(MIN_FIT_ZOOM, Math.min(MAX_ZOOM, zoom)),
+  );
+}
+
+// -----------------------------
+// ## Zoom Commands
+// -----------------------------
+
+/**
+ * @param {Block[]} blocks - At least one block
+ * @returns {{x: number, y: number, width: number, height: number}} Smallest area containing the blocks
+ */
+function getBoundingRect(blocks) {
+  const left = Math.min(...blocks.map((b) => b.x));
+  const top = Math.min(...blocks.map((b) => b.y));
+  const right = Math.max(...blocks.map((b) => b.x + b.width));
+  const bottom = Math.max(...blocks.map((b) => b.y + b.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Animates the viewport to fit every visible block of the current page
+ * @param {State} state
+ * @returns {State}
+ */
+export function zoomToFitAll(state) {
+  const blocks = getVisibleBlocks(getCurrentPage(state));
+  if (blocks.length === 0) return state;
+  const target = getViewportTargetFitting(state, getBoundingRect(blocks));
+  if (!target) return state;
+  return animateViewport(state, target);
+}
+
+/**
+ * Animates the viewport to fit the selected blocks
+ * @param {State} state
+ * @returns {State}
+ */
+export function zoomToFitSelection(state) {
+  const blocks = getSelectedBlocks(state);
+  if (blocks.length === 0) return state;
+  const target = getViewportTargetFitting(state, getBoundingRect(blocks));
+  if (!target) return state;
+  return animateViewport(state, target);
+}
+
+/**
+ * Animates the viewport to a zoom of 100%, keeping the point in the center of the viewport where it is
+ * @param {State} state
+ * @returns {State}
+ */
+export function resetZoom(state) {
+  const { x, y } = getViewportCenterCoordinates(state);
+  return animateViewport(
+    state,
+    getViewportTargetCenteredOn(state, { x, y, width: 0, height: 0 }, 1),
+  );
+}
@@ -0,0 +1,326 @@
+import { h, text } from "hyperapp";
+import { Z_INDEX_TOP_2 } from "./constants.js";
+import { focusEffect, saveApplication, updateState } from "./utils.js";
+
+/**
+ * @param {string} workspaceId
+ * @returns {string}
+ */
+function workspaceNameInputId(workspaceId) {
+  return `workspace-name-input-${workspaceId}`;
+}
+
+/**
+ * Dropdown in the top left corner for switching between and managing workspaces
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+export function workspaceSwitcher(state) {
+  return h(
+    "div",
+    {
+      id: "workspace-switcher",
+      style: {
+        position: "fixed",
+        top: "12px",
+        left: "12px",
+        zIndex: `${Z_INDEX_TOP_2}`,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "flex-start",
+        gap: "6px",
+      },
+      // stop keyboard shortcuts from triggering while renaming
+      onkeydown: (state, event) => {
+        event.stopPropagation();
+        return state;
+      },
+    },
+    [
+      h(
+        "button",
+        {
+          class: "workspace-switcher-button",
+          onclick: toggleWorkspaceSwitcher,
+        },
+        text(`${state.workspace.name} ▾`),
+      ),
+      state.workspaceSwitcher
+        ? workspaceList(state, state.workspaceSwitcher)
+        : null,
+    ],
+  );
+}
+
+/**
+ * @param {State} state
+ * @param {WorkspaceSwitcherState} switcher
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function workspaceList(state, switcher) {
+  return h(
+    "div",
+    {
+      class: "workspace-list",
+      style: {
+        display: "flex",
+        flexDirection: "column",
+        minWidth: "240px",
+        padding: "6px",
+        borderRadius: "10px",
+        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+      },
+    },
+    [
+      ...state.workspaces.map((workspace) =>
+        workspaceRow(state, workspace, switcher),
+      ),
+      h(
+        "div",
+        {
+          class: "workspace-row",
+          onclick: (state) => [state, createWorkspaceEffect],
+        },
+        text("+ new workspace"),
+      ),
+    ],
+  );
+}
+
+/**
+ * @param {State} state
+ * @param {Workspace} workspace
+ * @param {WorkspaceSwitcherState} switcher
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function workspaceRow(state, workspace, switcher) {
+  const isCurrent = workspace.id === state.workspace.id;
+
+  if (switcher.renamingWorkspaceId === workspace.id) {
+    /**
+     * @param {State} state
+     * @param {Event} event
+     * @returns {import("hyperapp").Dispatchable<State>}
+     */
+    function commitRename(state, event) {
+      const name = /** @type {HTMLInputElement} */ (event.target).value.trim();
+      if (!name) return stopRenaming(state);
+      return [
+        stopRenaming(state),
+        [renameWorkspaceEffect, { workspaceId: workspace.id, name }],
+      ];
+    }
+
+    return h("input", {
+      id: workspaceNameInputId(workspace.id),
+      key: `workspace-${workspace.id}`,
+      type: "text",
+      value: workspace.name,
+      style: { margin: "4px 0" },
+      onkeydown: (state, event) => {
+        switch (event.key) {
+          case "Enter":
+            return commitRename(state, event);
+          case "Escape":
+            return stopRenaming(state);
+          default:
+            return state;
+        }
+      },
+      onblur: commitRename,
+    });
+  }
+
+  return h(
+    "div",
+    {
+      key: `workspace-${workspace.id}`,
+      class: { "workspace-row": true, "workspace-row-current": isCurrent },
+      style: {
+        display: "flex",
+        flexDirection: "row",
+        alignItems: "center",
+        gap: "4px",
+      },
+      onclick: (state) =>
+        isCurrent
+          ? state
+          : [
+              state,
+              [switchWorkspaceEffect, { state, workspaceId: workspace.id }],
+            ],
+    },
+    [
+      h("span", { style: { flexGrow: "1" } }, text(workspace.name)),
+      workspaceRowButton("✎", "rename", (state) => [
+        updateState(state, {
+          workspaceSwitcher: { renamingWorkspaceId: workspace.id },
+        }),
+        [focusEffect, { id: workspaceNameInputId(workspace.id) }],
+      ]),
+      workspaceRowButton("⧉", "duplicate", (state) => [
+        state,
+        [duplicateWorkspaceEffect, { state, workspace }],
+      ]),
+      isCurrent
+        ? null
+        : workspaceRowButton("✕", "delete", (state) => [
+            state,
+            [deleteWorkspaceEffect, workspace],
+          ]),
+    ],
+  );
+}
+
+/**
+ * @param {string} content
+ * @param {string} title
+ * @param {(state: State) => import("hyperapp").Dispatchable<State>} action
+ * @returns {import("hyperapp").ElementVNode<State>}
+ */
+function workspaceRowButton(content, title, action) {
+  return h(
+    "button",
+    {
+      title,
+      onclick: (state, event) => {
+        // don't switch to the workspace of the row
+        event.stopPropagation();
+        return action(state);
+      },
+    },
+    text(content),
+  );
+}
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+function toggleWorkspaceSwitcher(state) {
+  return updateState(state, {
+    workspaceSwitcher: state.workspaceSwitcher
+      ? null
+      : { renamingWorkspaceId: null },
+  });
+}
+
+/**
+ * @param {State} state
+ * @returns {State}
+ */
+function stopRenaming(state) {
+  if (!state.workspaceSwitcher) return state;
+  return updateState(state, {
+    workspaceSwitcher: { renamingWorkspaceId: null },
+  });
+}
+
+/**
+ * Reloads the workspace list from disk
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {string | null} [renamingWorkspaceId] - Workspace to start renaming once the list is loaded
+ * @returns {Promise<void>}
+ */
+async function refreshWorkspaces(dispatch, renamingWorkspaceId = null) {
+  const { workspaces } = await window.workspaceAPI.list();
+  const renamingWorkspace = workspaces.find(
+    (w) => w.id === renamingWorkspaceId,
+  );
+  dispatch((state) => [
+    updateState(state, {
+      workspaces,
+      workspace:
+        workspaces.find((w) => w.id === state.workspace.id) ?? state.workspace,
+      workspaceSwitcher: { renamingWorkspaceId },
+    }),
+    renamingWorkspace
+      ? [focusEffect, { id: workspaceNameInputId(renamingWorkspace.id) }]
+      : null,
+  ]);
+}
+
+/**
+ * Saves the open workspace, then reloads the app with another workspace
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{state: State, workspaceId: string}} props
+ * @returns {Promise<void>}
+ */
+async function switchWorkspaceEffect(dispatch, { state, workspaceId }) {
+  try {
+    await saveApplication(state);
+    await window.workspaceAPI.switch(workspaceId);
+    location.reload();
+  } catch (error) {
+    console.error("Failed to switch workspace:", error);
+  }
+}
+
+/**
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @returns {Promise<void>}
+ */
+async function createWorkspaceEffect(dispatch) {
+  try {
+    const workspace = await window.workspaceAPI.create("new workspace");
+    await refreshWorkspaces(dispatch, workspace.id);
+  } catch (error) {
+    console.error("Failed to create workspace:", error);
+  }
+}
+
+/**
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{workspaceId: string, name: string}} props
+ * @returns {Promise<void>}
+ */
+async function renameWorkspaceEffect(dispatch, { workspaceId, name }) {
+  try {
+    await window.workspaceAPI.rename(workspaceId, name);
+    await refreshWorkspaces(dispatch);
+  } catch (error) {
+    console.error("Failed to rename workspace:", error);
+  }
+}
+
+/**
+ * Duplicates a workspace, saving it first when it's the open one so the copy isn't behind
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{state: State, workspace: Workspace}} props
+ * @returns {Promise<void>}
+ */
+async function duplicateWorkspaceEffect(dispatch, { state, workspace }) {
+  try {
+    if (workspace.id === state.workspace.id) {
+      await saveApplication(state);
+    }
+    const duplicate = await window.workspaceAPI.duplicate(
+      workspace.id,
+      `${workspace.name} copy`,
+    );
+    await refreshWorkspaces(dispatch, duplicate.id);
+  } catch (error) {
+    console.error("Failed to duplicate workspace:", error);
+  }
+}
+
+/**
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {Workspace} workspace
+ * @returns {Promise<void>}
+ */
+async function deleteWorkspaceEffect(dispatch, workspace) {
+  if (
+    !confirm(
+      `Delete workspace "${workspace.name}"? Its pages and media will be removed.`,
+    )
+  ) {
+    return;
+  }
+  try {
+    await window.workspaceAPI.delete(workspace.id);
+    await refreshWorkspaces(dispatch);
+  } catch (error) {
+    console.error("Failed to delete workspace:", error);
+  }
+}
@@ -0,0 +1,116 @@
+const fs = require("fs").promises;
+const path = require("node:path");
+const { writeFileAtomic } = require("./files.js");
+
+// Rotating snapshots of each workspace's state file, kept in user/backups/<workspace id>/
+
+const BACKUP_DIR = "user/backups";
+const MAX_BACKUPS = 10;
+// the renderer saves every couple of seconds, so only snapshot once per interval
+const BACKUP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @param {Workspace} workspace
+ * @returns {string}
+ */
+function getBackupDir(userPath, workspace) {
+  return path.join(userPath, BACKUP_DIR, workspace.id);
+}
+
+/**
+ * Lists the snapshots of a workspace's state file, newest first
+ * @param {string} userPath - Electron userData directory
+ * @param {Workspace} workspace
+ * @returns {Promise<BackupInfo[]>}
+ */
+async function listBackups(userPath, workspace) {
+  const backupDir = getBackupDir(userPath, workspace);
+  /** @type {string[]} */
+  let filenames;
+  try {
+    filenames = await fs.readdir(backupDir);
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const backups = await Promise.all(
+    filenames
+      .filter((filename) => filename.endsWith(".json"))
+      .map(async (filename) => {
+        const stats = await fs.stat(path.join(backupDir, filename));
+        return { filename, createdAt: stats.mtimeMs };
+      }),
+  );
+  return backups.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Copies the workspace's state file into its backup folder if it is valid JSON
+ * and the last snapshot is older than BACKUP_INTERVAL_MS, then removes snapshots beyond MAX_BACKUPS.
+ * Called before every state write, so the snapshot is always of a state that was successfully written.
+ * @param {string} userPath - Electron userData directory
+ * @param {Workspace} workspace
+ * @returns {Promise<void>}
+ */
+async function snapshotState(userPath, workspace) {
+  /** @type {string} */
+  let contents;
+  try {
+    contents = await fs.readFile(
+      path.join(userPath, workspace.statePath),
+      "utf8",
+    );
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === "ENOENT") return;
+    throw error;
+  }
+
+  try {
+    JSON.parse(contents);
+  } catch (error) {
+    // never rotate good snapshots out for a state file that can't be loaded
+    return;
+  }
+
+  const backups = await listBackups(userPath, workspace);
+  if (backups[0] && Date.now() - backups[0].createdAt < BACKUP_INTERVAL_MS) {
+    return;
+  }
+
+  const backupDir = getBackupDir(userPath, workspace);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  await writeFileAtomic(
+    path.join(backupDir, `state-${timestamp}.json`),
+    contents,
+  );
+
+  for (const backup of backups.slice(MAX_BACKUPS - 1)) {
+    await fs.rm(path.join(backupDir, backup.filename), { force: true });
+  }
+}
+
+/**
+ * Replaces a workspace's state file with one of its snapshots
+ * @param {string} userPath - Electron userData directory
+ * @param {Workspace} workspace
+ * @param {string} filename - Filename of the snapshot, as returned by listBackups
+ * @returns {Promise<void>}
+ */
+async function restoreBackup(userPath, workspace, filename) {
+  if (path.basename(filename) !== filename) {
+    throw Error(`invalid backup filename ${filename}`);
+  }
+  const contents = await fs.readFile(
+    path.join(getBackupDir(userPath, workspace), filename),
+    "utf8",
+  );
+  // make sure we never replace the state file with something that can't be parsed
+  JSON.parse(contents);
+  await writeFileAtomic(path.join(userPath, workspace.statePath), contents);
+}
+
+module.exports = { listBackups, snapshotState, restoreBackup };
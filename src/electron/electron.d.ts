@@ -39,6 +39,11 @@ export interface DialogOptions {
   title?: string;
 }
 
+export interface LaunchOptions {
+  // name or id of the page to show, from the `--page=<name>` command line switch
+  pageName: string | null;
+}
+
 export interface FileAPI {
   /**
    * Write data to a file in the user data directory
@@ -99,6 +104,105 @@ export interface FileAPI {
   getSystemTheme(): Promise<boolean>;
 }
 
+export interface WorkspaceAPI {
+  /**
+   * List all workspaces and which one is open
+   * @returns Promise with the workspace registry
+   */
+  list(): Promise<WorkspaceRegistry>;
+
+  /**
+   * Get the open workspace
+   * @returns Promise with the open workspace
+   */
+  getCurrent(): Promise<Workspace>;
+
+  /**
+   * Create an empty workspace
+   * @param name - Name of the new workspace
+   * @returns Promise with the created workspace
+   */
+  create(name: string): Promise<Workspace>;
+
+  /**
+   * Rename a workspace
+   * @param workspaceId - ID of the workspace to rename
+   * @param name - New name for the workspace
+   * @returns Promise with the renamed workspace
+   */
+  rename(workspaceId: string, name: string): Promise<Workspace>;
+
+  /**
+   * Copy a workspace's state and media into a new workspace
+   * @param workspaceId - ID of the workspace to copy
+   * @param name - Name of the new workspace
+   * @returns Promise with the created workspace
+   */
+  duplicate(workspaceId: string, name: string): Promise<Workspace>;
+
+  /**
+   * Delete a workspace and its files. The open workspace cannot be deleted.
+   * @param workspaceId - ID of the workspace to delete
+   */
+  delete(workspaceId: string): Promise<void>;
+
+  /**
+   * Set the workspace to open. The renderer must reload to load it.
+   * @param workspaceId - ID of the workspace to open
+   * @returns Promise with the workspace to open
+   */
+  switch(workspaceId: string): Promise<Workspace>;
+}
+
+export interface StateAPI {
+  /**
+   * Write a workspace's state file, first snapshotting the previous state into its backups
+   * @param workspaceId - ID of the workspace the state belongs to
+   * @param state - State to write
+   * @returns Promise with write result
+   */
+  save(workspaceId: string, state: SavedState): Promise<FileWriteResult>;
+
+  /**
+   * List the backups of a workspace's state file
+   * @param workspaceId - ID of the workspace
+   * @returns Promise with the backups, newest first
+   */
+  listBackups(workspaceId: string): Promise<BackupInfo[]>;
+
+  /**
+   * Replace a workspace's state file with one of its backups. The renderer must reload to load it.
+   * @param workspaceId - ID of the workspace
+   * @param filename - Filename of the backup, as returned by listBackups
+   */
+  restoreBackup(workspaceId: string, filename: string): Promise<void>;
+}
+
+export interface PageTextAPI {
+  /**
+   * Add the text of a page shown by a webview block to the workspace's page text index
+   * @param workspaceId - ID of the workspace the block belongs to
+   * @param page - Text of the page and where it was shown
+   */
+  add(
+    workspaceId: string,
+    page: Omit<PageTextEntry, "indexedAt">,
+  ): Promise<void>;
+
+  /**
+   * Search the text of the pages indexed for a workspace
+   * @param workspaceId - ID of the workspace
+   * @param query - Words that must all appear in the page, ignoring case
+   * @param limit - Maximum number of results
+   * @returns Promise with the matching pages, most recently indexed first
+   */
+  search(
+    workspaceId: string,
+    query: string,
+    limit: number,
+  ): Promise<PageTextSearchResult[]>;
+}
+
 export interface ElectronAPI {
   /**
    * Listen for app quit event to save state
@@ -111,6 +215,12 @@ export interface ElectronAPI {
    */
   stateSaved(): void;
 
+  /**
+   * Get the options the app was launched with
+   * @returns Promise with launch options
+   */
+  getLaunchOptions(): Promise<LaunchOptions>;
+
   /**
    * Listen for system theme changes
    * @param callback - Function to call when theme changes (receives isDark boolean)
@@ -144,6 +254,9 @@ export interface ElectronAPI {
 declare global {
   interface Window {
     fileAPI: FileAPI;
+    workspaceAPI: WorkspaceAPI;
+    stateAPI: StateAPI;
+    pageTextAPI: PageTextAPI;
     electronAPI: ElectronAPI;
   }
 }
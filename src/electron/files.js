@@ -0,0 +1,32 @@
+const fs = require("fs").promises;
+const path = require("node:path");
+const crypto = require("node:crypto");
+
+/**
+ * Writes a file by writing a temp file next to it and renaming it into place.
+ * A crash mid-write leaves either the old file or the new file, never a truncated one.
+ * @param {string} filePath - Absolute path of the file to write
+ * @param {string | Buffer} content
+ * @param {BufferEncoding | null} [encoding]
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content, encoding = "utf8") {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+  try {
+    const handle = await fs.open(tempPath, "w");
+    try {
+      await handle.writeFile(content, { encoding });
+      // flush to disk before the rename so a power loss can't leave an empty file in place
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomic };
@@ -10,6 +10,10 @@ const {
 const path = require("node:path");
 const fs = require("fs").promises;
 const reloader = require("electron-reloader");
+const workspaces = require("./workspaces.js");
+const backups = require("./backups.js");
+const pageTextIndex = require("./pageTextIndex.js");
+const { writeFileAtomic } = require("./files.js");
 
 reloader(module, { ignore: "**/local/**" });
 
@@ -66,7 +70,19 @@ const createWindow = () => {
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  if (launchWorkspaceName !== null) {
+    try {
+      const workspace = await workspaces.findWorkspace(
+        userPath,
+        launchWorkspaceName,
+      );
+      await workspaces.setCurrentWorkspace(userPath, workspace.id);
+    } catch (error) {
+      console.error("Error opening launch workspace:", error);
+    }
+  }
+
   const mainWindow = createWindow();
 
   // On OS X it's common to re-create a window in the app when the
@@ -86,7 +102,12 @@ app.whenReady().then(() => {
   });
 
   // Listen for renderer confirmation that state is saved
-  ipcMain.on("state-saved", () => {
+  ipcMain.on("state-saved", async () => {
+    try {
+      await pageTextIndex.flushPageTextIndexes();
+    } catch (error) {
+      console.error("Error writing page text index:", error);
+    }
     app.exit(); // Force quit after state is saved
   });
 
@@ -121,6 +142,18 @@ const arg = process.argv[2];
 const cwd = process.cwd();
 const userPath = app.getPath("userData");
 
+// Workspace to open on launch, passed by `hypercanvas open --workspace <name>`
+const launchWorkspaceName =
+  process.argv
+    .find((arg) => arg.startsWith("--workspace="))
+    ?.slice("--workspace=".length) ?? null;
+
+// Page to show on launch, passed by `hypercanvas open --page <name>`
+const launchPageName =
+  process.argv
+    .find((arg) => arg.startsWith("--page="))
+    ?.slice("--page=".length) ?? null;
+
 // -----------------------------
 // ## File Processing
 // -----------------------------
@@ -130,16 +163,6 @@ function getFilePath(filename) {
   return path.join(userPath, filename);
 }
 
-// Helper function to ensure directory exists
-async function ensureDirectory(filePath) {
-  const dir = path.dirname(filePath);
-  try {
-    await fs.access(dir);
-  } catch (error) {
-    await fs.mkdir(dir, { recursive: true });
-  }
-}
-
 // Helper function to generate unique filename with auto-incrementing suffix
 async function getUniqueFilename(basePath, filename) {
   const ext = path.extname(filename);
@@ -250,7 +273,6 @@ async function getImageDimensions(buffer) {
 async function writeFile(filename, data) {
   try {
     const filePath = getFilePath(filename);
-    await ensureDirectory(filePath);
 
     let content, encoding;
 
@@ -268,7 +290,8 @@ async function writeFile(filename, data) {
       encoding = "utf8";
     }
 
-    await fs.writeFile(filePath, content, encoding);
+    // write to a temp file and rename it into place, so a crash mid-write never truncates the file
+    await writeFileAtomic(filePath, content, encoding);
     console.log(`File written successfully: ${filePath}`);
     return { success: true, path: filePath };
   } catch (error) {
@@ -450,6 +473,86 @@ ipcMain.handle("image:getDimensions", async (event, imagePath) => {
   }
 });
 
+// -----------------------------
+// ## Workspaces
+// -----------------------------
+
+ipcMain.handle("workspace:list", async () => {
+  return await workspaces.readRegistry(userPath);
+});
+
+ipcMain.handle("workspace:getCurrent", async () => {
+  return await workspaces.getCurrentWorkspace(userPath);
+});
+
+ipcMain.handle("workspace:create", async (event, name) => {
+  return await workspaces.createWorkspace(userPath, name);
+});
+
+ipcMain.handle("workspace:rename", async (event, workspaceId, name) => {
+  return await workspaces.renameWorkspace(userPath, workspaceId, name);
+});
+
+ipcMain.handle("workspace:duplicate", async (event, workspaceId, name) => {
+  return await workspaces.duplicateWorkspace(userPath, workspaceId, name);
+});
+
+ipcMain.handle("workspace:delete", async (event, workspaceId) => {
+  await workspaces.deleteWorkspace(userPath, workspaceId);
+  await pageTextIndex.deletePageTextIndex(userPath, workspaceId);
+});
+
+ipcMain.handle("workspace:switch", async (event, workspaceId) => {
+  return await workspaces.setCurrentWorkspace(userPath, workspaceId);
+});
+
+// -----------------------------
+// ## State
+// -----------------------------
+
+ipcMain.handle("state:save", async (event, workspaceId, state) => {
+  const workspace = await workspaces.getWorkspaceById(userPath, workspaceId);
+  try {
+    // snapshot the last good state before replacing it
+    await backups.snapshotState(userPath, workspace);
+  } catch (error) {
+    console.error("Error backing up state:", error);
+  }
+  return await writeFile(workspace.statePath, state);
+});
+
+ipcMain.handle("state:listBackups", async (event, workspaceId) => {
+  const workspace = await workspaces.getWorkspaceById(userPath, workspaceId);
+  return await backups.listBackups(userPath, workspace);
+});
+
+ipcMain.handle("state:restoreBackup", async (event, workspaceId, filename) => {
+  const workspace = await workspaces.getWorkspaceById(userPath, workspaceId);
+  return await backups.restoreBackup(userPath, workspace, filename);
+});
+
+// -----------------------------
+// ## Page Text
+// -----------------------------
+
+ipcMain.handle("pageText:add", async (event, workspaceId, page) => {
+  return await pageTextIndex.addPageText(userPath, workspaceId, page);
+});
+
+ipcMain.handle("pageText:search", async (event, workspaceId, query, limit) => {
+  return await pageTextIndex.searchPageText(
+    userPath,
+    workspaceId,
+    query,
+    limit,
+  );
+});
+
+// Get launch options handler
+ipcMain.handle("app:getLaunchOptions", () => {
+  return { pageName: launchPageName };
+});
+
 // Get system theme handler
 ipcMain.handle("theme:getSystemTheme", () => {
   return nativeTheme.shouldUseDarkColors;
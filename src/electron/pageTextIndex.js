@@ -0,0 +1,208 @@
+const fs = require("fs").promises;
+const path = require("node:path");
+const { writeFileAtomic } = require("./files.js");
+
+// Text of the pages webview blocks have shown, kept in user/page-text/<workspace id>.json.
+// Entries are keyed by page, block and url, so a page stays searchable after its block navigates away.
+
+const INDEX_DIR = "user/page-text";
+const MAX_ENTRIES = 1000;
+// the webview preload truncates too, this guards the file against anything else sending text
+const MAX_TEXT_LENGTH = 20000;
+// pages finish loading in bursts, so batch the writes
+const WRITE_DELAY_MS = 2000;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 100;
+
+/**
+ * Indexes loaded in this session, by workspace id. Always read and modified through here so writes don't race
+ * @type {Map<string, Promise<PageTextEntry[]>>}
+ */
+const indexes = new Map();
+
+/**
+ * Writes that are waiting for WRITE_DELAY_MS, by workspace id
+ * @type {Map<string, {timeout: NodeJS.Timeout, write: () => Promise<void>}>}
+ */
+const pendingWrites = new Map();
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @returns {string}
+ */
+function getIndexPath(userPath, workspaceId) {
+  return path.join(userPath, INDEX_DIR, `${workspaceId}.json`);
+}
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @returns {Promise<PageTextEntry[]>}
+ */
+function loadIndex(userPath, workspaceId) {
+  let index = indexes.get(workspaceId);
+  if (!index) {
+    index = readIndex(userPath, workspaceId);
+    indexes.set(workspaceId, index);
+  }
+  return index;
+}
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @returns {Promise<PageTextEntry[]>}
+ */
+async function readIndex(userPath, workspaceId) {
+  try {
+    const contents = await fs.readFile(
+      getIndexPath(userPath, workspaceId),
+      "utf8",
+    );
+    const entries = JSON.parse(contents);
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code !== "ENOENT") {
+      // the index only holds text that pages send again when they load, so start over
+      console.error("Error reading page text index:", error);
+    }
+    return [];
+  }
+}
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ */
+function scheduleWrite(userPath, workspaceId) {
+  if (pendingWrites.has(workspaceId)) return;
+
+  const write = async () => {
+    pendingWrites.delete(workspaceId);
+    const entries = await loadIndex(userPath, workspaceId);
+    await writeFileAtomic(
+      getIndexPath(userPath, workspaceId),
+      JSON.stringify(entries),
+    );
+  };
+  const timeout = setTimeout(() => {
+    write().catch((error) =>
+      console.error("Error writing page text index:", error),
+    );
+  }, WRITE_DELAY_MS);
+  pendingWrites.set(workspaceId, { timeout, write });
+}
+
+/**
+ * Writes every index with changes that haven't been written yet, i.e. before the app quits
+ * @returns {Promise<void>}
+ */
+async function flushPageTextIndexes() {
+  const writes = [...pendingWrites.values()];
+  for (const { timeout } of writes) clearTimeout(timeout);
+  await Promise.all(writes.map(({ write }) => write()));
+}
+
+/**
+ * Adds the text of a page to a workspace's index, replacing what was indexed for the same block and url
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @param {Omit<PageTextEntry, "indexedAt">} page
+ * @returns {Promise<void>}
+ */
+async function addPageText(userPath, workspaceId, page) {
+  const entries = await loadIndex(userPath, workspaceId);
+  const index = entries.findIndex(
+    (entry) =>
+      entry.pageId === page.pageId &&
+      entry.blockId === page.blockId &&
+      entry.url === page.url,
+  );
+  if (index !== -1) entries.splice(index, 1);
+
+  entries.push({
+    pageId: page.pageId,
+    blockId: page.blockId,
+    url: page.url,
+    title: page.title,
+    text: page.text.slice(0, MAX_TEXT_LENGTH),
+    indexedAt: Date.now(),
+  });
+  // entries are oldest first, so forget the pages that were indexed longest ago
+  if (entries.length > MAX_ENTRIES) {
+    entries.splice(0, entries.length - MAX_ENTRIES);
+  }
+  scheduleWrite(userPath, workspaceId);
+}
+
+/**
+ * @param {string} text
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {string} Part of the text around the first term it contains
+ */
+function getSnippet(text, terms) {
+  const lowerText = text.toLowerCase();
+  const position = Math.min(
+    ...terms
+      .map((term) => lowerText.indexOf(term))
+      .filter((position) => position !== -1),
+  );
+  if (!Number.isFinite(position)) return text.slice(0, SNIPPET_AFTER);
+
+  const start = Math.max(0, position - SNIPPET_BEFORE);
+  const end = Math.min(text.length, position + SNIPPET_AFTER);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+}
+
+/**
+ * Finds the indexed pages whose title, url or text contain every word of the query, ignoring case.
+ * Most recently indexed pages come first.
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @param {string} query
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<PageTextSearchResult[]>}
+ */
+async function searchPageText(userPath, workspaceId, query, limit) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const entries = await loadIndex(userPath, workspaceId);
+  /** @type {PageTextSearchResult[]} */
+  const results = [];
+  for (let i = entries.length - 1; i >= 0 && results.length < limit; i--) {
+    const entry = entries[i];
+    const searchableText =
+      `${entry.title}\n${entry.url}\n${entry.text}`.toLowerCase();
+    if (!terms.every((term) => searchableText.includes(term))) continue;
+    results.push({
+      pageId: entry.pageId,
+      blockId: entry.blockId,
+      url: entry.url,
+      title: entry.title,
+      snippet: getSnippet(entry.text, terms),
+    });
+  }
+  return results;
+}
+
+/**
+ * Removes a workspace's index, i.e. when the workspace is deleted
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @returns {Promise<void>}
+ */
+async function deletePageTextIndex(userPath, workspaceId) {
+  clearTimeout(pendingWrites.get(workspaceId)?.timeout);
+  pendingWrites.delete(workspaceId);
+  indexes.delete(workspaceId);
+  await fs.rm(getIndexPath(userPath, workspaceId), { force: true });
+}
+
+module.exports = {
+  addPageText,
+  searchPageText,
+  deletePageTextIndex,
+  flushPageTextIndexes,
+};
@@ -29,6 +29,43 @@ const fileAPI = {
 
 contextBridge.exposeInMainWorld("fileAPI", fileAPI);
 
+/** @type {import('./electron.js').WorkspaceAPI} */
+const workspaceAPI = {
+  list: () => ipcRenderer.invoke("workspace:list"),
+  getCurrent: () => ipcRenderer.invoke("workspace:getCurrent"),
+  create: (name) => ipcRenderer.invoke("workspace:create", name),
+  rename: (workspaceId, name) =>
+    ipcRenderer.invoke("workspace:rename", workspaceId, name),
+  duplicate: (workspaceId, name) =>
+    ipcRenderer.invoke("workspace:duplicate", workspaceId, name),
+  delete: (workspaceId) => ipcRenderer.invoke("workspace:delete", workspaceId),
+  switch: (workspaceId) => ipcRenderer.invoke("workspace:switch", workspaceId),
+};
+
+contextBridge.exposeInMainWorld("workspaceAPI", workspaceAPI);
+
+/** @type {import('./electron.js').StateAPI} */
+const stateAPI = {
+  save: (workspaceId, state) =>
+    ipcRenderer.invoke("state:save", workspaceId, state),
+  listBackups: (workspaceId) =>
+    ipcRenderer.invoke("state:listBackups", workspaceId),
+  restoreBackup: (workspaceId, filename) =>
+    ipcRenderer.invoke("state:restoreBackup", workspaceId, filename),
+};
+
+contextBridge.exposeInMainWorld("stateAPI", stateAPI);
+
+/** @type {import('./electron.js').PageTextAPI} */
+const pageTextAPI = {
+  add: (workspaceId, page) =>
+    ipcRenderer.invoke("pageText:add", workspaceId, page),
+  search: (workspaceId, query, limit) =>
+    ipcRenderer.invoke("pageText:search", workspaceId, query, limit),
+};
+
+contextBridge.exposeInMainWorld("pageTextAPI", pageTextAPI);
+
 /** @type {import('./electron.js').ElectronAPI} */
 const electronAPI = {
   onAppWillQuit: (callback) => {
@@ -37,6 +74,7 @@ const electronAPI = {
   stateSaved: () => {
     ipcRenderer.send("state-saved");
   },
+  getLaunchOptions: () => ipcRenderer.invoke("app:getLaunchOptions"),
   onThemeChanged: (callback) => {
     const listener = (
       /** @type {import("electron").IpcRendererEvent} */ _event,
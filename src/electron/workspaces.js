@@ -0,0 +1,266 @@
+const fs = require("fs").promises;
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { writeFileAtomic } = require("./files.js");
+
+// Workspaces are separate canvases, each with its own state file and media folder.
+// All paths are relative to the electron userData directory.
+
+const REGISTRY_PATH = "user/workspaces.json";
+
+/** @type {Workspace} */
+const DEFAULT_WORKSPACE = {
+  id: "default",
+  name: "Default",
+  statePath: "user/state.json",
+  mediaPath: "user/media/",
+};
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @returns {Promise<WorkspaceRegistry>}
+ */
+async function readRegistry(userPath) {
+  try {
+    const data = await fs.readFile(path.join(userPath, REGISTRY_PATH), "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code !== "ENOENT") {
+      throw error;
+    }
+    // Before workspaces existed, the only canvas lived at user/state.json
+    return {
+      currentWorkspaceId: DEFAULT_WORKSPACE.id,
+      workspaces: [DEFAULT_WORKSPACE],
+    };
+  }
+}
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @param {WorkspaceRegistry} registry
+ * @returns {Promise<void>}
+ */
+async function writeRegistry(userPath, registry) {
+  await writeFileAtomic(
+    path.join(userPath, REGISTRY_PATH),
+    JSON.stringify(registry, null, 2),
+  );
+}
+
+/**
+ * @param {WorkspaceRegistry} registry
+ * @param {string} workspaceId
+ * @returns {Workspace}
+ */
+function getWorkspace(registry, workspaceId) {
+  const workspace = registry.workspaces.find((w) => w.id === workspaceId);
+  if (!workspace) throw Error(`no workspace found of id ${workspaceId}`);
+  return workspace;
+}
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @returns {Promise<Workspace>}
+ */
+async function getCurrentWorkspace(userPath) {
+  const registry = await readRegistry(userPath);
+  return getWorkspace(registry, registry.currentWorkspaceId);
+}
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @returns {Promise<Workspace>}
+ */
+async function getWorkspaceById(userPath, workspaceId) {
+  return getWorkspace(await readRegistry(userPath), workspaceId);
+}
+
+/**
+ * Finds a workspace by name or id
+ * @param {string} userPath - Electron userData directory
+ * @param {string} nameOrId
+ * @returns {Promise<Workspace>}
+ */
+async function findWorkspace(userPath, nameOrId) {
+  const registry = await readRegistry(userPath);
+  const workspace =
+    registry.workspaces.find((w) => w.name === nameOrId) ??
+    registry.workspaces.find((w) => w.id === nameOrId);
+  if (!workspace) {
+    const names = registry.workspaces.map((w) => `"${w.name}"`).join(", ");
+    throw Error(`No workspace named "${nameOrId}". Workspaces: ${names}`);
+  }
+  return workspace;
+}
+
+/**
+ * @param {string} name
+ * @returns {Workspace}
+ */
+function newWorkspace(name) {
+  const id = crypto.randomUUID();
+  return {
+    id,
+    name,
+    statePath: `user/workspaces/${id}/state.json`,
+    mediaPath: `user/workspaces/${id}/media/`,
+  };
+}
+
+/**
+ * Creates an empty workspace. The app creates its state file the first time it is opened.
+ * @param {string} userPath - Electron userData directory
+ * @param {string} name
+ * @returns {Promise<Workspace>}
+ */
+async function createWorkspace(userPath, name) {
+  const registry = await readRegistry(userPath);
+  const workspace = newWorkspace(name);
+  await writeRegistry(userPath, {
+    ...registry,
+    workspaces: [...registry.workspaces, workspace],
+  });
+  return workspace;
+}
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @param {string} name
+ * @returns {Promise<Workspace>}
+ */
+async function renameWorkspace(userPath, workspaceId, name) {
+  const registry = await readRegistry(userPath);
+  const workspace = { ...getWorkspace(registry, workspaceId), name };
+  await writeRegistry(userPath, {
+    ...registry,
+    workspaces: registry.workspaces.map((w) =>
+      w.id === workspaceId ? workspace : w,
+    ),
+  });
+  return workspace;
+}
+
+/**
+ * Copies a workspace's state file and media folder into a new workspace
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @param {string} name
+ * @returns {Promise<Workspace>}
+ */
+async function duplicateWorkspace(userPath, workspaceId, name) {
+  const registry = await readRegistry(userPath);
+  const source = getWorkspace(registry, workspaceId);
+  const workspace = newWorkspace(name);
+
+  const sourceMediaDir = path.join(userPath, source.mediaPath);
+  const targetMediaDir = path.join(userPath, workspace.mediaPath);
+  try {
+    await fs.cp(sourceMediaDir, targetMediaDir, { recursive: true });
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code !== "ENOENT") {
+      throw error;
+    }
+  }
+
+  const sourceStatePath = path.join(userPath, source.statePath);
+  const targetStatePath = path.join(userPath, workspace.statePath);
+  try {
+    /** @type {SavedState} */
+    const state = JSON.parse(await fs.readFile(sourceStatePath, "utf8"));
+    // image blocks store absolute paths into the media folder, so point them at the copied media
+    const duplicatedState = {
+      ...state,
+      pages: state.pages.map((page) => ({
+        ...page,
+        blocks: page.blocks.map((block) =>
+          block.type === "image" && block.src.startsWith(sourceMediaDir)
+            ? {
+                ...block,
+                src: path.join(
+                  targetMediaDir,
+                  path.relative(sourceMediaDir, block.src),
+                ),
+              }
+            : block,
+        ),
+      })),
+    };
+    await writeFileAtomic(
+      targetStatePath,
+      JSON.stringify(duplicatedState, null, 2),
+    );
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code !== "ENOENT") {
+      throw error;
+    }
+  }
+
+  await writeRegistry(userPath, {
+    ...registry,
+    workspaces: [...registry.workspaces, workspace],
+  });
+  return workspace;
+}
+
+/**
+ * Deletes a workspace along with its state file, media folder and backups
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @returns {Promise<void>}
+ */
+async function deleteWorkspace(userPath, workspaceId) {
+  const registry = await readRegistry(userPath);
+  const workspace = getWorkspace(registry, workspaceId);
+  if (registry.currentWorkspaceId === workspaceId) {
+    throw Error("Cannot delete the open workspace");
+  }
+
+  await writeRegistry(userPath, {
+    ...registry,
+    workspaces: registry.workspaces.filter((w) => w.id !== workspaceId),
+  });
+
+  await fs.rm(path.join(userPath, workspace.statePath), { force: true });
+  await fs.rm(path.join(userPath, workspace.mediaPath), {
+    recursive: true,
+    force: true,
+  });
+  await fs.rm(path.join(userPath, "user/backups", workspace.id), {
+    recursive: true,
+    force: true,
+  });
+  // Remove the workspace's own folder if nothing else is left in it
+  try {
+    await fs.rmdir(path.join(userPath, path.dirname(workspace.statePath)));
+  } catch (error) {}
+}
+
+/**
+ * @param {string} userPath - Electron userData directory
+ * @param {string} workspaceId
+ * @returns {Promise<Workspace>}
+ */
+async function setCurrentWorkspace(userPath, workspaceId) {
+  const registry = await readRegistry(userPath);
+  const workspace = getWorkspace(registry, workspaceId);
+  await writeRegistry(userPath, {
+    ...registry,
+    currentWorkspaceId: workspaceId,
+  });
+  return workspace;
+}
+
+module.exports = {
+  readRegistry,
+  getCurrentWorkspace,
+  getWorkspaceById,
+  findWorkspace,
+  createWorkspace,
+  renameWorkspace,
+  duplicateWorkspace,
+  deleteWorkspace,
+  setCurrentWorkspace,
+};